@@ -0,0 +1,112 @@
+/**
+ * Analytics Dashboard App
+ * Loads the signed-in user's analytics into the dashboard charts and refreshes them live
+ */
+
+class AnalyticsDashboardApp {
+  constructor(options = {}) {
+    this.options = {
+      days: options.days || 30,
+    };
+
+    this.supabaseClient = null;
+    this.analyticsService = null;
+    this.dashboardComponent = null;
+    this.userId = null;
+    this.request = 0; // Ignores responses of outdated requests
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize the dashboard
+   */
+  async init() {
+    try {
+      this.supabaseClient = window.SupabaseConfig?.getClient();
+
+      if (!this.supabaseClient) {
+        throw new Error('Supabase client not initialized. Check configuration.');
+      }
+
+      this.analyticsService = new AnalyticsService(this.supabaseClient);
+      this.dashboardComponent = new AnalyticsDashboardComponent('analytics-dashboard-container', {
+        days: this.options.days,
+        onRangeChange: (days) => this.setRange(days),
+      });
+
+      const { data } = await this.supabaseClient.auth.getSession();
+      this.userId = data?.session?.user?.id || null;
+
+      if (!this.userId) {
+        this.dashboardComponent.showError('Bitte anmelden, um die Auswertung zu sehen');
+        return;
+      }
+
+      await this.analyticsService.subscribe(this.userId, () => this.refresh());
+      await this.refresh();
+
+      this.isInitialized = true;
+      console.log('✓ Analytics Dashboard initialized');
+
+    } catch (error) {
+      console.error('Failed to initialize analytics dashboard:', error);
+      this.dashboardComponent?.showError('Fehler bei der Initialisierung: ' + error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the number of days shown
+   * @param {number} days - Days including today
+   */
+  async setRange(days) {
+    this.options.days = days;
+    await this.refresh();
+  }
+
+  /**
+   * Reload all charts
+   */
+  async refresh() {
+    if (!this.userId) return;
+
+    const request = ++this.request;
+    this.dashboardComponent.setLoading(true);
+
+    try {
+      const analytics = await this.analyticsService.getDashboardAnalytics(this.userId, { days: this.options.days });
+      if (request !== this.request) return;
+
+      this.dashboardComponent.setData(analytics);
+
+    } catch (error) {
+      if (request !== this.request) return;
+      this.dashboardComponent.showError('Auswertung konnte nicht geladen werden: ' + error.message);
+    }
+  }
+
+  /**
+   * Cleanup and disconnect
+   */
+  async cleanup() {
+    await this.analyticsService?.unsubscribe();
+    this.dashboardComponent?.destroy();
+  }
+}
+
+// Create global app instance (pages can set window.AnalyticsDashboardOptions before this script)
+window.analyticsDashboard = new AnalyticsDashboardApp(window.AnalyticsDashboardOptions);
+
+// Initialize on DOM ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('analytics-dashboard-container')) {
+      window.analyticsDashboard.init().catch(console.error);
+    }
+  });
+} else if (document.getElementById('analytics-dashboard-container')) {
+  window.analyticsDashboard.init().catch(console.error);
+}
+
+// Export for use in other modules
+window.AnalyticsDashboardApp = AnalyticsDashboardApp;
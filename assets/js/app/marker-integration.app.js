@@ -4,14 +4,32 @@
  */
 
 class MarkerIntegrationApp {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      removeArtifactsOnCancel: options.removeArtifactsOnCancel !== false,
+      sentimentScale: options.sentimentScale || null, // See SentimentScale.normalize
+      emotionTaxonomy: options.emotionTaxonomy || EmotionTaxonomy.defaultTaxonomy, // Used for new jobs
+      statisticsPeriod: options.statisticsPeriod || '7d', // 'today' | '7d' | '30d'
+      uploadConcurrency: options.uploadConcurrency || 2, // Files uploaded at the same time
+    };
+
     this.supabaseClient = null;
     this.markerService = null;
     this.realtimeService = null;
+    this.analyticsService = null;
     this.uploadComponent = null;
     this.statusComponent = null;
     this.annotationsViewer = null;
-    this.currentJobId = null;
+    this.historyComponent = null;
+    this.sentimentTimeline = null;
+    this.sentimentSummary = null;
+    this.uploadQueue = null;
+    this.jobs = new Map(); // jobId → { jobId, queueItemId, fileName, status, data, analysis }
+    this.currentJobId = null; // Job shown in the annotations viewer
+    this.userId = null; // Signed-in user, null without session
+    this.statisticsRequest = 0; // Ignores responses of outdated statistics requests
+    this.routeAnnotationId = null; // Linked annotation of a running job that has not been streamed yet
+    this.isRestoringRoute = false; // Suppresses URL updates while a link is applied
     this.isInitialized = false;
   }
 
@@ -31,11 +49,36 @@ class MarkerIntegrationApp {
 
       // Initialize services
       this.markerService = new MarkerEngineService(this.supabaseClient);
-      this.realtimeService = new RealtimeAnnotationsService(this.supabaseClient);
+      this.realtimeService = new RealtimeAnnotationsService(this.supabaseClient, this.markerService);
+      this.analyticsService = new AnalyticsService(this.supabaseClient);
+      this.uploadQueue = new UploadQueueService({
+        concurrency: this.options.uploadConcurrency,
+        processItem: (item, { onProgress }) => this.processDocument(item.file, {
+          queueItemId: item.id,
+          onProgress,
+        }),
+        onItemUpdate: (item) => this.uploadComponent?.updateQueueItem(item),
+      });
 
       // Initialize UI components
       this.initializeComponents();
 
+      // Review decisions are stored with the signed-in user as reviewer
+      this.userId = await this.markerService.getCurrentUserId();
+      this.annotationsViewer.setReviewerId(this.userId);
+      await this.applyUserPreferences();
+      await this.initializeStatistics();
+
+      if (this.userId) {
+        await this.historyComponent.refresh();
+      } else {
+        this.historyComponent.showMessage('Bitte anmelden, um den Verlauf zu sehen');
+      }
+
+      // Reloads and shared links (?job=…&annotation=…) reopen the same view
+      window.addEventListener('popstate', () => this.restoreRoute());
+      await this.restoreRoute();
+
       this.isInitialized = true;
       console.log('✓ Marker Integration App initialized successfully');
 
@@ -57,11 +100,15 @@ class MarkerIntegrationApp {
     this.uploadComponent = new DocumentUploadComponent('document-upload-container', {
       maxFileSize: 50 * 1024 * 1024, // 50MB
       allowedTypes: ['pdf', 'docx', 'doc', 'txt', 'md', 'html'],
-      multiple: false,
+      multiple: true,
       onFileSelect: (files) => this.handleFileSelection(files),
       onUploadStart: (files) => this.handleUploadStart(files),
-      onUploadComplete: (file, index) => this.handleUploadComplete(file, index),
+      onUploadComplete: (file, item) => this.handleUploadComplete(file, item),
       onUploadError: (file, error) => this.handleUploadError(file, error),
+      onRetry: (itemId) => this.retryUpload(itemId),
+      onClearFinished: (itemIds) => itemIds.forEach(itemId => this.uploadQueue.remove(itemId)),
+      emotionTaxonomy: this.options.emotionTaxonomy,
+      onTaxonomyChange: (name) => this.setEmotionTaxonomy(name),
     });
 
     // Processing Status Component
@@ -71,6 +118,16 @@ class MarkerIntegrationApp {
       onStatusChange: (data) => this.handleStatusChange(data),
       onComplete: (data) => this.handleProcessingComplete(data),
       onError: (data) => this.handleProcessingError(data),
+      onCancel: (job) => this.cancelJob(job.id),
+      onRetry: (job) => this.retryJob(job),
+      onJobSelect: (job) => this.selectJob(job.id),
+    });
+
+    // Job History Component
+    this.historyComponent = new JobHistoryComponent('job-history-container', {
+      fileTypes: this.uploadComponent.options.allowedTypes,
+      onLoad: (query) => this.loadJobHistory(query),
+      onJobSelect: (job) => this.openJob(job),
     });
 
     // Annotations Viewer Component
@@ -78,7 +135,40 @@ class MarkerIntegrationApp {
       showSentiment: true,
       showEmotion: true,
       highlightMode: 'sentiment',
+      sentimentScale: this.options.sentimentScale,
+      emotionTaxonomy: this.options.emotionTaxonomy,
       onAnnotationClick: (annotation) => this.handleAnnotationClick(annotation),
+      onAnnotationCreate: (draft) => this.createAnnotation(draft),
+      onAnnotationUpdate: (annotation, updates) => this.updateAnnotation(annotation, updates),
+      onAnnotationDelete: (annotation) => this.deleteAnnotation(annotation),
+      onPaletteChange: (palette) => {
+        this.sentimentTimeline?.setPalette(palette);
+        this.sentimentSummary?.setPalette(palette);
+        this.saveUserPreferences({ palette });
+      },
+      onAnnotationsChange: (annotations) => {
+        this.sentimentTimeline?.setAnnotations(annotations);
+        this.sentimentSummary?.setAnnotations(annotations);
+        this.showRouteAnnotation(annotations);
+      },
+      onViewStateChange: (state) => {
+        if (state.annotationId) this.routeAnnotationId = null;
+        this.updateRoute();
+      },
+      onAnnotationShare: (annotation) => this.shareAnnotation(annotation),
+    });
+
+    // Sentiment Timeline Component
+    this.sentimentTimeline = new SentimentTimelineComponent('sentiment-timeline-container', {
+      sentimentScale: this.options.sentimentScale,
+      onPointClick: (annotationId) => this.showAnnotation(annotationId),
+    });
+
+    // Sentiment Summary Component
+    this.sentimentSummary = new SentimentSummaryComponent('sentiment-summary-container', {
+      sentimentScale: this.options.sentimentScale,
+      emotionTaxonomy: this.options.emotionTaxonomy,
+      onPassageClick: (annotationId) => this.showAnnotation(annotationId),
     });
 
     console.log('✓ UI components initialized');
@@ -89,59 +179,148 @@ class MarkerIntegrationApp {
    */
   handleFileSelection(files) {
     console.log('Files selected:', files);
-    this.showNotification(`${files.length} Datei(en) ausgewählt`, 'info');
+
+    // Interrupted uploads of the same files continue at the stored offset
+    const resumable = files.filter(file => this.markerService.uploader.hasResumableUpload(file)).length;
+
+    this.showNotification(
+      resumable > 0
+        ? `${files.length} Datei(en) ausgewählt, davon ${resumable} mit fortsetzbarem Upload`
+        : `${files.length} Datei(en) ausgewählt`,
+      'info'
+    );
   }
 
   /**
    * Handle upload start
    */
-  async handleUploadStart(files) {
-    try {
-      console.log('Starting upload for files:', files);
-
-      for (const file of files) {
-        await this.processDocument(file);
-      }
+  handleUploadStart(files) {
+    console.log('Queueing files for upload:', files);
 
-    } catch (error) {
-      console.error('Upload start error:', error);
-      this.showNotification('Fehler beim Upload-Start: ' + error.message, 'error');
-    }
+    this.uploadQueue.enqueue(files);
+    this.showNotification(`${files.length} Datei(en) zur Warteschlange hinzugefügt`, 'info');
   }
 
   /**
    * Process document with Marker Engine
+   * @param {File} file - Document file
+   * @param {Object} options - Queue item ID and upload progress callback
+   * @returns {Promise<Object>} Created job
    */
-  async processDocument(file) {
+  async processDocument(file, { queueItemId = null, onProgress = null } = {}) {
     try {
-      this.showNotification('Starte Dokumentenverarbeitung...', 'info');
-
       // Upload file and create processing job
       const jobData = await this.markerService.uploadAndProcess(file, {
         extract_images: true,
         extract_tables: true,
         generate_markdown: true,
         analyze_sentiment: true,
+        emotion_taxonomy: this.options.emotionTaxonomy,
+        onUploadProgress: onProgress,
       });
 
-      this.currentJobId = jobData.id;
+      this.jobs.set(jobData.id, {
+        jobId: jobData.id,
+        queueItemId,
+        fileName: file.name,
+        status: jobData.status,
+        data: jobData,
+        analysis: null,
+      });
+
+      if (queueItemId) {
+        this.uploadQueue.updateItem(queueItemId, { jobId: jobData.id });
+      }
 
       // Start tracking processing status
       this.statusComponent.startTracking(jobData);
 
+      // The first job is shown in the viewer until another one is selected
+      if (!this.currentJobId) {
+        this.currentJobId = jobData.id;
+        this.statusComponent.highlightJob(jobData.id);
+        this.annotationsViewer.setEmotionTaxonomy(this.getJobEmotionTaxonomy(jobData));
+        this.sentimentSummary.setEmotionTaxonomy(this.getJobEmotionTaxonomy(jobData));
+        this.updateRoute();
+      }
+
       // Subscribe to real-time updates
       await this.subscribeToJobUpdates(jobData.id);
 
       console.log('Document processing started:', jobData);
-      this.showNotification('Dokument wird verarbeitet...', 'info');
+      this.showNotification(`${file.name} wird verarbeitet...`, 'info');
+      return jobData;
 
     } catch (error) {
       console.error('Error processing document:', error);
-      this.showNotification('Fehler bei der Verarbeitung: ' + error.message, 'error');
       throw error;
     }
   }
 
+  /**
+   * Retry a failed upload
+   */
+  retryUpload(itemId) {
+    if (this.uploadQueue.retry(itemId)) {
+      this.showNotification('Upload wird erneut versucht', 'info');
+    }
+  }
+
+  /**
+   * Retry a failed or cancelled job by uploading its file again
+   */
+  retryJob(job) {
+    const item = this.uploadQueue.findByJobId(job.id);
+
+    if (!item) {
+      this.showNotification('Für diesen Job ist keine Datei zum erneuten Hochladen vorhanden', 'warning');
+      return;
+    }
+
+    if (this.uploadQueue.retry(item.id)) {
+      this.statusComponent.removeJob(job.id);
+      this.jobs.delete(job.id);
+
+      if (this.currentJobId === job.id) {
+        this.closeJob();
+      }
+
+      this.showNotification(`${item.file.name} wird erneut verarbeitet`, 'info');
+    }
+  }
+
+  /**
+   * Store latest job data and mirror its state into the upload queue
+   */
+  updateJob(data) {
+    this.historyComponent?.updateJob(data);
+
+    const job = this.jobs.get(data.id);
+    if (!job) return;
+
+    job.status = data.status;
+    job.data = { ...job.data, ...data };
+
+    if (!job.queueItemId) return;
+
+    switch (data.status) {
+      case 'completed':
+        this.uploadQueue.updateItem(job.queueItemId, { status: 'done' });
+        break;
+
+      case 'failed':
+      case 'error':
+      case 'cancelled':
+        this.uploadQueue.updateItem(job.queueItemId, {
+          status: 'failed',
+          error: new Error(
+            data.status === 'cancelled' ? 'Verarbeitung abgebrochen' : (data.error_message || 'Verarbeitung fehlgeschlagen')
+          ),
+        });
+        break;
+    }
+  }
+
   /**
    * Subscribe to real-time job updates
    */
@@ -150,6 +329,7 @@ class MarkerIntegrationApp {
       await this.realtimeService.subscribeToJob(jobId, {
         onStatusChange: (event) => {
           console.log('Job status changed:', event);
+          this.updateJob(event.data);
           this.statusComponent.updateStatus(event.data);
         },
 
@@ -165,12 +345,35 @@ class MarkerIntegrationApp {
 
         onAnnotationAdded: (event) => {
           console.log('New annotation:', event);
-          this.handleNewAnnotation(event.annotation);
+          if (event.jobId === this.currentJobId) {
+            this.handleNewAnnotation(event.annotation);
+          }
         },
 
         onAnnotationUpdate: (event) => {
           console.log('Annotation updated:', event);
-          this.handleAnnotationUpdate(event);
+          if (event.jobId === this.currentJobId) {
+            this.handleAnnotationUpdate(event);
+          }
+        },
+
+        onAnnotationRemoved: (event) => {
+          console.log('Annotation removed:', event);
+          if (event.jobId === this.currentJobId) {
+            this.annotationsViewer.removeAnnotation(event.annotationId);
+          }
+        },
+
+        onAnnotationsResync: (event) => {
+          console.log('Annotations resynced after reconnect:', event.annotations.length);
+          if (event.jobId === this.currentJobId) {
+            this.annotationsViewer.syncAnnotations(event.annotations);
+          }
+        },
+
+        onSentimentAnalysisUpdate: (event) => {
+          console.log('Sentiment analysis updated:', event);
+          this.handleSentimentAnalysisUpdate(event);
         },
 
         onConnectionChange: (connected) => {
@@ -180,6 +383,16 @@ class MarkerIntegrationApp {
             connected ? 'success' : 'warning'
           );
         },
+
+        onTransportChange: ({ transport }) => {
+          console.log('Update transport for job', jobId, 'is now', transport);
+          this.showNotification(
+            transport === 'polling'
+              ? 'Echtzeit nicht verfügbar, Status wird regelmäßig abgefragt'
+              : 'Echtzeit-Verbindung wiederhergestellt',
+            transport === 'polling' ? 'warning' : 'success'
+          );
+        },
       });
 
       console.log('✓ Subscribed to real-time updates for job:', jobId);
@@ -196,8 +409,8 @@ class MarkerIntegrationApp {
   async handleJobUpdate(event) {
     const { data, eventType } = event;
 
-    if (data.status === 'completed') {
-      // Load annotations when job is complete
+    if (data.status === 'completed' && data.id === this.currentJobId) {
+      // Load annotations when the viewed job is complete
       await this.loadAnnotations(data.id);
     }
   }
@@ -207,8 +420,8 @@ class MarkerIntegrationApp {
    */
   handleNewAnnotation(annotation) {
     console.log('Adding new annotation in real-time:', annotation);
+    // No notification per annotation: large documents stream thousands of them
     this.annotationsViewer.addAnnotation(annotation);
-    this.showNotification('Neue Annotation hinzugefügt', 'info');
   }
 
   /**
@@ -220,15 +433,61 @@ class MarkerIntegrationApp {
     }
   }
 
+  /**
+   * Handle sentiment analysis update (real-time)
+   */
+  handleSentimentAnalysisUpdate(event) {
+    const { jobId, analysis } = event;
+    const job = this.jobs.get(jobId);
+    const wasCompleted = job?.analysis?.status === 'completed';
+
+    if (job) {
+      job.analysis = analysis;
+    }
+
+    if (jobId === this.currentJobId) {
+      this.sentimentSummary.setAnalysis(analysis);
+    }
+
+    if (analysis.status !== 'completed' || wasCompleted) return;
+
+    const overall = Number(analysis.overall_sentiment) || 0;
+    const fileName = job?.fileName || 'Dokument';
+    this.showNotification(`Sentiment-Analyse für ${fileName} abgeschlossen (Gesamtsentiment ${overall.toFixed(2)})`, 'success');
+
+    if (jobId === this.currentJobId) {
+      this.annotationsViewer.setDocumentSentiment(analysis);
+    }
+  }
+
   /**
    * Load annotations for completed job
    */
   async loadAnnotations(jobId) {
     try {
-      const annotations = await this.markerService.getAnnotations(jobId);
+      const job = this.jobs.get(jobId);
+      const [annotations, content, analysis] = await Promise.all([
+        this.markerService.getAnnotations(jobId),
+        this.markerService.getDocumentContent(jobId),
+        // The stored analysis is only read back when realtime has not delivered it
+        job?.analysis ? job.analysis : this.markerService.getSentimentAnalysis(jobId).catch(() => null),
+      ]);
       console.log('Loaded annotations:', annotations);
 
-      this.annotationsViewer.loadAnnotations(annotations);
+      if (job && analysis) {
+        job.analysis = analysis;
+      }
+
+      if (analysis?.status === 'completed') {
+        this.annotationsViewer.setDocumentSentiment(analysis);
+      }
+      this.sentimentSummary.setAnalysis(analysis);
+
+      this.annotationsViewer.loadDocument(content.text, annotations, { markdown: content.markdown });
+      this.sentimentTimeline.setDocument({
+        length: content.text.length,
+        sections: this.annotationsViewer.getSections(),
+      });
       this.showNotification(`${annotations.length} Annotations geladen`, 'success');
 
     } catch (error) {
@@ -240,8 +499,8 @@ class MarkerIntegrationApp {
   /**
    * Handle upload complete
    */
-  handleUploadComplete(file, index) {
-    console.log('Upload complete:', file, index);
+  handleUploadComplete(file, item) {
+    console.log('Upload complete:', file, item);
   }
 
   /**
@@ -292,7 +551,9 @@ class MarkerIntegrationApp {
       }
 
       // Load annotations
-      await this.loadAnnotations(data.id);
+      if (data.id === this.currentJobId) {
+        await this.loadAnnotations(data.id);
+      }
 
       this.showNotification('Text erfolgreich extrahiert und analysiert!', 'success');
 
@@ -338,42 +599,514 @@ class MarkerIntegrationApp {
   }
 
   /**
-   * Get user job history
+   * Save an annotation created in the viewer
+   * @param {Object} draft - { text, position, startOffset, endOffset, sentimentScore, emotion }
+   * @returns {Promise<Object|null>} Saved annotation, or null if another job is shown meanwhile
+   */
+  async createAnnotation(draft) {
+    const jobId = this.currentJobId;
+    if (!jobId) {
+      throw new Error('Kein Job ausgewählt');
+    }
+
+    try {
+      // Drafts re-created by undo keep their original metadata
+      const userId = draft.metadata ? null : await this.markerService.getCurrentUserId();
+      const annotation = await this.markerService.createAnnotation({
+        ...draft,
+        jobId,
+        metadata: draft.metadata || {
+          source: 'human',
+          created_by: userId,
+        },
+      });
+
+      this.showNotification('Annotation gespeichert', 'success');
+      return this.currentJobId === jobId ? annotation : null;
+
+    } catch (error) {
+      console.error('Error creating annotation:', error);
+      this.showNotification('Annotation konnte nicht gespeichert werden: ' + error.message, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Save changes of an annotation edited in the viewer
+   * @param {Object} annotation - Annotation (already showing the new values)
+   * @param {Object} updates - { sentimentScore, emotion, startOffset, endOffset, text, metadata }
+   * @returns {Promise<Object>} Saved annotation
+   */
+  async updateAnnotation(annotation, updates) {
+    try {
+      // Pure review decisions only change metadata and do not count as edit
+      const edited = ['sentimentScore', 'emotion', 'startOffset', 'endOffset', 'text'].some(field => field in updates);
+      const userId = edited ? await this.markerService.getCurrentUserId() : null;
+
+      const saved = await this.markerService.updateAnnotation(annotation.id, {
+        ...updates,
+        metadata: {
+          ...annotation.metadata,
+          ...updates.metadata,
+          ...(edited ? { edited_by: userId, edited_at: new Date().toISOString() } : {}),
+        },
+      });
+
+      this.showNotification('Annotation aktualisiert', 'success');
+      return saved;
+
+    } catch (error) {
+      console.error('Error updating annotation:', error);
+      this.showNotification('Annotation konnte nicht aktualisiert werden: ' + error.message, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an annotation removed in the viewer
+   * @param {Object} annotation - Annotation
+   */
+  async deleteAnnotation(annotation) {
+    try {
+      await this.markerService.deleteAnnotation(annotation.id);
+      this.showNotification('Annotation gelöscht', 'success');
+
+    } catch (error) {
+      console.error('Error deleting annotation:', error);
+      this.showNotification('Annotation konnte nicht gelöscht werden: ' + error.message, 'error');
+      throw error;
+    }
+  }
+
+  /**
+   * Change sentiment thresholds / bucket mode of the viewer (e.g. per corpus)
+   * @param {Object} config - { mode: 'three' | 'five' | 'gradient', negativeThreshold, positiveThreshold, strongThreshold, neutralBand }
+   */
+  setSentimentScale(config) {
+    this.options.sentimentScale = config;
+    this.annotationsViewer?.setSentimentScale(config);
+    this.sentimentTimeline?.setSentimentScale(config);
+    this.sentimentSummary?.setSentimentScale(config);
+  }
+
+  /**
+   * Apply stored preferences of the signed-in user to the components
+   * @private
+   */
+  async applyUserPreferences() {
+    try {
+      const preferences = await this.markerService.getUserPreferences();
+
+      if (preferences.palette) {
+        this.annotationsViewer.setPalette(preferences.palette, { notify: false });
+        this.sentimentTimeline.setPalette(preferences.palette);
+        this.sentimentSummary.setPalette(preferences.palette);
+      }
+
+      if (preferences.statisticsPeriod) {
+        this.options.statisticsPeriod = preferences.statisticsPeriod;
+      }
+
+    } catch (error) {
+      console.warn('Could not load user preferences:', error);
+    }
+  }
+
+  /**
+   * Persist preferences of the signed-in user
+   * @param {Object} preferences - Changed preferences, e.g. { palette }
+   */
+  async saveUserPreferences(preferences) {
+    if (!await this.markerService.getCurrentUserId()) return;
+
+    try {
+      await this.markerService.updateUserPreferences(preferences);
+    } catch (error) {
+      this.showNotification('Einstellungen konnten nicht gespeichert werden: ' + error.message, 'warning');
+    }
+  }
+
+  /**
+   * Set the emotion taxonomy requested for jobs uploaded from now on
+   * @param {string} name - 'ekman' | 'plutchik' | 'goemotions' or a taxonomy added via EmotionTaxonomy.register
+   */
+  setEmotionTaxonomy(name) {
+    this.options.emotionTaxonomy = EmotionTaxonomy.get(name).name;
+    this.uploadComponent.setEmotionTaxonomy(this.options.emotionTaxonomy);
+  }
+
+  /**
+   * Get the emotion taxonomy a job was processed with
+   * @private
+   */
+  getJobEmotionTaxonomy(jobData) {
+    return jobData?.options?.emotion_taxonomy || this.options.emotionTaxonomy;
+  }
+
+  /**
+   * Select an annotation in the viewer and scroll to it
+   * @param {string} annotationId - Annotation ID
+   */
+  showAnnotation(annotationId) {
+    this.annotationsViewer.selectAnnotationById(annotationId);
+    this.annotationsViewer.scrollToAnnotation(annotationId);
+  }
+
+  /**
+   * Wire the period selector and start live statistics for the signed-in user
+   * @private
+   */
+  async initializeStatistics() {
+    document.querySelectorAll('#stats-period [data-period]').forEach(link => {
+      link.addEventListener('click', () => this.setStatisticsPeriod(link.dataset.period));
+    });
+    this.updatePeriodSelector();
+
+    if (!this.userId) return;
+
+    await this.analyticsService.subscribe(this.userId, () => this.refreshStatistics());
+    await this.refreshStatistics();
+  }
+
+  /**
+   * Change the period of the statistics cards
+   * @param {string} period - 'today' | '7d' | '30d'
+   */
+  async setStatisticsPeriod(period) {
+    if (period === this.options.statisticsPeriod) return;
+
+    this.options.statisticsPeriod = period;
+    this.updatePeriodSelector();
+    this.saveUserPreferences({ statisticsPeriod: period });
+    await this.refreshStatistics();
+  }
+
+  /**
+   * Mark the active period
+   * @private
+   */
+  updatePeriodSelector() {
+    document.querySelectorAll('#stats-period [data-period]').forEach(link => {
+      const active = link.dataset.period === this.options.statisticsPeriod;
+      link.classList.toggle('active', active);
+      link.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+  }
+
+  /**
+   * Reload the statistics cards
+   */
+  async refreshStatistics() {
+    if (!this.userId) return;
+
+    const request = ++this.statisticsRequest;
+
+    try {
+      const statistics = await this.analyticsService.getStatistics(this.userId, this.options.statisticsPeriod);
+      if (request !== this.statisticsRequest) return;
+
+      this.renderStatistics(statistics);
+
+    } catch (error) {
+      // Live refreshes fail silently, the cards keep their last values
+      console.warn('Could not load statistics:', error);
+    }
+  }
+
+  /**
+   * Show statistics and trends in the cards
+   * @private
+   */
+  renderStatistics({ period, current, trends }) {
+    const comparison = this.analyticsService.getPeriods().find(entry => entry.name === period);
+
+    const cards = [
+      { key: 'documents', value: current.documents, trend: trends.documents },
+      { key: 'annotations', value: current.annotations, trend: trends.annotations },
+      {
+        key: 'sentiment',
+        value: current.averageSentiment !== null ? current.averageSentiment.toFixed(2) : '–',
+        trend: trends.averageSentiment,
+        decimals: 2,
+      },
+      { key: 'analyses', value: current.analyses, trend: trends.analyses },
+    ];
+
+    cards.forEach(({ key, value, trend, decimals = 0 }) => {
+      const valueElement = document.getElementById(`stats-${key}`);
+      const trendElement = document.getElementById(`stats-${key}-trend`);
+      if (!valueElement || !trendElement) return;
+
+      valueElement.textContent = value;
+
+      // Relative change for counts, absolute change without a previous value and for the sentiment
+      const delta = trend.delta;
+      const sign = delta > 0 ? '+' : '';
+
+      if (delta === null) {
+        trendElement.textContent = '–';
+      } else if (trend.percent !== null && trend.percent !== undefined) {
+        trendElement.textContent = `${sign}${Math.round(trend.percent)}%`;
+      } else {
+        trendElement.textContent = `${sign}${delta.toFixed(decimals)}`;
+      }
+
+      trendElement.classList.toggle('text-success', delta > 0);
+      trendElement.classList.toggle('text-danger', delta < 0);
+    });
+
+    document.querySelectorAll('[data-stats-comparison]').forEach(element => {
+      element.textContent = `ggü. ${comparison?.previousLabel || 'Vorperiode'}`;
+    });
+  }
+
+  /**
+   * Get a page of the signed-in user's job history
+   * @param {Object} query - See MarkerEngineService.getUserJobHistory
+   * @returns {Promise<Object>} { jobs, nextCursor }
    */
-  async loadJobHistory(userId, limit = 20) {
+  async loadJobHistory(query = {}) {
+    if (!this.userId) return { jobs: [], nextCursor: null };
+
     try {
-      const history = await this.markerService.getUserJobHistory(userId, limit);
-      console.log('Job history:', history);
-      return history;
+      return await this.markerService.getUserJobHistory(this.userId, query);
 
     } catch (error) {
       console.error('Error loading job history:', error);
       this.showNotification('Fehler beim Laden der Historie: ' + error.message, 'error');
-      return [];
+      throw error;
     }
   }
 
   /**
-   * Cancel current job
+   * Reopen a job from the history in the viewer
+   * Jobs that are still running are tracked again and resubscribed to realtime.
+   * @param {Object} jobData - marker_jobs row
    */
-  async cancelCurrentJob() {
-    if (!this.currentJobId) {
+  async openJob(jobData) {
+    if (!this.jobs.has(jobData.id)) {
+      this.jobs.set(jobData.id, {
+        jobId: jobData.id,
+        queueItemId: null,
+        fileName: jobData.file_name,
+        status: jobData.status,
+        data: jobData,
+        analysis: null,
+      });
+
+      if (jobData.status === 'pending' || jobData.status === 'processing') {
+        this.statusComponent.startTracking(jobData);
+        await this.subscribeToJobUpdates(jobData.id);
+      }
+    }
+
+    await this.selectJob(jobData.id);
+  }
+
+  /**
+   * Show a job's annotations in the viewer
+   */
+  async selectJob(jobId) {
+    if (!this.jobs.has(jobId)) return;
+
+    const job = this.jobs.get(jobId);
+
+    this.currentJobId = jobId;
+    this.routeAnnotationId = null;
+    this.historyComponent.highlightJob(jobId);
+    this.annotationsViewer.clear();
+    this.sentimentTimeline.clear();
+    this.sentimentSummary.clear();
+    this.annotationsViewer.setEmotionTaxonomy(this.getJobEmotionTaxonomy(job.data));
+    this.sentimentSummary.setEmotionTaxonomy(this.getJobEmotionTaxonomy(job.data));
+    this.sentimentSummary.setAnalysis(job.analysis);
+
+    if (job.analysis?.status === 'completed') {
+      this.annotationsViewer.setDocumentSentiment(job.analysis);
+    }
+
+    this.updateRoute();
+
+    if (job.status === 'completed') {
+      await this.loadAnnotations(jobId);
+    } else if (job.status === 'processing') {
+      // Annotations streamed before the job was opened (e.g. before a reload)
+      const annotations = await this.markerService.getAnnotations(jobId).catch(() => []);
+      if (this.currentJobId === jobId) {
+        this.annotationsViewer.loadAnnotations(annotations);
+      }
+    }
+  }
+
+  /**
+   * Close the job shown in the viewer and empty the viewer, timeline and summary
+   */
+  closeJob() {
+    this.currentJobId = null;
+    this.routeAnnotationId = null;
+    this.historyComponent.highlightJob(null);
+    this.statusComponent.highlightJob(null);
+    this.annotationsViewer.clear();
+    this.sentimentTimeline.clear();
+    this.sentimentSummary.clear();
+    this.updateRoute();
+  }
+
+  /**
+   * Open the job and viewer state encoded in the URL
+   * Runs on load and on back/forward navigation; running jobs are resubscribed by openJob.
+   */
+  async restoreRoute() {
+    const route = UrlState.read();
+    this.routeAnnotationId = null;
+    this.isRestoringRoute = true;
+
+    try {
+      if (!route.jobId) {
+        if (this.currentJobId) {
+          this.closeJob();
+        }
+        return;
+      }
+
+      if (route.jobId !== this.currentJobId) {
+        const jobData = this.jobs.get(route.jobId)?.data || await this.markerService.getJobStatus(route.jobId);
+        await this.openJob(jobData);
+      }
+
+      // Read again now that the job's taxonomy is known, which the emotion filter is checked against
+      const viewState = UrlState.read(undefined, { emotionTaxonomy: this.annotationsViewer.getEmotionTaxonomy() });
+      if (this.annotationsViewer.setViewState(viewState)) return;
+
+      const status = this.jobs.get(route.jobId)?.status;
+      if (status === 'pending' || status === 'processing') {
+        // Selected as soon as realtime delivers it
+        this.routeAnnotationId = route.annotationId;
+      } else {
+        this.showNotification('Die verlinkte Passage wurde nicht gefunden', 'warning');
+      }
+
+    } catch (error) {
+      console.error('Error restoring route:', error);
+      this.showNotification('Der verlinkte Job konnte nicht geöffnet werden: ' + error.message, 'error');
+
+    } finally {
+      this.isRestoringRoute = false;
+      this.updateRoute();
+    }
+  }
+
+  /**
+   * Mirror the shown job and viewer state into the URL
+   * Switching jobs adds a history entry, changes within a job replace the current one.
+   * @private
+   */
+  updateRoute() {
+    if (this.isRestoringRoute) return;
+
+    UrlState.write(this.getRouteState(), {
+      replace: UrlState.read().jobId === this.currentJobId,
+    });
+  }
+
+  /**
+   * Get the shown job and viewer state for UrlState
+   * @private
+   */
+  getRouteState() {
+    if (!this.currentJobId) return { jobId: null };
+
+    const viewState = this.annotationsViewer.getViewState();
+    return {
+      ...viewState,
+      jobId: this.currentJobId,
+      annotationId: viewState.annotationId || this.routeAnnotationId,
+    };
+  }
+
+  /**
+   * Select the linked annotation once it has been streamed
+   * @private
+   */
+  showRouteAnnotation(annotations) {
+    const annotationId = this.routeAnnotationId;
+    if (!annotationId || !annotations.some(annotation => String(annotation.id) === annotationId)) return;
+
+    this.routeAnnotationId = null;
+    this.showAnnotation(annotationId);
+  }
+
+  /**
+   * Copy a link to an annotation of the shown job
+   * @param {Object} annotation - Annotation to link
+   */
+  async shareAnnotation(annotation) {
+    const url = UrlState.build({ ...this.getRouteState(), annotationId: String(annotation.id) });
+
+    try {
+      await navigator.clipboard.writeText(url);
+      this.showNotification('Link zur Passage kopiert', 'success');
+
+    } catch (error) {
+      // The clipboard API needs a secure context and permission
+      window.prompt('Link zur Passage:', url);
+    }
+  }
+
+  /**
+   * Cancel a job
+   * Marks the job as cancelled, optionally removes the uploaded file and
+   * tears down the realtime channel.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} Server-confirmed job row
+   */
+  async cancelJob(jobId) {
+    if (!jobId) {
       this.showNotification('Kein aktiver Job zum Abbrechen', 'warning');
-      return;
+      return null;
     }
 
     try {
-      await this.markerService.cancelJob(this.currentJobId);
-      this.showNotification('Job erfolgreich abgebrochen', 'info');
+      const job = await this.markerService.cancelJob(jobId, {
+        removeArtifacts: this.options.removeArtifactsOnCancel,
+      });
 
       // Unsubscribe from updates
-      await this.realtimeService.unsubscribeFromJob(this.currentJobId);
+      await this.realtimeService.unsubscribeFromJob(jobId);
+
+      this.updateJob(job);
+      this.statusComponent.updateStatus(job);
+
+      // Its annotations, timeline, summary and undo history must not stay on screen
+      if (this.currentJobId === jobId) {
+        this.closeJob();
+      }
 
-      this.currentJobId = null;
+      this.showNotification('Job erfolgreich abgebrochen', 'info');
+      return job;
 
     } catch (error) {
       console.error('Error cancelling job:', error);
-      this.showNotification('Fehler beim Abbrechen: ' + error.message, 'error');
+
+      if (error.code === 'JOB_NOT_CANCELLABLE') {
+        this.updateJob(error.job);
+        this.showNotification(error.message, 'warning');
+      } else {
+        this.showNotification('Fehler beim Abbrechen: ' + error.message, 'error');
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel current job
+   */
+  async cancelCurrentJob() {
+    try {
+      await this.cancelJob(this.currentJobId);
+    } catch (error) {
+      // Already reported by cancelJob
     }
   }
 
@@ -384,7 +1117,14 @@ class MarkerIntegrationApp {
     this.uploadComponent?.reset();
     this.statusComponent?.reset();
     this.annotationsViewer?.clear();
+    this.sentimentTimeline?.clear();
+    this.historyComponent?.highlightJob(null);
+    this.uploadQueue?.clear();
+    this.jobs.clear();
     this.currentJobId = null;
+    this.routeAnnotationId = null;
+    this.sentimentSummary?.clear();
+    this.updateRoute();
     console.log('✓ Application reset');
   }
 
@@ -393,7 +1133,10 @@ class MarkerIntegrationApp {
    */
   async cleanup() {
     try {
+      // Upload offsets stay stored, so the uploads resume when the files are selected again
+      this.markerService?.uploader.abortAll();
       await this.realtimeService?.unsubscribeAll();
+      await this.analyticsService?.unsubscribe();
       this.markerService?.clearCache();
       console.log('✓ Cleanup complete');
 
@@ -409,7 +1152,7 @@ class MarkerIntegrationApp {
     console.log(`[${type.toUpperCase()}] ${message}`);
 
     // If Bootstrap notify is available
-    if (typeof $.notify === 'function') {
+    if (typeof $ !== 'undefined' && typeof $.notify === 'function') {
       const iconMap = {
         success: 'check_circle',
         error: 'error',
@@ -419,7 +1162,8 @@ class MarkerIntegrationApp {
 
       $.notify({
         icon: iconMap[type] || 'notifications',
-        message: message
+        // bootstrap-notify inserts the message as HTML; file names are user input
+        message: HtmlUtils.escapeHtml(message)
       }, {
         type: type,
         timer: 4000,
@@ -444,10 +1188,17 @@ class MarkerIntegrationApp {
   getCurrentJobId() {
     return this.currentJobId;
   }
+
+  /**
+   * Get all tracked jobs
+   */
+  getJobs() {
+    return Array.from(this.jobs.values());
+  }
 }
 
-// Create global app instance
-window.markerApp = new MarkerIntegrationApp();
+// Create global app instance (pages can set window.MarkerAppOptions before this script)
+window.markerApp = new MarkerIntegrationApp(window.MarkerAppOptions);
 
 // Initialize on DOM ready
 if (document.readyState === 'loading') {
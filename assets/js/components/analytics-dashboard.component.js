@@ -0,0 +1,441 @@
+/**
+ * Analytics Dashboard Component
+ * Charts of the user's processing and sentiment history (Chart.js)
+ */
+
+// Emotions beyond this number are grouped as "Sonstige" in the weekly mix
+const DASHBOARD_EMOTION_LIMIT = 6;
+
+class AnalyticsDashboardComponent {
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.options = {
+      days: options.days || 30,
+      ranges: options.ranges || [7, 30, 90],
+      language: options.language || 'de',
+      onRangeChange: options.onRangeChange || null, // Called with (days)
+    };
+
+    this.charts = {};
+    this.init();
+  }
+
+  /**
+   * Initialize component
+   */
+  init() {
+    if (!this.container) {
+      console.error('Analytics dashboard container not found');
+      return;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Render dashboard UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="analytics-dashboard">
+        <div class="analytics-header">
+          <div class="analytics-status" id="analytics-status"></div>
+          <div class="analytics-controls">
+            <label class="detail-label" for="analytics-range">Zeitraum</label>
+            <select class="form-control" id="analytics-range">
+              ${this.options.ranges.map(days => `
+                <option value="${days}" ${days === this.options.days ? 'selected' : ''}>Letzte ${days} Tage</option>
+              `).join('')}
+            </select>
+          </div>
+        </div>
+
+        <div class="analytics-grid">
+          <div class="analytics-card">
+            <h6>Verarbeitete Dokumente pro Tag</h6>
+            <div class="analytics-chart"><canvas id="analytics-documents"></canvas></div>
+          </div>
+          <div class="analytics-card">
+            <h6>Ø Sentiment im Zeitverlauf</h6>
+            <div class="analytics-chart"><canvas id="analytics-sentiment"></canvas></div>
+          </div>
+          <div class="analytics-card">
+            <h6>Emotionsmix pro Woche</h6>
+            <div class="analytics-chart"><canvas id="analytics-emotions"></canvas></div>
+          </div>
+          <div class="analytics-card">
+            <h6>Bearbeitungszeit <span class="analytics-note" id="analytics-processing-median"></span></h6>
+            <div class="analytics-chart"><canvas id="analytics-processing"></canvas></div>
+          </div>
+          <div class="analytics-card analytics-card-wide">
+            <h6>Fehlerquote <span class="analytics-note" id="analytics-failure-total"></span></h6>
+            <div class="analytics-chart"><canvas id="analytics-failures"></canvas></div>
+          </div>
+        </div>
+      </div>
+
+      <style>
+        .analytics-header {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          align-items: center;
+          gap: 15px;
+          margin-bottom: 20px;
+        }
+
+        .analytics-status {
+          font-size: 0.875rem;
+          color: #718096;
+        }
+
+        .analytics-status.error {
+          color: #e53e3e;
+        }
+
+        .analytics-controls {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+
+        .analytics-controls .detail-label {
+          margin: 0;
+          font-size: 0.75rem;
+          text-transform: uppercase;
+          color: #718096;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .analytics-controls select {
+          width: auto;
+          background: white;
+          padding: 4px 10px;
+        }
+
+        .analytics-grid {
+          display: grid;
+          grid-template-columns: repeat(2, minmax(0, 1fr));
+          gap: 24px;
+        }
+
+        @media (max-width: 992px) {
+          .analytics-grid {
+            grid-template-columns: 1fr;
+          }
+        }
+
+        .analytics-card {
+          background: white;
+          border-radius: 12px;
+          padding: 20px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+
+        .analytics-card-wide {
+          grid-column: 1 / -1;
+        }
+
+        .analytics-card h6 {
+          color: #2d3748;
+          font-weight: 600;
+          margin-bottom: 12px;
+        }
+
+        .analytics-note {
+          font-weight: 400;
+          font-size: 0.875rem;
+          color: #718096;
+          margin-left: 6px;
+        }
+
+        .analytics-chart {
+          position: relative;
+          height: 260px;
+        }
+      </style>
+    `;
+
+    this.attachEventListeners();
+    this.createCharts();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    document.getElementById('analytics-range').addEventListener('change', (e) => {
+      this.options.days = Number(e.target.value);
+
+      if (this.options.onRangeChange) {
+        this.options.onRangeChange(this.options.days);
+      }
+    });
+  }
+
+  /**
+   * Create the Chart.js instances
+   * @private
+   */
+  createCharts() {
+    if (typeof Chart === 'undefined') {
+      console.error('Chart.js not loaded');
+      this.showError('Chart.js wurde nicht geladen');
+      return;
+    }
+
+    const create = (id, config) => new Chart(document.getElementById(id).getContext('2d'), {
+      ...config,
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        ...config.options,
+      },
+    });
+
+    this.charts.documents = create('analytics-documents', {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{ label: 'Dokumente', data: [], backgroundColor: '#1a73e8', borderRadius: 4, maxBarThickness: 14 }],
+      },
+      options: {
+        plugins: { legend: { display: false } },
+        scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+      },
+    });
+
+    this.charts.sentiment = create('analytics-sentiment', {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Ø Sentiment',
+          data: [],
+          borderColor: '#48bb78',
+          backgroundColor: 'rgba(72, 187, 120, 0.15)',
+          fill: true,
+          spanGaps: true,
+          tension: 0.3,
+          pointRadius: 2,
+        }],
+      },
+      options: {
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => `Ø ${context.raw.toFixed(2)}`,
+            },
+          },
+        },
+        scales: { y: { min: -1, max: 1 } },
+      },
+    });
+
+    this.charts.emotions = create('analytics-emotions', {
+      type: 'bar',
+      data: { labels: [], datasets: [] },
+      options: {
+        plugins: {
+          legend: { position: 'bottom' },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.dataset.label}: ${Math.round(context.raw * 100)}%`,
+            },
+          },
+        },
+        scales: {
+          x: { stacked: true },
+          y: {
+            stacked: true,
+            min: 0,
+            max: 1,
+            ticks: { callback: (value) => `${Math.round(value * 100)}%` },
+          },
+        },
+      },
+    });
+
+    this.charts.processing = create('analytics-processing', {
+      type: 'bar',
+      data: {
+        labels: [],
+        datasets: [{ label: 'Jobs', data: [], backgroundColor: '#805ad5', borderRadius: 4 }],
+      },
+      options: {
+        plugins: { legend: { display: false } },
+        scales: { y: { beginAtZero: true, ticks: { precision: 0 } } },
+      },
+    });
+
+    this.charts.failures = create('analytics-failures', {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Fehlerquote',
+          data: [],
+          borderColor: '#e53e3e',
+          backgroundColor: 'rgba(229, 62, 62, 0.1)',
+          fill: true,
+          spanGaps: true,
+          tension: 0.3,
+          pointRadius: 2,
+        }],
+      },
+      options: {
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${Math.round(context.raw * 100)}%`,
+            },
+          },
+        },
+        scales: {
+          y: {
+            min: 0,
+            max: 1,
+            ticks: { callback: (value) => `${Math.round(value * 100)}%` },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Show analytics from AnalyticsService.getDashboardAnalytics
+   * @param {Object} analytics - { days, documentsPerDay, sentimentTrend, emotionsPerWeek, processingTimes, failureRate }
+   */
+  setData(analytics) {
+    if (!this.charts.documents) return;
+
+    const dayLabels = analytics.days.map(day => this.formatDay(day));
+
+    this.updateChart('documents', dayLabels, [analytics.documentsPerDay.map(entry => entry.count)]);
+    this.updateChart('sentiment', dayLabels, [analytics.sentimentTrend.map(entry => entry.average)]);
+    this.updateEmotionChart(analytics.emotionsPerWeek);
+
+    const { processingTimes, failureRate } = analytics;
+    this.updateChart('processing', processingTimes.buckets.map(bucket => bucket.label), [
+      processingTimes.buckets.map(bucket => bucket.count),
+    ]);
+    document.getElementById('analytics-processing-median').textContent = processingTimes.median !== null
+      ? `Median ${this.formatDuration(processingTimes.median)}`
+      : '';
+
+    this.updateChart('failures', dayLabels, [failureRate.perDay.map(entry => entry.rate)]);
+    document.getElementById('analytics-failure-total').textContent = failureRate.rate !== null
+      ? `${(failureRate.rate * 100).toFixed(1)}% (${failureRate.failed} von ${failureRate.finished} Jobs)`
+      : '';
+
+    this.setStatus(`Stand: ${new Date().toLocaleTimeString(this.options.language)}`);
+  }
+
+  /**
+   * Replace labels and dataset values of a chart
+   * @private
+   */
+  updateChart(name, labels, values) {
+    const chart = this.charts[name];
+    chart.data.labels = labels;
+    values.forEach((data, index) => {
+      chart.data.datasets[index].data = data;
+    });
+    chart.update();
+  }
+
+  /**
+   * Build one stacked dataset per emotion; rare emotions are grouped
+   * @private
+   */
+  updateEmotionChart(weeks) {
+    const totals = new Map();
+    weeks.forEach(({ emotions }) => {
+      Object.entries(emotions).forEach(([emotion, share]) => {
+        totals.set(emotion, (totals.get(emotion) || 0) + share);
+      });
+    });
+
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]).map(([emotion]) => emotion);
+    const shown = ranked.length > DASHBOARD_EMOTION_LIMIT ? ranked.slice(0, DASHBOARD_EMOTION_LIMIT - 1) : ranked;
+    const grouped = ranked.filter(emotion => !shown.includes(emotion));
+
+    const datasets = shown.map(emotion => ({
+      label: EmotionTaxonomy.getLabel(emotion, this.options.language),
+      data: weeks.map(week => week.emotions[emotion] || 0),
+      backgroundColor: EmotionTaxonomy.getColor(emotion).border,
+    }));
+
+    if (grouped.length > 0) {
+      datasets.push({
+        label: 'Sonstige',
+        data: weeks.map(week => grouped.reduce((sum, emotion) => sum + (week.emotions[emotion] || 0), 0)),
+        backgroundColor: '#cbd5e0',
+      });
+    }
+
+    const chart = this.charts.emotions;
+    chart.data.labels = weeks.map(week => `KW ab ${this.formatDay(week.week)}`);
+    chart.data.datasets = datasets;
+    chart.update();
+  }
+
+  /**
+   * Show loading state
+   */
+  setLoading(loading) {
+    if (loading) this.setStatus('Lade Daten…');
+  }
+
+  /**
+   * Show error
+   */
+  showError(message) {
+    this.setStatus(message, true);
+  }
+
+  /**
+   * Set status text
+   * @private
+   */
+  setStatus(text, isError = false) {
+    const status = document.getElementById('analytics-status');
+    status.textContent = text;
+    status.classList.toggle('error', isError);
+  }
+
+  /**
+   * Format a YYYY-MM-DD key as short date
+   * @private
+   */
+  formatDay(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(year, month - 1, date).toLocaleDateString(this.options.language, { day: '2-digit', month: '2-digit' });
+  }
+
+  /**
+   * Format seconds as "45 s" or "3:20 min"
+   * @private
+   */
+  formatDuration(seconds) {
+    const total = Math.round(seconds);
+    if (total < 60) return `${total} s`;
+
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')} min`;
+  }
+
+  /**
+   * Destroy charts
+   */
+  destroy() {
+    Object.values(this.charts).forEach(chart => chart.destroy());
+    this.charts = {};
+  }
+}
+
+// Export for global use
+window.AnalyticsDashboardComponent = AnalyticsDashboardComponent;
@@ -3,6 +3,16 @@
  * Real-time visualization of text annotations with sentiment highlighting
  */
 
+// Filters of the toolbar; annotations without confidence (e.g. manual ones) pass any minimum
+const DEFAULT_ANNOTATION_FILTERS = {
+  query: '',
+  sentimentMin: -1,
+  sentimentMax: 1,
+  emotion: '', // '' = all emotions
+  minConfidence: 0,
+  origin: 'all', // 'all' | 'human' | 'machine'
+};
+
 class AnnotationsViewerComponent {
   constructor(containerId, options = {}) {
     this.container = document.getElementById(containerId);
@@ -10,12 +20,51 @@ class AnnotationsViewerComponent {
       showSentiment: options.showSentiment !== false,
       showEmotion: options.showEmotion !== false,
       highlightMode: options.highlightMode || 'sentiment', // 'sentiment' | 'emotion' | 'none'
+      viewMode: options.viewMode || 'structured', // 'structured' | 'plain'
+      blockSize: options.blockSize || 4000, // Characters per rendered document block
+      listBlockSize: options.listBlockSize || 250, // Annotations per block while no document text is loaded
       onAnnotationClick: options.onAnnotationClick || null,
       onAnnotationHover: options.onAnnotationHover || null,
+      onAnnotationCreate: options.onAnnotationCreate || null, // Returns a promise with the saved annotation
+      onAnnotationUpdate: options.onAnnotationUpdate || null, // Called with (annotation, updates), returns the saved annotation
+      onAnnotationDelete: options.onAnnotationDelete || null, // Called with (annotation)
+      onAnnotationsChange: options.onAnnotationsChange || null, // Called with (annotations) after any add, update or removal
+      reviewerId: options.reviewerId || null,
+      historyLimit: options.historyLimit || 100,
+      sortBy: options.sortBy || 'position', // 'position' | 'score' | 'magnitude'
+      sentimentScale: SentimentScale.normalize(options.sentimentScale), // Thresholds and 'three' | 'five' | 'gradient'
+      emotionTaxonomy: EmotionTaxonomy.get(options.emotionTaxonomy).name, // 'ekman' | 'plutchik' | 'goemotions'
+      language: options.language || 'de', // Language of emotion labels
+      palette: HighlightPalettes.get(options.palette).name, // 'default' | 'colorblind' | 'high-contrast' | 'monochrome'
+      onPaletteChange: options.onPaletteChange || null, // Called with (paletteName) when the user picks a palette
+      onViewStateChange: options.onViewStateChange || null, // Called with getViewState() after selection, mode, filter or sort changes
+      onAnnotationShare: options.onAnnotationShare || null, // Called with (annotation); shows a "copy link" button in the details
     };
 
     this.annotations = [];
+    this.annotationsById = new Map();
+    this.documentText = null;
+    this.documentMarkdown = null;
+    this.documentAnalysis = null;
     this.selectedAnnotation = null;
+    this.layout = null;
+    this.virtualList = null;
+    this.pendingDraft = null;
+    this.nextPendingId = 1;
+    this.reviewMode = false;
+    this.reviewFilter = 'all'; // 'all' | 'disputed'
+    this.reviewProgressFrame = null;
+    this.history = { undo: [], redo: [] };
+    this.historyIds = new Map(); // ID of a deleted annotation → ID of its re-created row
+    this.historyBusy = false;
+    this.historyReplaying = false;
+    this.filters = { ...DEFAULT_ANNOTATION_FILTERS, ...options.filters };
+    this.defaultViewState = { highlightMode: this.options.highlightMode, sortBy: this.options.sortBy };
+    this.applyingViewState = false; // Batches the change notifications of setViewState
+    this.filterInputTimer = null;
+    this.filterStatusFrame = null;
+    this.emotionStyles = new Set(); // Emotion class tokens with a generated CSS rule
+    this.sentimentLevels = HighlightPalettes.getSentimentLevels(HighlightPalettes.get(this.options.palette));
     this.init();
   }
 
@@ -40,6 +89,18 @@ class AnnotationsViewerComponent {
         <div class="viewer-header">
           <h5>Text Annotations</h5>
           <div class="viewer-controls">
+            <div class="highlight-mode-selector view-mode-selector" id="view-mode-selector" style="display: none;">
+              <button class="view-btn ${this.options.viewMode === 'structured' ? 'active' : ''}"
+                      data-view="structured">
+                <i class="material-icons">article</i>
+                Strukturiert
+              </button>
+              <button class="view-btn ${this.options.viewMode === 'plain' ? 'active' : ''}"
+                      data-view="plain">
+                <i class="material-icons">notes</i>
+                Nur Text
+              </button>
+            </div>
             <div class="highlight-mode-selector">
               <button class="mode-btn ${this.options.highlightMode === 'sentiment' ? 'active' : ''}"
                       data-mode="sentiment">
@@ -57,29 +118,150 @@ class AnnotationsViewerComponent {
                 Aus
               </button>
             </div>
+            <select class="form-control palette-select" id="palette-select" title="Farbschema">
+              ${HighlightPalettes.list(this.options.language).map(palette => `
+                <option value="${palette.name}" ${palette.name === this.options.palette ? 'selected' : ''}>
+                  ${HtmlUtils.escapeHtml(palette.label)}
+                </option>
+              `).join('')}
+            </select>
+            <div class="highlight-mode-selector">
+              <button class="history-btn" id="undo-button" title="Rückgängig (Strg+Z)" disabled>
+                <i class="material-icons">undo</i>
+              </button>
+              <button class="history-btn" id="redo-button" title="Wiederholen (Strg+Umschalt+Z)" disabled>
+                <i class="material-icons">redo</i>
+              </button>
+            </div>
+            <div class="highlight-mode-selector">
+              <button class="review-btn" id="review-toggle">
+                <i class="material-icons">fact_check</i>
+                Review
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div class="review-bar" id="review-bar" style="display: none;">
+          <div class="review-progress">
+            <span id="review-progress-text">0 / 0 geprüft</span>
+            <div class="review-progress-track">
+              <div class="review-progress-fill" id="review-progress-fill" style="width: 0%"></div>
+            </div>
+          </div>
+          <label class="review-filter">
+            <input type="checkbox" id="review-disputed-only">
+            Nur strittige
+          </label>
+          <div class="review-nav">
+            <button class="btn btn-sm btn-outline-secondary" data-review-action="previous" title="Vorherige (K)">
+              <i class="material-icons">chevron_left</i>
+            </button>
+            <button class="btn btn-sm btn-outline-secondary" data-review-action="next" title="Nächste (J)">
+              <i class="material-icons">chevron_right</i>
+            </button>
           </div>
+          <small class="review-shortcuts">J/K: Navigation · A: Akzeptieren · R: Ablehnen · C: Korrigieren</small>
         </div>
 
+        <div class="document-sentiment" id="document-sentiment" style="display: none;"></div>
+
         <div class="viewer-legend" id="viewer-legend">
           <!-- Legend will be inserted here -->
         </div>
 
+        <div class="filter-bar" id="filter-bar">
+          <div class="filter-search">
+            <i class="material-icons">search</i>
+            <input type="search" class="form-control" id="filter-search" placeholder="Annotations durchsuchen"
+                   value="${HtmlUtils.escapeHtml(this.filters.query)}">
+          </div>
+          <div class="filter-field">
+            <label class="detail-label">Sentiment <span id="filter-sentiment-value"></span></label>
+            <div class="filter-range">
+              <input type="range" id="filter-sentiment-min" min="-1" max="1" step="0.05" value="${this.filters.sentimentMin}">
+              <input type="range" id="filter-sentiment-max" min="-1" max="1" step="0.05" value="${this.filters.sentimentMax}">
+            </div>
+          </div>
+          <div class="filter-field">
+            <label class="detail-label" for="filter-emotion">Emotion</label>
+            <select class="form-control" id="filter-emotion">
+              <option value="">Alle</option>
+              ${this.renderEmotionOptions(this.filters.emotion || null)}
+            </select>
+          </div>
+          <div class="filter-field">
+            <label class="detail-label" for="filter-confidence">
+              Min. Konfidenz <span id="filter-confidence-value"></span>
+            </label>
+            <input type="range" id="filter-confidence" min="0" max="1" step="0.05" value="${this.filters.minConfidence}">
+          </div>
+          <div class="filter-field">
+            <label class="detail-label" for="filter-origin">Herkunft</label>
+            <select class="form-control" id="filter-origin">
+              <option value="all" ${this.filters.origin === 'all' ? 'selected' : ''}>Alle</option>
+              <option value="human" ${this.filters.origin === 'human' ? 'selected' : ''}>Manuell</option>
+              <option value="machine" ${this.filters.origin === 'machine' ? 'selected' : ''}>Modell</option>
+            </select>
+          </div>
+          <div class="filter-field">
+            <label class="detail-label" for="filter-sort">Sortierung</label>
+            <select class="form-control" id="filter-sort">
+              <option value="position" ${this.options.sortBy === 'position' ? 'selected' : ''}>Position</option>
+              <option value="score" ${this.options.sortBy === 'score' ? 'selected' : ''}>Score</option>
+              <option value="magnitude" ${this.options.sortBy === 'magnitude' ? 'selected' : ''}>Stärke</option>
+            </select>
+          </div>
+          <div class="filter-matches">
+            <span id="filter-match-count">0 Treffer</span>
+            <button class="btn btn-sm btn-outline-secondary" data-filter-action="previous" title="Vorheriger Treffer">
+              <i class="material-icons">chevron_left</i>
+            </button>
+            <button class="btn btn-sm btn-outline-secondary" data-filter-action="next" title="Nächster Treffer">
+              <i class="material-icons">chevron_right</i>
+            </button>
+            <button class="btn btn-sm btn-outline-secondary" data-filter-action="reset" title="Filter zurücksetzen">
+              <i class="material-icons">filter_alt_off</i>
+            </button>
+          </div>
+        </div>
+
         <div class="annotations-content" id="annotations-content">
-          <div class="empty-state">
+          <div class="empty-state" id="annotations-empty">
             <i class="material-icons">description</i>
             <p>Keine Annotations verfügbar</p>
             <small>Laden Sie ein Dokument hoch, um zu beginnen</small>
           </div>
+          <div class="annotations-blocks" id="annotations-blocks"></div>
+          <div class="unplaced-annotations" id="unplaced-annotations" style="display: none;"></div>
         </div>
 
         <div class="annotation-details" id="annotation-details" style="display: none;">
           <h6>Annotation Details</h6>
           <div id="annotation-details-content"></div>
         </div>
+
+        <div class="annotation-popover" id="annotation-popover" style="display: none;">
+          <div class="detail-label">Neue Annotation</div>
+          <div class="popover-excerpt" id="popover-excerpt"></div>
+          <label class="detail-label" for="popover-sentiment">
+            Sentiment <span id="popover-sentiment-value">0.00</span>
+          </label>
+          <input type="range" id="popover-sentiment" min="-1" max="1" step="0.05" value="0">
+          <label class="detail-label" for="popover-emotion">Emotion</label>
+          <select class="form-control" id="popover-emotion">
+            ${this.renderEmotionOptions('neutral')}
+          </select>
+          <div class="popover-actions">
+            <button class="btn btn-sm btn-outline-secondary" data-popover-action="cancel">Abbrechen</button>
+            <button class="btn btn-sm btn-primary" data-popover-action="save">Speichern</button>
+          </div>
+        </div>
       </div>
 
       <style>
         .annotations-viewer {
+          position: relative;
           background: white;
           border-radius: 12px;
           padding: 24px;
@@ -115,7 +297,10 @@ class AnnotationsViewerComponent {
           border-radius: 8px;
         }
 
-        .mode-btn {
+        .mode-btn,
+        .view-btn,
+        .review-btn,
+        .history-btn {
           display: flex;
           align-items: center;
           gap: 6px;
@@ -129,20 +314,129 @@ class AnnotationsViewerComponent {
           transition: all 0.2s;
         }
 
-        .mode-btn:hover {
+        .mode-btn:hover,
+        .view-btn:hover,
+        .review-btn:hover,
+        .history-btn:hover:not(:disabled) {
           background: #e2e8f0;
           color: #2d3748;
         }
 
-        .mode-btn.active {
+        .mode-btn.active,
+        .view-btn.active,
+        .review-btn.active {
           background: #1a73e8;
           color: white;
         }
 
-        .mode-btn i {
+        .mode-btn i,
+        .view-btn i,
+        .review-btn i,
+        .history-btn i {
           font-size: 18px;
         }
 
+        .palette-select {
+          width: auto;
+          padding: 6px 10px;
+          background: #f7fafc;
+          border-radius: 8px;
+          font-size: 0.875rem;
+        }
+
+        .history-btn:disabled {
+          opacity: 0.4;
+          cursor: default;
+        }
+
+        .review-bar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 20px;
+          margin-bottom: 20px;
+          padding: 12px 16px;
+          background: #f7fafc;
+          border-radius: 8px;
+        }
+
+        .review-progress {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          font-weight: 600;
+        }
+
+        .review-progress-track {
+          width: 160px;
+          height: 8px;
+          background: #e2e8f0;
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .review-progress-fill {
+          height: 100%;
+          background: #1a73e8;
+          transition: width 0.3s ease;
+        }
+
+        .review-filter {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin: 0;
+        }
+
+        .review-nav {
+          display: flex;
+          gap: 6px;
+        }
+
+        .review-nav .btn {
+          margin: 0;
+          padding: 4px 8px;
+        }
+
+        .review-shortcuts {
+          color: #718096;
+        }
+
+        .review-actions {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .annotated-text.review-accepted {
+          outline: 1px solid #48bb78;
+        }
+
+        .annotated-text.review-rejected {
+          text-decoration: line-through;
+          opacity: 0.7;
+        }
+
+        .annotated-text.review-corrected {
+          outline: 1px dashed #1a73e8;
+        }
+
+        .document-sentiment {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 20px;
+          margin-bottom: 20px;
+          padding: 12px 16px;
+          border-radius: 8px;
+          border-left: 4px solid #a0aec0;
+          background: #f7fafc;
+        }
+
+        .document-sentiment .detail-value {
+          font-weight: 600;
+        }
+
         .viewer-legend {
           display: flex;
           gap: 15px;
@@ -153,6 +447,57 @@ class AnnotationsViewerComponent {
           flex-wrap: wrap;
         }
 
+        .filter-bar {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: flex-end;
+          gap: 15px;
+          margin-bottom: 20px;
+          padding: 12px 16px;
+          background: #f7fafc;
+          border-radius: 8px;
+        }
+
+        .filter-search {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          flex: 1 1 200px;
+          color: #718096;
+        }
+
+        .filter-field {
+          display: flex;
+          flex-direction: column;
+          min-width: 120px;
+        }
+
+        .filter-field .detail-label {
+          white-space: nowrap;
+        }
+
+        .filter-range {
+          display: flex;
+          gap: 4px;
+        }
+
+        .filter-range input {
+          width: 80px;
+        }
+
+        .filter-matches {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .filter-matches .btn {
+          margin: 0;
+          padding: 4px 8px;
+        }
+
         .legend-item {
           display: flex;
           align-items: center;
@@ -167,6 +512,16 @@ class AnnotationsViewerComponent {
           border: 2px solid #cbd5e0;
         }
 
+        .legend-range {
+          color: #718096;
+        }
+
+        .legend-gradient {
+          width: 200px;
+          height: 12px;
+          border-radius: 6px;
+        }
+
         .annotations-content {
           min-height: 300px;
           max-height: 600px;
@@ -220,51 +575,124 @@ class AnnotationsViewerComponent {
           box-shadow: 0 0 0 3px rgba(26, 115, 232, 0.3);
         }
 
-        /* Sentiment highlighting */
-        .sentiment-positive {
-          background: #c6f6d5;
-          border-bottom: 2px solid #48bb78;
+        .annotated-text.pending {
+          opacity: 0.6;
         }
 
-        .sentiment-neutral {
-          background: #e2e8f0;
-          border-bottom: 2px solid #a0aec0;
+        .annotation-popover {
+          position: absolute;
+          z-index: 10;
+          width: 280px;
+          padding: 15px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 4px 16px rgba(0,0,0,0.2);
+        }
+
+        .annotation-popover input[type="range"] {
+          width: 100%;
+          margin-bottom: 10px;
+        }
+
+        .popover-excerpt {
+          max-height: 60px;
+          margin-bottom: 10px;
+          overflow: hidden;
+          font-style: italic;
+          font-size: 0.875rem;
+          color: #4a5568;
+        }
+
+        .popover-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+          margin-top: 12px;
+        }
+
+        /* Full document mode */
+        .annotations-content.document-mode {
+          white-space: pre-wrap;
+          word-wrap: break-word;
+        }
+
+        .document-mode .annotated-text {
+          padding: 0;
+        }
+
+        .annotated-text .annotated-text {
+          border-bottom-width: 3px;
+        }
+
+        /* Structured (markdown) mode */
+        .annotations-content.structured-mode {
+          white-space: normal;
+        }
+
+        .structured-mode .annotated-text {
+          padding: 0;
+        }
+
+        .structured-mode h1,
+        .structured-mode h2,
+        .structured-mode h3,
+        .structured-mode h4,
+        .structured-mode h5,
+        .structured-mode h6 {
+          margin: 1em 0 0.5em;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .structured-mode p {
+          margin: 0 0 0.75em;
+        }
+
+        .structured-mode li > p {
+          margin: 0;
         }
 
-        .sentiment-negative {
-          background: #fed7d7;
-          border-bottom: 2px solid #f56565;
+        .structured-mode pre {
+          padding: 12px;
+          background: #edf2f7;
+          border-radius: 6px;
+          white-space: pre-wrap;
+          font-size: 0.875rem;
         }
 
-        /* Emotion highlighting */
-        .emotion-joy {
-          background: #fef5e7;
-          border-bottom: 2px solid #f7dc6f;
+        .structured-mode blockquote {
+          margin: 0 0 0.75em;
+          padding-left: 12px;
+          border-left: 3px solid #cbd5e0;
+          color: #4a5568;
         }
 
-        .emotion-sadness {
-          background: #ebf5fb;
-          border-bottom: 2px solid #5dade2;
+        .structured-mode table {
+          margin-bottom: 0.75em;
+          border-collapse: collapse;
+          font-size: 0.875rem;
         }
 
-        .emotion-anger {
-          background: #fadbd8;
-          border-bottom: 2px solid #ec7063;
+        .structured-mode th,
+        .structured-mode td {
+          padding: 6px 10px;
+          border: 1px solid #e2e8f0;
         }
 
-        .emotion-fear {
-          background: #f4ecf7;
-          border-bottom: 2px solid #af7ac5;
+        .structured-mode th {
+          background: #edf2f7;
         }
 
-        .emotion-surprise {
-          background: #fdebd0;
-          border-bottom: 2px solid #f8b739;
+        .unplaced-annotations {
+          margin-top: 15px;
+          font-size: 0.875rem;
+          color: #718096;
+          white-space: normal;
         }
 
-        .emotion-neutral {
-          background: #f0f0f0;
-          border-bottom: 2px solid #bdc3c7;
+        /* Sentiment and emotion colors come from the active palette (see renderSentimentStyles) */
+        .sentiment-gradient {
+          border-bottom: 2px solid transparent;
         }
 
         .annotation-details {
@@ -326,6 +754,39 @@ class AnnotationsViewerComponent {
           transition: width 0.3s ease;
         }
 
+        .annotation-editor {
+          display: grid;
+          gap: 10px;
+          margin-top: 15px;
+          padding: 12px;
+          background: white;
+          border-radius: 6px;
+        }
+
+        .annotation-share {
+          margin-top: 15px;
+          text-align: right;
+        }
+
+        .annotation-editor input[type="range"] {
+          width: 100%;
+        }
+
+        .editor-range {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .editor-range input {
+          width: 110px;
+        }
+
+        .editor-error {
+          color: #e53e3e;
+          font-size: 0.875rem;
+        }
+
         .annotation-text-preview {
           grid-column: 1 / -1;
           background: white;
@@ -335,10 +796,22 @@ class AnnotationsViewerComponent {
           font-style: italic;
         }
       </style>
+      <style id="viewer-sentiment-styles">${this.renderSentimentStyles()}</style>
+      <style id="viewer-emotion-styles"></style>
     `;
 
+    // Only blocks near the visible part of the document are rendered
+    this.virtualList?.destroy();
+    this.virtualList = new VirtualBlockList(document.getElementById('annotations-blocks'), {
+      root: document.getElementById('annotations-content'),
+      renderBlock: (index) => this.renderBlock(index),
+    });
+
     this.attachEventListeners();
+    this.renderEmotionStyles();
     this.updateLegend();
+    this.updateFilterLabels();
+    this.renderAnnotations();
   }
 
   /**
@@ -353,6 +826,116 @@ class AnnotationsViewerComponent {
         this.setHighlightMode(mode);
       });
     });
+
+    this.container.querySelectorAll('.view-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setViewMode(btn.dataset.view));
+    });
+
+    const content = document.getElementById('annotations-content');
+
+    // Innermost span wins when annotations are nested
+    content.addEventListener('click', (e) => {
+      const span = e.target.closest('.annotated-text');
+      if (span && window.getSelection().isCollapsed) {
+        this.selectAnnotationById(span.dataset.annotationId);
+      }
+    });
+
+    // Selecting text offers to create a manual annotation
+    content.addEventListener('mouseup', () => {
+      setTimeout(() => this.handleTextSelection(), 0);
+    });
+
+    const popover = document.getElementById('annotation-popover');
+    const sentimentInput = document.getElementById('popover-sentiment');
+
+    sentimentInput.addEventListener('input', () => {
+      document.getElementById('popover-sentiment-value').textContent = Number(sentimentInput.value).toFixed(2);
+    });
+
+    popover.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-popover-action]')?.dataset.popoverAction;
+      if (action === 'save') this.saveDraft();
+      if (action === 'cancel') this.hideCreatePopover();
+    });
+
+    popover.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.hideCreatePopover();
+    });
+
+    // Review mode
+    document.getElementById('review-toggle').addEventListener('click', () => {
+      this.setReviewMode(!this.reviewMode);
+    });
+
+    document.getElementById('review-disputed-only').addEventListener('change', (e) => {
+      this.setReviewFilter(e.target.checked ? 'disputed' : 'all');
+    });
+
+    document.getElementById('review-bar').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-review-action]')?.dataset.reviewAction;
+      if (action === 'next') this.stepReview(1);
+      if (action === 'previous') this.stepReview(-1);
+    });
+
+    document.addEventListener('keydown', (e) => this.handleReviewShortcut(e));
+
+    // Filter toolbar
+    document.getElementById('filter-search').addEventListener('input', (e) => {
+      clearTimeout(this.filterInputTimer);
+      this.filterInputTimer = setTimeout(() => this.setFilters({ query: e.target.value }), 200);
+    });
+
+    const filterBar = document.getElementById('filter-bar');
+
+    filterBar.addEventListener('change', (e) => {
+      const changes = {
+        'filter-sentiment-min': () => this.setFilters({ sentimentMin: Number(e.target.value) }),
+        'filter-sentiment-max': () => this.setFilters({ sentimentMax: Number(e.target.value) }),
+        'filter-emotion': () => this.setFilters({ emotion: e.target.value }),
+        'filter-confidence': () => this.setFilters({ minConfidence: Number(e.target.value) }),
+        'filter-origin': () => this.setFilters({ origin: e.target.value }),
+        'filter-sort': () => this.setSortOrder(e.target.value),
+      };
+      changes[e.target.id]?.();
+    });
+
+    // Show slider values while dragging, filter on release
+    filterBar.addEventListener('input', (e) => {
+      if (e.target.type === 'range') this.updateFilterLabels();
+    });
+
+    filterBar.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-filter-action]')?.dataset.filterAction;
+      if (action === 'next') this.stepMatch(1);
+      if (action === 'previous') this.stepMatch(-1);
+      if (action === 'reset') this.resetFilters();
+    });
+
+    document.getElementById('palette-select').addEventListener('change', (e) => this.setPalette(e.target.value));
+
+    // Undo / redo
+    document.getElementById('undo-button').addEventListener('click', () => this.undo());
+    document.getElementById('redo-button').addEventListener('click', () => this.redo());
+    document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+    // Editor in the details panel
+    const detailsContent = document.getElementById('annotation-details-content');
+
+    detailsContent.addEventListener('input', (e) => {
+      if (e.target.id === 'edit-sentiment') {
+        document.getElementById('edit-sentiment-value').textContent = Number(e.target.value).toFixed(2);
+      }
+    });
+
+    detailsContent.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-edit-action]')?.dataset.editAction;
+      if (action === 'save') this.saveEditor();
+      if (action === 'delete') this.deleteFromEditor();
+      if (action === 'accept') this.reviewAndAdvance('accepted');
+      if (action === 'reject') this.reviewAndAdvance('rejected');
+      if (action === 'share' && this.selectedAnnotation) this.options.onAnnotationShare?.(this.selectedAnnotation);
+    });
   }
 
   /**
@@ -368,54 +951,218 @@ class AnnotationsViewerComponent {
     });
 
     this.updateLegend();
+
+    // Ranges stay the same, only span classes change
+    this.virtualList.invalidateAll();
+    this.notifyViewStateChange();
+  }
+
+  /**
+   * Set document view mode
+   * @param {string} mode - 'structured' renders the markdown output, 'plain' the extracted text
+   */
+  setViewMode(mode) {
+    this.options.viewMode = mode;
+
+    this.container.querySelectorAll('.view-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === mode);
+    });
+
     this.renderAnnotations();
   }
 
   /**
-   * Update legend
+   * Set sentiment thresholds and bucket mode
+   * @param {Object} config - See SentimentScale.normalize ({ mode, negativeThreshold, positiveThreshold, strongThreshold, neutralBand })
    */
-  updateLegend() {
-    const legend = document.getElementById('viewer-legend');
+  setSentimentScale(config) {
+    this.options.sentimentScale = SentimentScale.normalize(config);
 
-    if (this.options.highlightMode === 'sentiment') {
-      legend.innerHTML = `
-        <div class="legend-item">
-          <div class="legend-color sentiment-positive"></div>
-          <span>Positiv</span>
-        </div>
-        <div class="legend-item">
-          <div class="legend-color sentiment-neutral"></div>
-          <span>Neutral</span>
-        </div>
-        <div class="legend-item">
-          <div class="legend-color sentiment-negative"></div>
-          <span>Negativ</span>
-        </div>
-      `;
-      legend.style.display = 'flex';
-    } else if (this.options.highlightMode === 'emotion') {
+    this.updateLegend();
+    this.setDocumentSentiment(this.documentAnalysis);
+    this.refreshDetails(this.selectedAnnotation?.id);
+
+    // Ranges stay the same, only span classes change
+    this.virtualList.invalidateAll();
+  }
+
+  /**
+   * Get active sentiment scale
+   * @returns {Object} Normalized scale configuration
+   */
+  getSentimentScale() {
+    return { ...this.options.sentimentScale };
+  }
+
+  /**
+   * Generate CSS rules of the sentiment level classes
+   * @private
+   */
+  renderSentimentStyles() {
+    return Object.entries(this.sentimentLevels).map(([key, level]) => `
+      .sentiment-${key} {
+        ${HighlightPalettes.toCss(level)}
+      }
+    `).join('');
+  }
+
+  /**
+   * Switch the highlight palette (highlights, legend and sentiment bars)
+   * @param {string} name - 'default' | 'colorblind' | 'high-contrast' | 'monochrome'
+   * @param {Object} options - { notify: false } skips onPaletteChange (e.g. when applying a stored preference)
+   */
+  setPalette(name, { notify = true } = {}) {
+    const palette = HighlightPalettes.get(name);
+
+    this.options.palette = palette.name;
+    this.sentimentLevels = HighlightPalettes.getSentimentLevels(palette);
+    document.getElementById('palette-select').value = palette.name;
+
+    document.getElementById('viewer-sentiment-styles').textContent = this.renderSentimentStyles();
+    this.renderEmotionStyles();
+    this.updateLegend();
+    this.setDocumentSentiment(this.documentAnalysis);
+    this.refreshDetails(this.selectedAnnotation?.id);
+
+    // Gradient colors are inline styles
+    this.virtualList.invalidateAll();
+
+    if (notify && this.options.onPaletteChange) {
+      this.options.onPaletteChange(palette.name);
+    }
+  }
+
+  /**
+   * Get active palette name
+   */
+  getPalette() {
+    return this.options.palette;
+  }
+
+  /**
+   * Switch the emotion taxonomy (labels, colors, legend and emotion choices)
+   * @param {string} name - Registered taxonomy name, e.g. from marker_jobs.options.emotion_taxonomy
+   */
+  setEmotionTaxonomy(name) {
+    const taxonomy = EmotionTaxonomy.get(name).name;
+    if (taxonomy === this.options.emotionTaxonomy) return;
+
+    this.options.emotionTaxonomy = taxonomy;
+    this.renderEmotionStyles();
+    this.updateLegend();
+
+    document.getElementById('popover-emotion').innerHTML = this.renderEmotionOptions('neutral');
+    document.getElementById('filter-emotion').innerHTML = `
+      <option value="">Alle</option>
+      ${this.renderEmotionOptions(this.filters.emotion || null)}
+    `;
+
+    this.refreshDetails(this.selectedAnnotation?.id);
+    this.virtualList.invalidateAll();
+  }
+
+  /**
+   * Get active emotion taxonomy name
+   */
+  getEmotionTaxonomy() {
+    return this.options.emotionTaxonomy;
+  }
+
+  /**
+   * Generate CSS rules for the emotions of the active taxonomy
+   * Rules for other emotions are added when they first show up (see ensureEmotionStyle).
+   * @private
+   */
+  renderEmotionStyles() {
+    this.emotionStyles.clear();
+    document.getElementById('viewer-emotion-styles').textContent = '';
+    this.getEmotionOptions().forEach(emotion => this.ensureEmotionStyle(emotion));
+  }
+
+  /**
+   * Add the CSS rule of an emotion class if it is missing
+   * @param {string} emotion - Emotion from an annotation
+   * @param {boolean} refreshLegend - Add emotions outside the taxonomy to the legend right away
+   * @returns {string} Class token
+   * @private
+   */
+  ensureEmotionStyle(emotion, refreshLegend = true) {
+    const token = HtmlUtils.toClassToken(emotion) || 'neutral';
+    if (this.emotionStyles.has(token)) return token;
+
+    this.emotionStyles.add(token);
+
+    const style = HighlightPalettes.getEmotionStyle(
+      HighlightPalettes.get(this.options.palette),
+      token,
+      this.getEmotionOptions()
+    );
+    document.getElementById('viewer-emotion-styles').textContent += `
+      .emotion-${token} {
+        ${HighlightPalettes.toCss(style)}
+      }
+    `;
+
+    // Emotions outside the taxonomy get a legend entry as soon as they appear
+    if (refreshLegend && this.options.highlightMode === 'emotion' && !this.getEmotionOptions().includes(token)) {
+      this.updateLegend();
+    }
+
+    return token;
+  }
+
+  /**
+   * Emotions shown in the legend: the taxonomy without neutral, plus other emotions found in the document
+   * @private
+   */
+  getLegendEmotions() {
+    const emotions = this.getEmotionOptions().filter(emotion => emotion !== 'neutral');
+
+    this.annotations.forEach(annotation => {
+      if (!annotation.emotion) return;
+
+      const token = this.ensureEmotionStyle(annotation.emotion, false);
+      if (token !== 'neutral' && !emotions.includes(token)) emotions.push(token);
+    });
+
+    return emotions;
+  }
+
+  /**
+   * Update legend
+   */
+  updateLegend() {
+    const legend = document.getElementById('viewer-legend');
+    const scale = this.options.sentimentScale;
+
+    if (this.options.highlightMode === 'sentiment' && scale.mode === 'gradient') {
       legend.innerHTML = `
         <div class="legend-item">
-          <div class="legend-color emotion-joy"></div>
-          <span>Freude</span>
+          <span>-1.00</span>
+          <div class="legend-gradient" style="background: ${SentimentScale.getGradient(scale, 'background', this.sentimentLevels)};"></div>
+          <span>1.00</span>
         </div>
-        <div class="legend-item">
-          <div class="legend-color emotion-sadness"></div>
-          <span>Trauer</span>
-        </div>
-        <div class="legend-item">
-          <div class="legend-color emotion-anger"></div>
-          <span>Ärger</span>
+        <div class="legend-item legend-range">
+          Neutral: ${scale.negativeThreshold.toFixed(2)} – ${scale.positiveThreshold.toFixed(2)}
         </div>
+      `;
+      legend.style.display = 'flex';
+    } else if (this.options.highlightMode === 'sentiment') {
+      legend.innerHTML = SentimentScale.getLevels(scale, this.sentimentLevels).map(level => `
         <div class="legend-item">
-          <div class="legend-color emotion-fear"></div>
-          <span>Angst</span>
+          <div class="legend-color sentiment-${level.key}"></div>
+          <span>${level.label}</span>
+          <small class="legend-range">${level.range}</small>
         </div>
+      `).join('');
+      legend.style.display = 'flex';
+    } else if (this.options.highlightMode === 'emotion') {
+      legend.innerHTML = this.getLegendEmotions().map(emotion => `
         <div class="legend-item">
-          <div class="legend-color emotion-surprise"></div>
-          <span>Überraschung</span>
+          <div class="legend-color emotion-${HtmlUtils.toClassToken(emotion)}"></div>
+          <span>${HtmlUtils.escapeHtml(this.getEmotionLabel(emotion))}</span>
         </div>
-      `;
+      `).join('');
       legend.style.display = 'flex';
     } else {
       legend.style.display = 'none';
@@ -423,104 +1170,1352 @@ class AnnotationsViewerComponent {
   }
 
   /**
-   * Load annotations
+   * Load annotations
+   */
+  loadAnnotations(annotations) {
+    this.annotations = [...(annotations || [])];
+    this.annotationsById = new Map(this.annotations.map(annotation => [String(annotation.id), annotation]));
+    this.renderAnnotations();
+    this.notifyAnnotationsChange();
+  }
+
+  /**
+   * Load full document text together with its annotations
+   * @param {string} text - Extracted text of the job
+   * @param {Array} annotations - Annotations with character offsets
+   * @param {Object} options - Document options
+   * @param {string} options.markdown - Markdown output for the structured view
+   */
+  loadDocument(text, annotations, { markdown = null } = {}) {
+    // History entries belong to the previously shown document
+    this.clearHistory();
+
+    this.documentText = text || null;
+    this.documentMarkdown = markdown ? MarkdownUtils.parse(markdown) : null;
+    document.getElementById('view-mode-selector').style.display = this.documentMarkdown ? 'flex' : 'none';
+    this.loadAnnotations(annotations);
+  }
+
+  /**
+   * Add annotation in real-time
+   * Annotations that are already shown (e.g. re-delivered after a reconnect) are updated instead.
+   * Only the blocks containing the annotation are re-rendered.
+   */
+  addAnnotation(annotation) {
+    if (this.annotationsById.has(String(annotation.id))) {
+      this.updateAnnotation(annotation.id, annotation);
+      return;
+    }
+
+    this.annotations.push(annotation);
+    this.annotationsById.set(String(annotation.id), annotation);
+    this.placeAnnotation(annotation);
+    this.updatePlaceholders();
+    this.notifyAnnotationsChange();
+  }
+
+  /**
+   * Update annotation
+   * Changes that keep the text range only patch the existing spans.
+   */
+  updateAnnotation(annotationId, updates) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    if (!annotation) return;
+
+    const moved = ['text', 'position', 'start_offset', 'end_offset']
+      .some(field => field in updates && updates[field] !== annotation[field]);
+    const wasShown = this.isAnnotationShown(annotation);
+
+    if (moved) {
+      this.unplaceAnnotation(annotation);
+      Object.assign(annotation, updates);
+      this.placeAnnotation(annotation);
+    } else {
+      Object.assign(annotation, updates);
+
+      // e.g. a review status change under the "disputed only" filter
+      if (wasShown !== this.isAnnotationShown(annotation)) {
+        if (wasShown) {
+          this.unplaceAnnotation(annotation);
+        } else {
+          this.placeAnnotation(annotation);
+        }
+      } else {
+        this.patchAnnotationSpans(annotation);
+      }
+    }
+
+    this.updatePlaceholders();
+    this.notifyAnnotationsChange();
+  }
+
+  /**
+   * Remove annotation
+   */
+  removeAnnotation(annotationId) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    if (!annotation) return;
+
+    this.unplaceAnnotation(annotation);
+    this.annotations.splice(this.annotations.indexOf(annotation), 1);
+    this.annotationsById.delete(String(annotationId));
+
+    if (this.selectedAnnotation && String(this.selectedAnnotation.id) === String(annotationId)) {
+      this.selectedAnnotation = null;
+      document.getElementById('annotation-details').style.display = 'none';
+      this.notifyViewStateChange();
+    }
+
+    this.updatePlaceholders();
+    this.notifyAnnotationsChange();
+  }
+
+  /**
+   * Reconcile the shown annotations with the complete server set (e.g. after a reconnect)
+   * Adds missing, updates changed and removes deleted annotations; unsaved drafts are kept.
+   * @param {Array} annotations - All annotations of the document
+   */
+  syncAnnotations(annotations) {
+    const ids = new Set(annotations.map(annotation => String(annotation.id)));
+    const columns = Object.values(MarkerEngineService.annotationFieldColumns);
+
+    this.annotations
+      .filter(annotation => !annotation.pending && !ids.has(String(annotation.id)))
+      .forEach(annotation => this.removeAnnotation(annotation.id));
+
+    annotations.forEach(annotation => {
+      const current = this.annotationsById.get(String(annotation.id));
+
+      if (!current) {
+        this.addAnnotation(annotation);
+      } else if (columns.some(column => JSON.stringify(current[column]) !== JSON.stringify(annotation[column]))) {
+        this.updateAnnotation(annotation.id, annotation);
+        this.refreshDetails(annotation.id);
+      }
+    });
+  }
+
+  /**
+   * Report annotation changes (realtime, edits, undo) to onAnnotationsChange
+   * @private
+   */
+  notifyAnnotationsChange() {
+    if (this.options.onAnnotationsChange) {
+      this.options.onAnnotationsChange(this.annotations);
+    }
+  }
+
+  /**
+   * Get document sections from the markdown headings
+   * @returns {Array} [{ title, level, start, end }] with offsets in the extracted text; empty without markdown
+   */
+  getSections() {
+    if (!this.documentText || !this.documentMarkdown) return [];
+
+    const mapper = MarkdownUtils.createRangeMapper(this.documentMarkdown.text, this.documentText);
+    const sections = [];
+
+    MarkdownUtils.getHeadings(this.documentMarkdown).forEach(heading => {
+      const range = mapper.map(heading);
+      if (!range || (sections.length > 0 && range.start <= sections[sections.length - 1].start)) return;
+
+      sections.push({ title: heading.title, level: heading.level, start: range.start, end: this.documentText.length });
+    });
+
+    // Text before the first heading forms its own section
+    if (sections.length > 0 && sections[0].start > 0) {
+      sections.unshift({ title: '', level: 0, start: 0, end: sections[0].start });
+    }
+
+    sections.forEach((section, index) => {
+      if (index + 1 < sections.length) section.end = sections[index + 1].start;
+    });
+
+    return sections;
+  }
+
+  /**
+   * Show overall document sentiment from a completed sentiment analysis
+   */
+  setDocumentSentiment(analysis) {
+    const container = document.getElementById('document-sentiment');
+    this.documentAnalysis = analysis || null;
+
+    if (!analysis) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    const overall = Number(analysis.overall_sentiment) || 0;
+    const dominantEmotion = this.getDominantEmotion(analysis.emotions);
+    const confidence = analysis.confidence !== null && analysis.confidence !== undefined
+      ? `${Math.round(Number(analysis.confidence) * 100)}%`
+      : 'N/A';
+
+    container.style.borderLeftColor = SentimentScale.getColor(overall, this.options.sentimentScale, this.sentimentLevels).border;
+    container.innerHTML = `
+      <div>
+        <div class="detail-label">Gesamtsentiment</div>
+        <div class="detail-value">${overall.toFixed(2)}</div>
+      </div>
+      <div>
+        <div class="detail-label">Dominante Emotion</div>
+        <div class="detail-value">${HtmlUtils.escapeHtml(dominantEmotion ? this.getEmotionLabel(dominantEmotion) : 'N/A')}</div>
+      </div>
+      <div>
+        <div class="detail-label">Konfidenz</div>
+        <div class="detail-value">${confidence}</div>
+      </div>
+      <div>
+        <div class="detail-label">Sprache</div>
+        <div class="detail-value">${HtmlUtils.escapeHtml(analysis.language || 'N/A')}</div>
+      </div>
+    `;
+    container.style.display = 'flex';
+  }
+
+  /**
+   * Get emotion with the highest score from an analysis emotions object
+   */
+  getDominantEmotion(emotions) {
+    if (!emotions) return null;
+
+    if (Array.isArray(emotions)) {
+      const top = [...emotions].sort((a, b) => (b.score || 0) - (a.score || 0))[0];
+      return top?.emotion || top?.label || null;
+    }
+
+    const entries = Object.entries(emotions);
+    if (entries.length === 0) return null;
+
+    return entries.sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  /**
+   * Get emotions of the active taxonomy (offered when creating and editing annotations)
+   */
+  getEmotionOptions() {
+    return [...EmotionTaxonomy.get(this.options.emotionTaxonomy).emotions];
+  }
+
+  /**
+   * Render emotion <option> elements; unknown current values are kept as extra option
+   */
+  renderEmotionOptions(selected) {
+    const emotions = this.getEmotionOptions();
+    if (selected && !emotions.includes(selected)) {
+      emotions.push(selected);
+    }
+
+    return emotions.map(emotion => `
+      <option value="${HtmlUtils.escapeHtml(emotion)}" ${emotion === selected ? 'selected' : ''}>
+        ${HtmlUtils.escapeHtml(this.getEmotionLabel(emotion))}
+      </option>
+    `).join('');
+  }
+
+  /**
+   * Get translated label for an emotion
+   */
+  getEmotionLabel(emotion) {
+    return EmotionTaxonomy.getLabel(emotion, this.options.language);
+  }
+
+  /**
+   * Render annotations
+   * Rebuilds the block layout; blocks themselves are rendered lazily when they become visible.
+   */
+  renderAnnotations() {
+    const content = document.getElementById('annotations-content');
+    const structured = Boolean(this.documentText && this.documentMarkdown && this.options.viewMode === 'structured');
+
+    content.classList.toggle('structured-mode', structured);
+    content.classList.toggle('document-mode', Boolean(this.documentText) && !structured);
+
+    this.layout = this.documentText
+      ? this.buildDocumentLayout(structured)
+      : this.buildListLayout();
+
+    this.virtualList.reset(this.getLayoutBlockCount());
+    this.updatePlaceholders();
+  }
+
+  /**
+   * Layout without document text (e.g. while streaming): annotations in position order
+   * @private
+   */
+  buildListLayout() {
+    const compare = this.getSortComparator();
+    return {
+      type: 'list',
+      sorted: this.getShownAnnotations().sort(compare),
+    };
+  }
+
+  /**
+   * Layout of the full document split into blocks, with an index of the annotations per block
+   * @private
+   */
+  buildDocumentLayout(structured) {
+    const text = structured ? this.documentMarkdown.text : this.documentText;
+    const blocks = structured
+      ? MarkdownUtils.splitBlocks(this.documentMarkdown, this.options.blockSize)
+      : this.splitTextBlocks(text);
+
+    const layout = {
+      type: structured ? 'structured' : 'plain',
+      text,
+      blocks,
+      blockAnnotations: blocks.map(() => new Set()),
+      ranges: new Map(),
+      unplaced: new Set(),
+      // Offsets refer to the extracted text; map them onto the rendered markdown text
+      mapper: structured ? MarkdownUtils.createRangeMapper(this.documentText, text) : null,
+      lastPlaced: { position: -Infinity, end: 0 },
+    };
+
+    const { ranges, unplaced } = AnnotationRanges.resolve(this.documentText, this.getShownAnnotations());
+    unplaced.forEach(annotation => layout.unplaced.add(String(annotation.id)));
+
+    ranges.forEach(range => this.trackLastPlaced(layout, range));
+    ranges
+      .sort((a, b) => a.start - b.start)
+      .forEach(range => this.indexRange(layout, layout.mapper ? layout.mapper.map(range) : range, range.annotation));
+
+    return layout;
+  }
+
+  /**
+   * Split plain text into blocks, preferring paragraph and line boundaries
+   * so the pre-wrapped layout looks the same as one continuous text
+   * @private
+   */
+  splitTextBlocks(text) {
+    const blocks = [];
+    let start = 0;
+
+    while (start < text.length) {
+      let end = Math.min(start + this.options.blockSize, text.length);
+
+      if (end < text.length) {
+        const paragraph = text.lastIndexOf('\n\n', end);
+        const line = text.lastIndexOf('\n', end);
+        const space = text.lastIndexOf(' ', end);
+
+        if (paragraph > start) end = paragraph + 2;
+        else if (line > start) end = line + 1;
+        else if (space > start) end = space + 1;
+      }
+
+      blocks.push({ start, end });
+      start = end;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Get number of blocks of the current layout
+   * @private
+   */
+  getLayoutBlockCount() {
+    if (this.layout.type === 'list') {
+      return Math.ceil(this.layout.sorted.length / this.options.listBlockSize);
+    }
+    return this.layout.blocks.length;
+  }
+
+  /**
+   * Render a single block
+   * @private
+   */
+  renderBlock(index) {
+    const layout = this.layout;
+
+    if (layout.type === 'list') {
+      const size = this.options.listBlockSize;
+
+      return layout.sorted
+        .slice(index * size, (index + 1) * size)
+        .map(annotation => `${this.renderOpenTag(annotation)}${HtmlUtils.escapeHtml(annotation.text)}</span> `)
+        .join('');
+    }
+
+    const block = layout.blocks[index];
+    const ranges = Array.from(layout.blockAnnotations[index], id => layout.ranges.get(id));
+    const renderOpenTag = (range) => this.renderOpenTag(range.annotation);
+
+    if (layout.type === 'structured') {
+      return MarkdownUtils.renderWithRanges({ nodes: block.nodes }, ranges, renderOpenTag);
+    }
+
+    // Ranges crossing a block boundary are split into fragments
+    const local = ranges.map(range => ({
+      ...range,
+      start: Math.max(range.start, block.start) - block.start,
+      end: Math.min(range.end, block.end) - block.start,
+    }));
+
+    return AnnotationRanges.render(
+      layout.text.slice(block.start, block.end),
+      local,
+      renderOpenTag,
+      HtmlUtils.escapeHtml
+    );
+  }
+
+  /**
+   * Add an annotation to the current layout and invalidate the affected blocks
+   * @private
+   */
+  placeAnnotation(annotation) {
+    const layout = this.layout;
+    if (!this.isAnnotationShown(annotation)) return;
+
+    if (layout.type === 'list') {
+      const index = this.findListInsertIndex(annotation);
+      layout.sorted.splice(index, 0, annotation);
+      this.virtualList.setBlockCount(this.getLayoutBlockCount());
+      this.virtualList.invalidateFrom(Math.floor(index / this.options.listBlockSize));
+      return;
+    }
+
+    // Annotations usually stream in position order, so the search continues after the last one
+    const searchFrom = (annotation.position || 0) >= layout.lastPlaced.position ? layout.lastPlaced.end : 0;
+    const range = AnnotationRanges.resolveOne(this.documentText, annotation, searchFrom);
+
+    if (range) this.trackLastPlaced(layout, range);
+    this.indexRange(layout, range && layout.mapper ? layout.mapper.map(range) : range, annotation);
+  }
+
+  /**
+   * Remove an annotation from the current layout and invalidate the affected blocks
+   * @private
+   */
+  unplaceAnnotation(annotation) {
+    const layout = this.layout;
+    const id = String(annotation.id);
+
+    if (layout.type === 'list') {
+      const index = layout.sorted.indexOf(annotation);
+      if (index === -1) return;
+
+      layout.sorted.splice(index, 1);
+      this.virtualList.setBlockCount(this.getLayoutBlockCount());
+      this.virtualList.invalidateFrom(Math.floor(index / this.options.listBlockSize));
+      return;
+    }
+
+    layout.unplaced.delete(id);
+
+    const range = layout.ranges.get(id);
+    if (!range) return;
+
+    layout.ranges.delete(id);
+    this.forEachRangeBlock(range, index => {
+      layout.blockAnnotations[index].delete(id);
+      this.virtualList.invalidate(index);
+    });
+  }
+
+  /**
+   * Store a resolved range and register it with every block it touches
+   * @private
+   */
+  indexRange(layout, range, annotation) {
+    const id = String(annotation.id);
+
+    if (!range) {
+      layout.unplaced.add(id);
+      return;
+    }
+
+    layout.ranges.set(id, range);
+    this.forEachRangeBlock(range, index => {
+      layout.blockAnnotations[index].add(id);
+      this.virtualList.invalidate(index);
+    }, layout);
+  }
+
+  /**
+   * Remember the range with the highest position for the next text search
+   * @private
+   */
+  trackLastPlaced(layout, range) {
+    const position = range.annotation.position || 0;
+    if (position >= layout.lastPlaced.position) {
+      layout.lastPlaced = { position, end: range.end };
+    }
+  }
+
+  /**
+   * Call fn for every block index a range overlaps
+   * @private
+   */
+  forEachRangeBlock(range, fn, layout = this.layout) {
+    const last = this.findBlockIndex(layout, range.end - 1);
+    for (let index = this.findBlockIndex(layout, range.start); index <= last; index++) {
+      fn(index);
+    }
+  }
+
+  /**
+   * Find the block containing a text offset (binary search)
+   * @private
+   */
+  findBlockIndex(layout, offset) {
+    let low = 0;
+    let high = layout.blocks.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (layout.blocks[mid].start <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Find insert index in the sorted list (after equal entries)
+   * @private
+   */
+  findListInsertIndex(annotation) {
+    const sorted = this.layout.sorted;
+    const compare = this.getSortComparator();
+    let low = 0;
+    let high = sorted.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (compare(sorted[mid], annotation) <= 0) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Get block index that shows an annotation
+   * @private
+   */
+  getAnnotationBlockIndex(annotation) {
+    if (this.layout.type === 'list') {
+      const index = this.layout.sorted.indexOf(annotation);
+      return index === -1 ? -1 : Math.floor(index / this.options.listBlockSize);
+    }
+
+    const range = this.layout.ranges.get(String(annotation.id));
+    return range ? this.findBlockIndex(this.layout, range.start) : -1;
+  }
+
+  /**
+   * Update empty state and the hint about annotations that could not be placed
+   * @private
+   */
+  updatePlaceholders() {
+    const empty = !this.documentText && this.annotations.length === 0;
+    document.getElementById('annotations-empty').style.display = empty ? 'flex' : 'none';
+
+    const unplacedCount = this.layout.unplaced ? this.layout.unplaced.size : 0;
+    const unplaced = document.getElementById('unplaced-annotations');
+    unplaced.textContent = `${unplacedCount} Annotation(s) konnten im Text nicht verortet werden`;
+    unplaced.style.display = unplacedCount > 0 ? 'block' : 'none';
+
+    this.scheduleReviewProgress();
+    this.scheduleFilterStatus();
+  }
+
+  /**
+   * Annotations that pass the active filters
+   * @private
+   */
+  getShownAnnotations() {
+    return this.annotations.filter(annotation => this.isAnnotationShown(annotation));
+  }
+
+  /**
+   * Check if an annotation passes the active filters
+   */
+  isAnnotationShown(annotation) {
+    if (this.reviewMode && this.reviewFilter === 'disputed' && !this.isDisputed(annotation)) {
+      return false;
+    }
+    return this.matchesFilters(annotation);
+  }
+
+  /**
+   * Check an annotation against the toolbar filters
+   * @private
+   */
+  matchesFilters(annotation) {
+    const filters = this.filters;
+    const score = Number(annotation.sentiment_score) || 0;
+
+    if (score < filters.sentimentMin || score > filters.sentimentMax) return false;
+
+    if (filters.emotion && String(annotation.emotion || 'neutral').toLowerCase() !== filters.emotion) return false;
+
+    if (filters.origin !== 'all' && this.isHumanAnnotation(annotation) !== (filters.origin === 'human')) return false;
+
+    const confidence = this.getAnnotationConfidence(annotation);
+    if (filters.minConfidence > 0 && confidence !== null && confidence < filters.minConfidence) return false;
+
+    if (filters.query) {
+      return String(annotation.text || '').toLowerCase().includes(filters.query.trim().toLowerCase());
+    }
+
+    return true;
+  }
+
+  /**
+   * Get model confidence of an annotation (metadata.confidence, 0–1)
+   * @returns {number|null} Confidence or null if unknown
+   */
+  getAnnotationConfidence(annotation) {
+    const confidence = annotation?.metadata?.confidence;
+    return confidence === null || confidence === undefined || confidence === '' || isNaN(confidence)
+      ? null
+      : Number(confidence);
+  }
+
+  /**
+   * Change toolbar filters
+   * @param {Object} filters - Partial filters ({ query, sentimentMin, sentimentMax, emotion, minConfidence, origin })
+   */
+  setFilters(filters) {
+    this.filters = { ...this.filters, ...filters };
+
+    // Keep the sentiment range ordered when the sliders cross
+    if (this.filters.sentimentMin > this.filters.sentimentMax) {
+      if ('sentimentMin' in filters) {
+        this.filters.sentimentMax = this.filters.sentimentMin;
+      } else {
+        this.filters.sentimentMin = this.filters.sentimentMax;
+      }
+    }
+
+    this.syncFilterInputs();
+    this.renderAnnotations();
+    this.notifyViewStateChange();
+  }
+
+  /**
+   * Get active toolbar filters
+   * @returns {Object} Filters
+   */
+  getFilters() {
+    return { ...this.filters };
+  }
+
+  /**
+   * Check if any toolbar filter differs from its default
+   */
+  hasActiveFilters() {
+    return Object.keys(DEFAULT_ANNOTATION_FILTERS)
+      .some(key => this.filters[key] !== DEFAULT_ANNOTATION_FILTERS[key]);
+  }
+
+  /**
+   * Reset all toolbar filters
+   */
+  resetFilters() {
+    this.setFilters(DEFAULT_ANNOTATION_FILTERS);
+  }
+
+  /**
+   * Get the shareable part of the view (selection, highlight mode, filters, sort order)
+   * Values at their default are left out so links built from it stay short
+   * @returns {Object} { annotationId, highlightMode, sortBy, filters }
+   */
+  getViewState() {
+    const selected = this.selectedAnnotation && !this.selectedAnnotation.pending ? this.selectedAnnotation : null;
+    const filters = {};
+
+    Object.keys(DEFAULT_ANNOTATION_FILTERS).forEach(key => {
+      if (this.filters[key] !== DEFAULT_ANNOTATION_FILTERS[key]) filters[key] = this.filters[key];
+    });
+
+    return {
+      annotationId: selected ? String(selected.id) : null,
+      highlightMode: this.options.highlightMode !== this.defaultViewState.highlightMode ? this.options.highlightMode : null,
+      sortBy: this.options.sortBy !== this.defaultViewState.sortBy ? this.options.sortBy : null,
+      filters,
+    };
+  }
+
+  /**
+   * Restore a view from getViewState(); missing values fall back to their defaults
+   * @param {Object} state - { annotationId, highlightMode, sortBy, filters }
+   * @returns {boolean} False if the annotation to select is not loaded (yet)
+   */
+  setViewState(state = {}) {
+    let found = true;
+    this.applyingViewState = true;
+
+    try {
+      this.setHighlightMode(state.highlightMode || this.defaultViewState.highlightMode);
+      this.setSortOrder(state.sortBy || this.defaultViewState.sortBy);
+      this.setFilters({ ...DEFAULT_ANNOTATION_FILTERS, ...state.filters });
+
+      if (state.annotationId && this.annotationsById.has(String(state.annotationId))) {
+        this.selectAnnotationById(state.annotationId);
+        this.scrollToAnnotation(state.annotationId);
+      } else {
+        found = !state.annotationId;
+        this.selectedAnnotation = null;
+        this.refreshSelection();
+        document.getElementById('annotation-details').style.display = 'none';
+      }
+    } finally {
+      this.applyingViewState = false;
+    }
+
+    this.notifyViewStateChange();
+    return found;
+  }
+
+  /**
+   * Report view changes to onViewStateChange
+   * @private
+   */
+  notifyViewStateChange() {
+    if (this.applyingViewState || !this.options.onViewStateChange) return;
+    this.options.onViewStateChange(this.getViewState());
+  }
+
+  /**
+   * Set order of the match navigation (and of the list while no document text is loaded)
+   * @param {string} sortBy - 'position' | 'score' (most positive first) | 'magnitude' (strongest first)
+   */
+  setSortOrder(sortBy) {
+    this.options.sortBy = sortBy;
+    document.getElementById('filter-sort').value = sortBy;
+
+    if (this.layout?.type === 'list') {
+      this.renderAnnotations();
+    } else {
+      this.scheduleFilterStatus();
+    }
+
+    this.notifyViewStateChange();
+  }
+
+  /**
+   * Get comparator for the active sort order
+   * @private
+   */
+  getSortComparator() {
+    const byPosition = (a, b) => (a.position || 0) - (b.position || 0) || this.getDocumentOrder(a) - this.getDocumentOrder(b);
+    const score = annotation => Number(annotation.sentiment_score) || 0;
+
+    if (this.options.sortBy === 'score') {
+      return (a, b) => score(b) - score(a) || byPosition(a, b);
+    }
+    if (this.options.sortBy === 'magnitude') {
+      return (a, b) => Math.abs(score(b)) - Math.abs(score(a)) || byPosition(a, b);
+    }
+    return byPosition;
+  }
+
+  /**
+   * Annotations matching the filters in the active sort order
+   * @returns {Array} Annotations
+   */
+  getMatches() {
+    return this.getShownAnnotations()
+      .filter(annotation => !annotation.pending)
+      .sort(this.getSortComparator());
+  }
+
+  /**
+   * Select and scroll to the next/previous match
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {Object|null} Selected annotation
+   */
+  stepMatch(direction) {
+    const matches = this.getMatches();
+    if (matches.length === 0) return null;
+
+    const current = this.selectedAnnotation ? matches.indexOf(this.selectedAnnotation) : -1;
+    const index = current === -1
+      ? (direction > 0 ? 0 : matches.length - 1)
+      : (current + direction + matches.length) % matches.length;
+
+    const next = matches[index];
+    this.selectAnnotationById(next.id);
+    this.scrollToAnnotation(next.id);
+    return next;
+  }
+
+  /**
+   * Write the filter state into the toolbar inputs
+   * @private
+   */
+  syncFilterInputs() {
+    const search = document.getElementById('filter-search');
+    if (search.value !== this.filters.query) search.value = this.filters.query;
+
+    document.getElementById('filter-sentiment-min').value = this.filters.sentimentMin;
+    document.getElementById('filter-sentiment-max').value = this.filters.sentimentMax;
+    document.getElementById('filter-emotion').value = this.filters.emotion;
+    document.getElementById('filter-confidence').value = this.filters.minConfidence;
+    document.getElementById('filter-origin').value = this.filters.origin;
+
+    this.updateFilterLabels();
+  }
+
+  /**
+   * Show current slider values
+   * @private
+   */
+  updateFilterLabels() {
+    const min = Number(document.getElementById('filter-sentiment-min').value);
+    const max = Number(document.getElementById('filter-sentiment-max').value);
+    const confidence = Number(document.getElementById('filter-confidence').value);
+
+    document.getElementById('filter-sentiment-value').textContent = `${min.toFixed(2)} – ${max.toFixed(2)}`;
+    document.getElementById('filter-confidence-value').textContent = `${Math.round(confidence * 100)}%`;
+  }
+
+  /**
+   * Update the match counter once per frame
+   * @private
+   */
+  scheduleFilterStatus() {
+    if (this.filterStatusFrame) return;
+
+    this.filterStatusFrame = requestAnimationFrame(() => {
+      this.filterStatusFrame = null;
+
+      const matches = this.getMatches();
+      const current = this.selectedAnnotation ? matches.indexOf(this.selectedAnnotation) : -1;
+      const label = this.hasActiveFilters() ? 'Treffer' : 'Annotations';
+
+      document.getElementById('filter-match-count').textContent = current === -1
+        ? `${matches.length} ${label}`
+        : `${current + 1} / ${matches.length} ${label}`;
+    });
+  }
+
+  /**
+   * Update classes of all rendered spans of an annotation without re-rendering
+   * @private
+   */
+  patchAnnotationSpans(annotation) {
+    const className = this.getSpanClass(annotation);
+    const style = this.getHighlightStyle(annotation);
+    this.getAnnotationElements(annotation.id).forEach(el => {
+      el.className = className;
+      el.setAttribute('style', style);
+    });
+  }
+
+  /**
+   * Get rendered spans (and fragments) of an annotation
+   * @private
+   */
+  getAnnotationElements(annotationId) {
+    return document.getElementById('annotations-blocks')
+      .querySelectorAll(`.annotated-text[data-annotation-id="${CSS.escape(String(annotationId))}"]`);
+  }
+
+  /**
+   * Scroll the document to an annotation, rendering its block first if needed
+   * @param {string} annotationId - Annotation ID
+   * @returns {boolean} True if the annotation is shown in the document
+   */
+  scrollToAnnotation(annotationId) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    const index = annotation ? this.getAnnotationBlockIndex(annotation) : -1;
+    if (index === -1) return false;
+
+    const block = this.virtualList.renderNow(index);
+    const target = this.getAnnotationElements(annotationId)[0] || block;
+    target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    return true;
+  }
+
+  /**
+   * Get opening span tag for an annotation
+   */
+  renderOpenTag(annotation) {
+    const style = this.getHighlightStyle(annotation);
+    return `<span class="${this.getSpanClass(annotation)}"${style ? ` style="${style}"` : ''} data-annotation-id="${HtmlUtils.escapeHtml(annotation.id)}">`;
+  }
+
+  /**
+   * Get span classes for an annotation
+   * @private
+   */
+  getSpanClass(annotation) {
+    const selected = this.selectedAnnotation && String(this.selectedAnnotation.id) === String(annotation.id);
+    const review = this.reviewMode && this.getReviewStatus(annotation) ? ` review-${this.getReviewStatus(annotation)}` : '';
+    return `annotated-text ${this.getHighlightClass(annotation)}${selected ? ' selected' : ''}${annotation.pending ? ' pending' : ''}${review}`;
+  }
+
+  /**
+   * Set ID stored as reviewer in review metadata
+   * @param {string} reviewerId - User ID
+   */
+  setReviewerId(reviewerId) {
+    this.options.reviewerId = reviewerId;
+  }
+
+  /**
+   * Turn review mode on or off
+   * @param {boolean} enabled - Review mode state
+   */
+  setReviewMode(enabled) {
+    this.reviewMode = enabled;
+
+    document.getElementById('review-toggle').classList.toggle('active', enabled);
+    document.getElementById('review-bar').style.display = enabled ? 'flex' : 'none';
+
+    if (this.reviewFilter !== 'all') {
+      this.renderAnnotations();
+    } else {
+      this.virtualList.invalidateAll();
+    }
+
+    this.refreshDetails(this.selectedAnnotation?.id);
+    this.scheduleReviewProgress();
+  }
+
+  /**
+   * Show all annotations or only disputed ones (rejected or corrected)
+   * @param {string} filter - 'all' | 'disputed'
+   */
+  setReviewFilter(filter) {
+    this.reviewFilter = filter;
+    document.getElementById('review-disputed-only').checked = filter === 'disputed';
+    this.renderAnnotations();
+  }
+
+  /**
+   * Get review status of an annotation
+   * @returns {string|null} 'accepted' | 'rejected' | 'corrected' or null if unreviewed
+   */
+  getReviewStatus(annotation) {
+    return annotation?.metadata?.review?.status || null;
+  }
+
+  /**
+   * Check if an annotation is machine-generated and can be reviewed
+   */
+  isReviewable(annotation) {
+    return !annotation.pending && !this.isHumanAnnotation(annotation);
+  }
+
+  /**
+   * Check if a reviewer disagreed with the model
+   */
+  isDisputed(annotation) {
+    return ['rejected', 'corrected'].includes(this.getReviewStatus(annotation));
+  }
+
+  /**
+   * Store a review decision in the annotation's metadata
+   * @param {string} annotationId - Annotation ID
+   * @param {string} status - 'accepted' | 'rejected' | 'corrected'
+   * @param {Object} corrections - Changed values for 'corrected' ({ sentimentScore, emotion, ... })
+   * @returns {Promise<Object>} Saved annotation
+   */
+  reviewAnnotation(annotationId, status, corrections = {}) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    if (!annotation) return Promise.resolve(null);
+
+    const previousReview = annotation.metadata?.review;
+    const review = {
+      status,
+      reviewer_id: this.options.reviewerId,
+      reviewed_at: new Date().toISOString(),
+    };
+
+    // Keep the model's values so corrections stay traceable
+    if (status === 'corrected') {
+      review.original = previousReview?.original || {
+        sentiment_score: annotation.sentiment_score,
+        emotion: annotation.emotion,
+        start_offset: annotation.start_offset,
+        end_offset: annotation.end_offset,
+      };
+    }
+
+    return this.commitAnnotationUpdate(annotationId, {
+      ...corrections,
+      metadata: { ...annotation.metadata, review },
+    });
+  }
+
+  /**
+   * Review the selected annotation and move on to the next one
+   * @private
    */
-  loadAnnotations(annotations) {
-    this.annotations = annotations || [];
-    this.renderAnnotations();
+  reviewAndAdvance(status) {
+    const annotation = this.selectedAnnotation;
+    if (!annotation || !this.isReviewable(annotation) || !this.options.onAnnotationUpdate) return;
+
+    // The change is applied synchronously, so the next step already skips this annotation
+    this.reviewAnnotation(annotation.id, status).catch(() => {});
+    this.stepReview(1);
   }
 
   /**
-   * Add annotation in real-time
+   * Select the next/previous annotation to review
+   * Steps through unreviewed annotations, or through disputed ones while that filter is active.
+   * @param {number} direction - 1 for next, -1 for previous
+   * @returns {Object|null} Selected annotation
    */
-  addAnnotation(annotation) {
-    this.annotations.push(annotation);
-    this.renderAnnotations();
+  stepReview(direction) {
+    const queue = this.annotations
+      .filter(annotation => this.isReviewable(annotation) && this.isAnnotationShown(annotation))
+      .filter(annotation => this.reviewFilter === 'disputed' || !this.getReviewStatus(annotation))
+      .sort((a, b) => this.getDocumentOrder(a) - this.getDocumentOrder(b));
+
+    if (queue.length === 0) return null;
+
+    const current = this.selectedAnnotation ? this.getDocumentOrder(this.selectedAnnotation) : null;
+    let next;
+
+    if (direction > 0) {
+      next = queue.find(annotation => current === null || this.getDocumentOrder(annotation) > current) || queue[0];
+    } else {
+      next = [...queue].reverse().find(annotation => current === null || this.getDocumentOrder(annotation) < current)
+        || queue[queue.length - 1];
+    }
+
+    this.selectAnnotationById(next.id);
+    this.scrollToAnnotation(next.id);
+    return next;
   }
 
   /**
-   * Update annotation
+   * Sort key in document order
+   * @private
    */
-  updateAnnotation(annotationId, updates) {
-    const index = this.annotations.findIndex(a => a.id === annotationId);
-    if (index !== -1) {
-      this.annotations[index] = { ...this.annotations[index], ...updates };
-      this.renderAnnotations();
+  getDocumentOrder(annotation) {
+    return Number.isInteger(annotation.start_offset) ? annotation.start_offset : (annotation.position || 0);
+  }
+
+  /**
+   * Keyboard shortcuts of the review mode
+   * @private
+   */
+  handleReviewShortcut(e) {
+    if (!this.reviewMode || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+    const actions = {
+      j: () => this.stepReview(1),
+      k: () => this.stepReview(-1),
+      a: () => this.reviewAndAdvance('accepted'),
+      r: () => this.reviewAndAdvance('rejected'),
+      c: () => document.getElementById('edit-sentiment')?.focus(),
+    };
+
+    const action = actions[e.key.toLowerCase()];
+    if (action) {
+      e.preventDefault();
+      action();
     }
   }
 
   /**
-   * Render annotations
+   * Update the review progress indicator once per frame
+   * @private
    */
-  renderAnnotations() {
-    const content = document.getElementById('annotations-content');
+  scheduleReviewProgress() {
+    if (!this.reviewMode || this.reviewProgressFrame) return;
+
+    this.reviewProgressFrame = requestAnimationFrame(() => {
+      this.reviewProgressFrame = null;
+
+      let total = 0;
+      let reviewed = 0;
+      this.annotations.forEach(annotation => {
+        if (!this.isReviewable(annotation)) return;
+        total++;
+        if (this.getReviewStatus(annotation)) reviewed++;
+      });
 
-    if (!this.annotations || this.annotations.length === 0) {
-      content.innerHTML = `
-        <div class="empty-state">
-          <i class="material-icons">description</i>
-          <p>Keine Annotations verfügbar</p>
-          <small>Laden Sie ein Dokument hoch, um zu beginnen</small>
-        </div>
-      `;
+      document.getElementById('review-progress-text').textContent = `${reviewed} / ${total} geprüft`;
+      document.getElementById('review-progress-fill').style.width = `${total > 0 ? (reviewed / total) * 100 : 0}%`;
+    });
+  }
+
+  /**
+   * Check if an annotation was created manually in the viewer
+   */
+  isHumanAnnotation(annotation) {
+    return annotation?.metadata?.source === 'human';
+  }
+
+  /**
+   * Offer to create an annotation for the current text selection
+   * @private
+   */
+  handleTextSelection() {
+    if (!this.options.onAnnotationCreate) return;
+
+    const draft = this.getSelectionDraft();
+    if (!draft) {
+      this.hideCreatePopover();
       return;
     }
 
-    // Sort annotations by position
-    const sortedAnnotations = [...this.annotations].sort((a, b) => a.position - b.position);
+    this.pendingDraft = draft;
+    this.showCreatePopover(draft);
+  }
+
+  /**
+   * Build an annotation draft from the current selection
+   * Offsets refer to the extracted text, also when the structured view is shown.
+   * @private
+   */
+  getSelectionDraft() {
+    const selection = window.getSelection();
+    if (!this.layout || this.layout.type === 'list' || !selection || selection.isCollapsed || selection.rangeCount === 0) {
+      return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    const compact = this.getLayoutCompact();
+    const startIndex = this.getCompactOffset(range.startContainer, range.startOffset);
+    const endIndex = this.getCompactOffset(range.endContainer, range.endOffset);
+
+    if (startIndex === null || endIndex === null || endIndex <= startIndex) return null;
+
+    // Trim whitespace at the selection edges
+    let textRange = {
+      start: compact.positions[startIndex],
+      end: compact.positions[endIndex - 1] + 1,
+    };
+
+    if (this.layout.type === 'structured') {
+      this.layout.reverseMapper = this.layout.reverseMapper
+        || MarkdownUtils.createRangeMapper(this.layout.text, this.documentText);
+      textRange = this.layout.reverseMapper.map(textRange);
+      if (!textRange) return null;
+    }
+
+    return {
+      text: this.documentText.slice(textRange.start, textRange.end),
+      startOffset: textRange.start,
+      endOffset: textRange.end,
+      position: this.getPositionForOffset(textRange.start),
+      rect: range.getBoundingClientRect(),
+    };
+  }
+
+  /**
+   * Count non-whitespace characters of the layout text before a DOM position
+   * Whitespace is ignored because the structured view does not render block separators.
+   * @private
+   */
+  getCompactOffset(node, offset) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    const blockEl = element?.closest('.viewer-block');
+
+    if (!blockEl || !document.getElementById('annotations-blocks').contains(blockEl)) return null;
+
+    const block = this.layout.blocks[Number(blockEl.dataset.block)];
+    const before = document.createRange();
+    before.selectNodeContents(blockEl);
+    before.setEnd(node, offset);
+
+    return this.getLayoutCompact().prefix[block.start] + before.toString().replace(/\s/g, '').length;
+  }
+
+  /**
+   * Get (cached) whitespace-free index of the layout text
+   * @private
+   */
+  getLayoutCompact() {
+    this.layout.compact = this.layout.compact || MarkdownUtils.compactText(this.layout.text);
+    return this.layout.compact;
+  }
 
-    // Render annotated text
-    let html = '';
-    sortedAnnotations.forEach((annotation, index) => {
-      const highlightClass = this.getHighlightClass(annotation);
+  /**
+   * Position for a new annotation: sorts after the annotations that start before it
+   * @private
+   */
+  getPositionForOffset(offset) {
+    let position = 0;
 
-      html += `<span
-        class="annotated-text ${highlightClass}"
-        data-annotation-id="${annotation.id}"
-        data-index="${index}"
-        onclick="annotationsViewer.selectAnnotation(${index})"
-      >${annotation.text}</span> `;
+    this.annotations.forEach(annotation => {
+      if (Number.isInteger(annotation.start_offset) && annotation.start_offset <= offset) {
+        position = Math.max(position, annotation.position || 0);
+      }
     });
 
-    content.innerHTML = html;
+    return position;
+  }
+
+  /**
+   * Show the create popover below the selection
+   * @private
+   */
+  showCreatePopover(draft) {
+    const popover = document.getElementById('annotation-popover');
+    const viewerRect = this.container.querySelector('.annotations-viewer').getBoundingClientRect();
+
+    document.getElementById('popover-excerpt').textContent = `"${draft.text}"`;
+    document.getElementById('popover-sentiment').value = '0';
+    document.getElementById('popover-sentiment-value').textContent = '0.00';
+    document.getElementById('popover-emotion').value = 'neutral';
+
+    popover.style.top = `${draft.rect.bottom - viewerRect.top + 8}px`;
+    popover.style.left = `${Math.max(0, Math.min(draft.rect.left - viewerRect.left, viewerRect.width - 280))}px`;
+    popover.style.display = 'block';
+  }
+
+  /**
+   * Hide the create popover and drop the draft
+   */
+  hideCreatePopover() {
+    this.pendingDraft = null;
+    document.getElementById('annotation-popover').style.display = 'none';
+  }
+
+  /**
+   * Save the draft as manual annotation
+   * The span is shown right away and replaced by the saved row (or removed on error).
+   * @private
+   */
+  async saveDraft() {
+    const draft = this.pendingDraft;
+    if (!draft) return;
+
+    const values = {
+      text: draft.text,
+      position: draft.position,
+      startOffset: draft.startOffset,
+      endOffset: draft.endOffset,
+      sentimentScore: Number(document.getElementById('popover-sentiment').value),
+      emotion: document.getElementById('popover-emotion').value,
+    };
+
+    this.hideCreatePopover();
+    window.getSelection().removeAllRanges();
+
+    try {
+      await this.commitAnnotationCreate(values);
+    } catch (error) {
+      // Placeholder already removed and error reported by the create handler
+    }
+  }
+
+  /**
+   * Show a new annotation right away and persist it via onAnnotationCreate
+   * The placeholder is replaced by the saved row, or removed if saving fails.
+   * @param {Object} values - { text, position, startOffset, endOffset, sentimentScore, emotion, metadata }
+   * @returns {Promise<Object|null>} Saved annotation
+   */
+  async commitAnnotationCreate(values) {
+    if (!this.options.onAnnotationCreate) return null;
+
+    const placeholder = {
+      id: `pending-${this.nextPendingId++}`,
+      ...this.toAnnotationFields(values),
+      metadata: values.metadata || { source: 'human' },
+      pending: true,
+    };
+    this.addAnnotation(placeholder);
+
+    try {
+      const saved = await this.options.onAnnotationCreate(values);
+      this.removeAnnotation(placeholder.id);
+
+      // Realtime may have delivered the row already; addAnnotation merges duplicates
+      if (saved) {
+        this.addAnnotation(saved);
+        this.recordHistory({ type: 'create', annotationId: saved.id, values: this.fromAnnotationFields(saved) });
+      }
+      return saved;
+
+    } catch (error) {
+      console.error('Error creating annotation:', error);
+      this.removeAnnotation(placeholder.id);
+      throw error;
+    }
   }
 
   /**
    * Get highlight class based on mode
    */
-  getHighlightClass(annotation) {
-    if (this.options.highlightMode === 'sentiment') {
-      const score = annotation.sentiment_score || 0;
-      if (score > 0.3) return 'sentiment-positive';
-      if (score < -0.3) return 'sentiment-negative';
-      return 'sentiment-neutral';
-    } else if (this.options.highlightMode === 'emotion') {
-      const emotion = annotation.emotion || 'neutral';
-      return `emotion-${emotion.toLowerCase()}`;
+  getHighlightClass(annotation, mode = this.options.highlightMode) {
+    if (mode === 'sentiment') {
+      const scale = this.options.sentimentScale;
+
+      // Gradient colors are set inline (see getHighlightStyle)
+      if (scale.mode === 'gradient') return 'sentiment-gradient';
+      return `sentiment-${SentimentScale.getLevel(annotation.sentiment_score, scale)}`;
+    } else if (mode === 'emotion') {
+      // Emotion comes from the backend and ends up in a class attribute
+      return `emotion-${this.ensureEmotionStyle(annotation.emotion)}`;
     }
     return '';
   }
 
+  /**
+   * Get inline highlight colors (continuous gradient mode only)
+   * @private
+   */
+  getHighlightStyle(annotation) {
+    if (this.options.highlightMode !== 'sentiment' || this.options.sentimentScale.mode !== 'gradient') return '';
+
+    const color = SentimentScale.getColor(annotation.sentiment_score, this.options.sentimentScale, this.sentimentLevels);
+    return `background-color: ${color.background}; border-bottom-color: ${color.border};`;
+  }
+
   /**
    * Select annotation
    */
   selectAnnotation(index) {
     const annotation = this.annotations[index];
-    this.selectedAnnotation = annotation;
-
-    // Update visual selection
-    const annotatedTexts = this.container.querySelectorAll('.annotated-text');
-    annotatedTexts.forEach((el, i) => {
-      el.classList.toggle('selected', i === index);
-    });
+    if (!annotation) return;
 
+    this.selectedAnnotation = annotation;
+    this.refreshSelection();
     this.showAnnotationDetails(annotation);
+    this.scheduleFilterStatus();
+    this.notifyViewStateChange();
 
     if (this.options.onAnnotationClick) {
       this.options.onAnnotationClick(annotation);
     }
   }
 
+  /**
+   * Select annotation by ID
+   */
+  selectAnnotationById(annotationId) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    if (annotation) {
+      this.selectAnnotation(this.annotations.indexOf(annotation));
+    }
+  }
+
+  /**
+   * Mark all spans (and fragments) of the selected annotation
+   */
+  refreshSelection() {
+    const selectedId = this.selectedAnnotation ? String(this.selectedAnnotation.id) : null;
+
+    // Only rendered blocks contain spans; other blocks pick up the selection when rendered
+    this.container.querySelectorAll('.annotated-text').forEach(el => {
+      el.classList.toggle('selected', el.dataset.annotationId === selectedId);
+    });
+  }
+
   /**
    * Show annotation details
    */
@@ -528,14 +2523,15 @@ class AnnotationsViewerComponent {
     const detailsSection = document.getElementById('annotation-details');
     const detailsContent = document.getElementById('annotation-details-content');
 
-    const sentimentScore = annotation.sentiment_score || 0;
-    const sentimentColor = sentimentScore > 0 ? '#48bb78' : sentimentScore < 0 ? '#f56565' : '#a0aec0';
+    const sentimentScore = Number(annotation.sentiment_score) || 0;
+    const text = annotation.text || '';
+    const sentimentColor = SentimentScale.getColor(sentimentScore, this.options.sentimentScale, this.sentimentLevels).border;
 
     detailsContent.innerHTML = `
       <div class="detail-grid">
         <div class="detail-item annotation-text-preview">
           <div class="detail-label">Text</div>
-          <div class="detail-value">"${annotation.text}"</div>
+          <div class="detail-value">"${HtmlUtils.escapeHtml(text)}"</div>
         </div>
 
         <div class="detail-item">
@@ -545,7 +2541,7 @@ class AnnotationsViewerComponent {
               <span>${sentimentScore.toFixed(2)}</span>
               <div class="sentiment-bar">
                 <div class="sentiment-bar-fill"
-                     style="width: ${Math.abs(sentimentScore) * 100}%; background: ${sentimentColor};">
+                     style="width: ${Math.min(Math.abs(sentimentScore), 1) * 100}%; background: ${sentimentColor};">
                 </div>
               </div>
             </div>
@@ -554,32 +2550,455 @@ class AnnotationsViewerComponent {
 
         <div class="detail-item">
           <div class="detail-label">Emotion</div>
-          <div class="detail-value">${annotation.emotion || 'N/A'}</div>
+          <div class="detail-value">${HtmlUtils.escapeHtml(annotation.emotion ? this.getEmotionLabel(annotation.emotion) : 'N/A')}</div>
         </div>
 
         <div class="detail-item">
           <div class="detail-label">Position</div>
-          <div class="detail-value">${annotation.position}</div>
+          <div class="detail-value">${Number.isInteger(annotation.start_offset)
+            ? `${annotation.start_offset}–${annotation.end_offset}`
+            : HtmlUtils.escapeHtml(annotation.position)}</div>
         </div>
 
         <div class="detail-item">
           <div class="detail-label">Länge</div>
-          <div class="detail-value">${annotation.text.length} Zeichen</div>
+          <div class="detail-value">${text.length} Zeichen</div>
+        </div>
+
+        <div class="detail-item">
+          <div class="detail-label">Quelle</div>
+          <div class="detail-value">${this.isHumanAnnotation(annotation) ? 'Manuell' : 'Modell'}</div>
         </div>
       </div>
+
+      ${this.options.onAnnotationShare && !annotation.pending ? `
+        <div class="annotation-share">
+          <button class="btn btn-sm btn-outline-secondary mb-0" data-edit-action="share">Link zur Passage kopieren</button>
+        </div>
+      ` : ''}
+      ${this.renderReviewActions(annotation)}
+      ${this.renderEditor(annotation)}
     `;
 
     detailsSection.style.display = 'block';
   }
 
+  /**
+   * Render review status and decisions for the details panel
+   * @private
+   */
+  renderReviewActions(annotation) {
+    if (!this.reviewMode || !this.isReviewable(annotation)) return '';
+
+    const labels = {
+      accepted: 'Akzeptiert',
+      rejected: 'Abgelehnt',
+      corrected: 'Korrigiert',
+    };
+    const review = annotation.metadata?.review;
+    const reviewedAt = review?.reviewed_at ? new Date(review.reviewed_at).toLocaleString('de-DE') : null;
+
+    return `
+      <div class="annotation-editor review-actions">
+        <span class="detail-label">Review:</span>
+        <span class="detail-value">${review?.status ? HtmlUtils.escapeHtml(labels[review.status] || review.status) : 'Ungeprüft'}</span>
+        ${reviewedAt ? `<small>${HtmlUtils.escapeHtml(reviewedAt)}</small>` : ''}
+        ${this.options.onAnnotationUpdate ? `
+          <button class="btn btn-sm btn-success" data-edit-action="accept">Akzeptieren (A)</button>
+          <button class="btn btn-sm btn-outline-danger" data-edit-action="reject">Ablehnen (R)</button>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render editor controls for the details panel
+   * @private
+   */
+  renderEditor(annotation) {
+    const editable = this.options.onAnnotationUpdate || this.options.onAnnotationDelete;
+    if (!editable || annotation.pending) return '';
+
+    const sentimentScore = Number(annotation.sentiment_score) || 0;
+    const hasRange = this.documentText && Number.isInteger(annotation.start_offset);
+
+    return `
+      <div class="annotation-editor">
+        ${this.options.onAnnotationUpdate ? `
+          <div>
+            <label class="detail-label" for="edit-sentiment">
+              Sentiment <span id="edit-sentiment-value">${sentimentScore.toFixed(2)}</span>
+            </label>
+            <input type="range" id="edit-sentiment" min="-1" max="1" step="0.05" value="${sentimentScore}">
+          </div>
+
+          <div>
+            <label class="detail-label" for="edit-emotion">Emotion</label>
+            <select class="form-control" id="edit-emotion">
+              ${this.renderEmotionOptions(annotation.emotion || 'neutral')}
+            </select>
+          </div>
+
+          ${hasRange ? `
+            <div>
+              <div class="detail-label">Textbereich (Zeichen)</div>
+              <div class="editor-range">
+                <input type="number" class="form-control" id="edit-start" min="0"
+                       max="${this.documentText.length}" value="${annotation.start_offset}">
+                <span>–</span>
+                <input type="number" class="form-control" id="edit-end" min="0"
+                       max="${this.documentText.length}" value="${annotation.end_offset}">
+              </div>
+            </div>
+          ` : ''}
+        ` : ''}
+
+        <div class="editor-error" id="editor-error"></div>
+
+        <div class="popover-actions">
+          ${this.options.onAnnotationDelete ? `
+            <button class="btn btn-sm btn-outline-danger" data-edit-action="delete">Löschen</button>
+          ` : ''}
+          ${this.options.onAnnotationUpdate ? `
+            <button class="btn btn-sm btn-primary" data-edit-action="save">Speichern</button>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Read the editor and save the changes of the selected annotation
+   * @private
+   */
+  async saveEditor() {
+    const annotation = this.selectedAnnotation;
+    if (!annotation) return;
+
+    const updates = {
+      sentimentScore: Number(document.getElementById('edit-sentiment').value),
+      emotion: document.getElementById('edit-emotion').value,
+    };
+
+    const startInput = document.getElementById('edit-start');
+    const endInput = document.getElementById('edit-end');
+
+    if (startInput && endInput) {
+      const start = parseInt(startInput.value, 10);
+      const end = parseInt(endInput.value, 10);
+
+      if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end <= start || end > this.documentText.length) {
+        document.getElementById('editor-error').textContent =
+          `Ungültiger Textbereich (0–${this.documentText.length}, Ende nach Anfang)`;
+        return;
+      }
+
+      if (start !== annotation.start_offset || end !== annotation.end_offset) {
+        updates.startOffset = start;
+        updates.endOffset = end;
+        updates.text = this.documentText.slice(start, end);
+      }
+    }
+
+    try {
+      // Changes made while reviewing count as correction of the model output
+      if (this.reviewMode && this.isReviewable(annotation)) {
+        await this.reviewAnnotation(annotation.id, 'corrected', updates);
+      } else {
+        await this.commitAnnotationUpdate(annotation.id, updates);
+      }
+    } catch (error) {
+      // Already rolled back and reported by the update handler
+    }
+  }
+
+  /**
+   * Delete the selected annotation after confirmation
+   * @private
+   */
+  async deleteFromEditor() {
+    const annotation = this.selectedAnnotation;
+    if (!annotation || !confirm('Möchten Sie diese Annotation wirklich löschen?')) return;
+
+    try {
+      await this.commitAnnotationDelete(annotation.id);
+    } catch (error) {
+      // Already restored and reported by the delete handler
+    }
+  }
+
+  /**
+   * Change an annotation optimistically and persist it via onAnnotationUpdate
+   * The previous values are restored if saving fails.
+   * @param {string} annotationId - Annotation ID
+   * @param {Object} updates - { sentimentScore, emotion, startOffset, endOffset, text, metadata }
+   * @returns {Promise<Object>} Saved annotation
+   */
+  async commitAnnotationUpdate(annotationId, updates) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    if (!annotation || !this.options.onAnnotationUpdate) return null;
+
+    const fields = this.toAnnotationFields(updates);
+    const previous = {};
+    Object.keys(fields).forEach(field => {
+      previous[field] = annotation[field];
+    });
+
+    this.updateAnnotation(annotationId, fields);
+    this.refreshDetails(annotationId);
+
+    try {
+      const saved = await this.options.onAnnotationUpdate(annotation, updates);
+      if (saved) this.updateAnnotation(annotationId, saved);
+      this.refreshDetails(annotationId);
+
+      this.recordHistory({
+        type: 'update',
+        annotationId,
+        before: this.fromAnnotationFields(previous),
+        after: updates,
+      });
+      return saved;
+
+    } catch (error) {
+      console.error('Error updating annotation:', error);
+      this.updateAnnotation(annotationId, previous);
+      this.refreshDetails(annotationId);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an annotation optimistically and delete it via onAnnotationDelete
+   * The annotation is restored if deleting fails.
+   * @param {string} annotationId - Annotation ID
+   * @returns {Promise<Object>} Deleted annotation
+   */
+  async commitAnnotationDelete(annotationId) {
+    const annotation = this.annotationsById.get(String(annotationId));
+    if (!annotation || !this.options.onAnnotationDelete) return null;
+
+    const snapshot = { ...annotation };
+    this.removeAnnotation(annotationId);
+
+    try {
+      await this.options.onAnnotationDelete(snapshot);
+      this.recordHistory({ type: 'delete', annotationId, values: this.fromAnnotationFields(snapshot) });
+      return snapshot;
+
+    } catch (error) {
+      console.error('Error deleting annotation:', error);
+      this.addAnnotation(snapshot);
+      throw error;
+    }
+  }
+
+  /**
+   * Map camelCase annotation values to table fields
+   * Uses the mapping of MarkerEngineService.updateAnnotation, so both stay in sync.
+   * @private
+   */
+  toAnnotationFields(values) {
+    const fields = {};
+    Object.entries(MarkerEngineService.annotationFieldColumns).forEach(([key, field]) => {
+      if (key in values) fields[field] = values[key];
+    });
+    return fields;
+  }
+
+  /**
+   * Map table fields back to camelCase annotation values
+   * @private
+   */
+  fromAnnotationFields(fields) {
+    const values = {};
+    Object.entries(MarkerEngineService.annotationFieldColumns).forEach(([key, field]) => {
+      if (field in fields) values[key] = fields[field];
+    });
+    return values;
+  }
+
+  /**
+   * Push a completed mutation onto the undo stack
+   * @private
+   */
+  recordHistory(entry) {
+    if (this.historyReplaying) return;
+
+    this.history.undo.push(entry);
+    if (this.history.undo.length > this.options.historyLimit) {
+      this.history.undo.shift();
+    }
+    this.history.redo = [];
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Revert the last annotation change
+   * @returns {Promise<boolean>} True if a change was reverted
+   */
+  undo() {
+    return this.replayHistory('undo');
+  }
+
+  /**
+   * Re-apply the last reverted annotation change
+   * @returns {Promise<boolean>} True if a change was re-applied
+   */
+  redo() {
+    return this.replayHistory('redo');
+  }
+
+  /**
+   * Check if there is something to undo / redo
+   */
+  canUndo() {
+    return this.history.undo.length > 0 && !this.historyBusy;
+  }
+
+  canRedo() {
+    return this.history.redo.length > 0 && !this.historyBusy;
+  }
+
+  /**
+   * Forget all history entries
+   */
+  clearHistory() {
+    this.history = { undo: [], redo: [] };
+    this.historyIds.clear();
+    this.updateHistoryButtons();
+  }
+
+  /**
+   * Apply the top entry of the undo or redo stack with compensating calls
+   * Entries store explicit values, so realtime changes in between do not shift them.
+   * An entry that cannot be applied anymore (e.g. annotation deleted elsewhere) is dropped.
+   * @private
+   */
+  async replayHistory(direction) {
+    const stack = this.history[direction];
+    if (this.historyBusy || stack.length === 0) return false;
+
+    const entry = stack.pop();
+    this.historyBusy = true;
+    this.historyReplaying = true;
+    this.updateHistoryButtons();
+
+    try {
+      await this.applyHistoryEntry(entry, direction === 'undo');
+      this.history[direction === 'undo' ? 'redo' : 'undo'].push(entry);
+      return true;
+
+    } catch (error) {
+      console.error(`Could not ${direction} annotation change:`, error);
+      return false;
+
+    } finally {
+      this.historyBusy = false;
+      this.historyReplaying = false;
+      this.updateHistoryButtons();
+    }
+  }
+
+  /**
+   * Apply or revert a history entry
+   * @private
+   */
+  async applyHistoryEntry(entry, revert) {
+    const annotationId = this.resolveHistoryId(entry.annotationId);
+
+    if (entry.type === 'update') {
+      const saved = await this.commitAnnotationUpdate(annotationId, revert ? entry.before : entry.after);
+      if (!saved) throw new Error(`Annotation ${annotationId} not found`);
+      return;
+    }
+
+    // Reverting a create deletes, reverting a delete re-creates
+    const remove = (entry.type === 'create') === revert;
+
+    if (remove) {
+      const deleted = await this.commitAnnotationDelete(annotationId);
+      if (!deleted) throw new Error(`Annotation ${annotationId} not found`);
+    } else {
+      const created = await this.commitAnnotationCreate(entry.values);
+      if (!created) throw new Error('Annotation could not be re-created');
+
+      // Later entries still refer to the old ID
+      this.historyIds.set(String(annotationId), String(created.id));
+    }
+  }
+
+  /**
+   * Follow re-created IDs to the current annotation ID
+   * @private
+   */
+  resolveHistoryId(annotationId) {
+    let id = String(annotationId);
+    while (this.historyIds.has(id)) {
+      id = this.historyIds.get(id);
+    }
+    return id;
+  }
+
+  /**
+   * Enable or disable the undo/redo buttons
+   * @private
+   */
+  updateHistoryButtons() {
+    document.getElementById('undo-button').disabled = !this.canUndo();
+    document.getElementById('redo-button').disabled = !this.canRedo();
+  }
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) outside of form fields
+   * @private
+   */
+  handleHistoryShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    const redo = (key === 'z' && e.shiftKey) || key === 'y';
+    const undo = key === 'z' && !e.shiftKey;
+
+    if (undo && this.history.undo.length > 0) {
+      e.preventDefault();
+      this.undo();
+    } else if (redo && this.history.redo.length > 0) {
+      e.preventDefault();
+      this.redo();
+    }
+  }
+
+  /**
+   * Re-render the details panel if it shows the given annotation
+   * @private
+   */
+  refreshDetails(annotationId) {
+    const annotation = this.annotationsById.get(String(annotationId));
+
+    if (annotation && this.selectedAnnotation && String(this.selectedAnnotation.id) === String(annotationId)) {
+      this.selectedAnnotation = annotation;
+      this.showAnnotationDetails(annotation);
+    }
+  }
+
   /**
    * Clear annotations
    */
   clear() {
     this.annotations = [];
+    this.annotationsById = new Map();
+    this.documentText = null;
+    this.documentMarkdown = null;
     this.selectedAnnotation = null;
+    this.hideCreatePopover();
+    this.clearHistory();
+    document.getElementById('view-mode-selector').style.display = 'none';
     this.renderAnnotations();
+    this.setDocumentSentiment(null);
     document.getElementById('annotation-details').style.display = 'none';
+    this.notifyAnnotationsChange();
   }
 
   /**
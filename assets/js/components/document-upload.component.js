@@ -15,10 +15,14 @@ class DocumentUploadComponent {
       onUploadProgress: options.onUploadProgress || null,
       onUploadComplete: options.onUploadComplete || null,
       onUploadError: options.onUploadError || null,
+      onRetry: options.onRetry || null,
+      onClearFinished: options.onClearFinished || null,
+      emotionTaxonomy: EmotionTaxonomy.get(options.emotionTaxonomy).name, // Preselected taxonomy for new uploads
+      onTaxonomyChange: options.onTaxonomyChange || null,
     };
 
     this.selectedFiles = [];
-    this.uploadQueue = [];
+    this.queueItems = new Map();
     this.init();
   }
 
@@ -73,7 +77,24 @@ class DocumentUploadComponent {
           <div id="file-list"></div>
         </div>
 
+        <div class="upload-queue" id="upload-progress" style="display: none;">
+          <div class="upload-queue-header">
+            <h5>Upload-Warteschlange</h5>
+            <button class="btn btn-sm btn-outline-secondary" id="clear-finished-button" style="display: none;">
+              <i class="material-icons">done_all</i>
+              Erledigte entfernen
+            </button>
+          </div>
+          <div id="upload-progress-list"></div>
+        </div>
+
         <div class="upload-actions" id="upload-actions" style="display: none; margin-top: 20px;">
+          <div class="upload-taxonomy">
+            <label class="upload-taxonomy-label" for="upload-taxonomy-select">Emotions-Taxonomie</label>
+            <select class="form-control" id="upload-taxonomy-select">
+              ${this.renderTaxonomyOptions()}
+            </select>
+          </div>
           <button class="btn btn-success" id="start-upload-button">
             <i class="material-icons">upload</i>
             Upload starten
@@ -140,6 +161,33 @@ class DocumentUploadComponent {
           box-shadow: 0 2px 8px rgba(0,0,0,0.1);
         }
 
+        .upload-queue-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+        }
+
+        .upload-queue-header h5 {
+          margin: 0;
+        }
+
+        .upload-taxonomy {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          margin-bottom: 12px;
+        }
+
+        .upload-taxonomy-label {
+          margin: 0;
+          color: #4a5568;
+          white-space: nowrap;
+        }
+
+        .upload-taxonomy select {
+          max-width: 320px;
+        }
+
         .file-item {
           display: flex;
           align-items: center;
@@ -200,6 +248,58 @@ class DocumentUploadComponent {
           background: #1a73e8;
           transition: width 0.3s ease;
         }
+
+        .progress-bar-fill.progress-bar-error {
+          background: #e53e3e;
+        }
+
+        .file-details p.progress-text {
+          margin-top: 4px;
+          font-size: 0.75rem;
+        }
+
+        .file-item.status-done {
+          border-left-color: #48bb78;
+        }
+
+        .file-item.status-failed {
+          border-left-color: #e53e3e;
+        }
+
+        .queue-status-badge {
+          display: inline-block;
+          margin-left: 8px;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 0.75rem;
+          font-weight: 600;
+          background: #e2e8f0;
+          color: #4a5568;
+        }
+
+        .queue-status-badge.status-uploading,
+        .queue-status-badge.status-processing {
+          background: #e3f2fd;
+          color: #1a73e8;
+        }
+
+        .queue-status-badge.status-done {
+          background: #c6f6d5;
+          color: #276749;
+        }
+
+        .queue-status-badge.status-failed {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .file-actions button.retry-button {
+          color: #1a73e8;
+        }
+
+        .file-actions button.retry-button:hover {
+          color: #1557b0;
+        }
       </style>
     `;
   }
@@ -237,6 +337,31 @@ class DocumentUploadComponent {
     if (clearButton) {
       clearButton.addEventListener('click', () => this.clearFiles());
     }
+
+    // Remove buttons of selected files
+    document.getElementById('file-list').addEventListener('click', (e) => {
+      const removeButton = e.target.closest('.remove-file-button');
+      if (removeButton) {
+        this.removeFile(Number(removeButton.dataset.index));
+      }
+    });
+
+    document.getElementById('clear-finished-button').addEventListener('click', () => this.clearQueueItems());
+
+    document.getElementById('upload-taxonomy-select').addEventListener('change', (e) => {
+      this.options.emotionTaxonomy = e.target.value;
+      if (this.options.onTaxonomyChange) {
+        this.options.onTaxonomyChange(e.target.value);
+      }
+    });
+
+    // Retry buttons of failed queue items
+    document.getElementById('upload-progress-list').addEventListener('click', (e) => {
+      const retryButton = e.target.closest('.retry-button');
+      if (retryButton && this.options.onRetry) {
+        this.options.onRetry(retryButton.dataset.itemId);
+      }
+    });
   }
 
   /**
@@ -347,12 +472,12 @@ class DocumentUploadComponent {
         <div class="file-info">
           <i class="material-icons file-icon">insert_drive_file</i>
           <div class="file-details">
-            <h6>${file.name}</h6>
-            <p>${this.formatBytes(file.size)} • ${file.type || 'Unknown type'}</p>
+            <h6>${HtmlUtils.escapeHtml(file.name)}</h6>
+            <p>${this.formatBytes(file.size)} • ${HtmlUtils.escapeHtml(file.type || 'Unknown type')}</p>
           </div>
         </div>
         <div class="file-actions">
-          <button onclick="documentUpload.removeFile(${index})">
+          <button class="remove-file-button" data-index="${index}">
             <i class="material-icons">delete</i>
           </button>
         </div>
@@ -402,8 +527,35 @@ class DocumentUploadComponent {
     document.getElementById('file-input').value = '';
   }
 
+  /**
+   * Render <option> elements of the registered emotion taxonomies
+   * @private
+   */
+  renderTaxonomyOptions() {
+    return EmotionTaxonomy.list('de').map(({ name, label }) => `
+      <option value="${HtmlUtils.escapeHtml(name)}" ${name === this.options.emotionTaxonomy ? 'selected' : ''}>
+        ${HtmlUtils.escapeHtml(label)}
+      </option>
+    `).join('');
+  }
+
+  /**
+   * Select the taxonomy for new uploads (also picks up taxonomies registered after rendering)
+   * @param {string} name - Registered taxonomy name
+   */
+  setEmotionTaxonomy(name) {
+    this.options.emotionTaxonomy = EmotionTaxonomy.get(name).name;
+
+    const select = document.getElementById('upload-taxonomy-select');
+    if (select) {
+      select.innerHTML = this.renderTaxonomyOptions();
+    }
+  }
+
   /**
    * Start upload
+   * Selected files are handed to the onUploadStart handler, which queues
+   * them and reports back through updateQueueItem.
    */
   async startUpload() {
     if (this.selectedFiles.length === 0) {
@@ -411,51 +563,153 @@ class DocumentUploadComponent {
       return;
     }
 
-    if (this.options.onUploadStart) {
-      this.options.onUploadStart(this.selectedFiles);
-    }
+    const files = [...this.selectedFiles];
+    this.clearFiles();
 
-    for (let i = 0; i < this.selectedFiles.length; i++) {
-      await this.uploadFile(this.selectedFiles[i], i);
+    if (this.options.onUploadStart) {
+      await this.options.onUploadStart(files);
     }
   }
 
   /**
-   * Upload single file
+   * Render or update a queue item
+   * @param {Object} item - Upload queue item
    */
-  async uploadFile(file, index) {
-    try {
-      const fileItem = document.getElementById(`file-${index}`);
-
-      // Add progress bar
-      const progressHtml = `
-        <div class="progress-bar-wrapper">
-          <div class="progress-bar-fill" id="progress-${index}" style="width: 0%"></div>
+  updateQueueItem(item) {
+    const previous = this.queueItems.get(item.id);
+    this.queueItems.set(item.id, item);
+
+    const progressSection = document.getElementById('upload-progress');
+    const progressList = document.getElementById('upload-progress-list');
+    if (!progressList) return;
+
+    progressSection.style.display = 'block';
+
+    let row = document.getElementById(`queue-item-${item.id}`);
+    if (!row) {
+      progressList.insertAdjacentHTML('beforeend', `
+        <div class="file-item" id="queue-item-${item.id}">
+          <div class="file-info">
+            <i class="material-icons file-icon">insert_drive_file</i>
+            <div class="file-details">
+              <h6><span class="queue-file-name"></span><span class="queue-status-badge"></span></h6>
+              <p class="queue-file-size"></p>
+              <div class="progress-bar-wrapper">
+                <div class="progress-bar-fill" style="width: 0%"></div>
+              </div>
+              <p class="progress-text"></p>
+            </div>
+          </div>
+          <div class="file-actions"></div>
         </div>
-      `;
-      fileItem.querySelector('.file-details').insertAdjacentHTML('beforeend', progressHtml);
+      `);
+      row = document.getElementById(`queue-item-${item.id}`);
+      row.querySelector('.queue-file-name').textContent = item.file.name;
+      row.querySelector('.queue-file-size').textContent = this.formatBytes(item.file.size);
+    }
 
-      // Simulate progress (replace with actual upload logic)
-      if (this.options.onUploadProgress) {
-        for (let progress = 0; progress <= 100; progress += 10) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          document.getElementById(`progress-${index}`).style.width = `${progress}%`;
-          this.options.onUploadProgress(file, progress);
-        }
-      }
+    const badge = row.querySelector('.queue-status-badge');
+    const progressBar = row.querySelector('.progress-bar-fill');
+    const progressText = row.querySelector('.progress-text');
+    const actions = row.querySelector('.file-actions');
+
+    row.className = `file-item status-${item.status}`;
+    badge.className = `queue-status-badge status-${item.status}`;
+    badge.textContent = this.getStatusLabel(item.status);
+    progressBar.style.width = `${item.progress}%`;
+    progressBar.classList.toggle('progress-bar-error', item.status === 'failed');
+
+    switch (item.status) {
+      case 'queued':
+        progressText.textContent = 'Warte auf freien Upload-Slot...';
+        break;
+      case 'uploading':
+        progressText.textContent = `${this.formatBytes(item.bytesSent)} / ${this.formatBytes(item.file.size)} (${item.progress}%)`;
+        break;
+      case 'processing':
+        progressText.textContent = 'Upload abgeschlossen, Dokument wird verarbeitet';
+        break;
+      case 'done':
+        progressText.textContent = 'Verarbeitung abgeschlossen';
+        break;
+      case 'failed':
+        progressText.textContent = `Fehler: ${item.error?.message || 'Unbekannter Fehler'}`;
+        break;
+    }
+
+    this.updateClearFinishedButton();
+
+    actions.innerHTML = item.status === 'failed' ? `
+      <button class="retry-button" data-item-id="${item.id}" title="Erneut versuchen">
+        <i class="material-icons">refresh</i>
+      </button>
+    ` : '';
 
-      if (this.options.onUploadComplete) {
-        this.options.onUploadComplete(file, index);
+    // Forward status transitions to the component callbacks
+    if (item.status === 'uploading' && this.options.onUploadProgress) {
+      this.options.onUploadProgress(item.file, item.progress, item.bytesSent, item.file.size);
+    }
+
+    if (item.status !== previous?.status) {
+      if (item.status === 'processing' && this.options.onUploadComplete) {
+        this.options.onUploadComplete(item.file, item);
       }
 
-    } catch (error) {
-      console.error('Upload error:', error);
-      if (this.options.onUploadError) {
-        this.options.onUploadError(file, error);
+      if (item.status === 'failed' && this.options.onUploadError) {
+        this.options.onUploadError(item.file, item.error || new Error('Unbekannter Fehler'));
       }
     }
   }
 
+  /**
+   * Get label for queue item status
+   */
+  getStatusLabel(status) {
+    const labels = {
+      queued: 'In Warteschlange',
+      uploading: 'Wird hochgeladen',
+      processing: 'In Verarbeitung',
+      done: 'Fertig',
+      failed: 'Fehlgeschlagen',
+    };
+
+    return labels[status] || status;
+  }
+
+  /**
+   * Clear finished items from the upload progress list
+   * Failed items stay, so they can still be retried.
+   */
+  clearQueueItems() {
+    const finishedIds = Array.from(this.queueItems.values())
+      .filter(item => item.status === 'done')
+      .map(item => item.id);
+
+    finishedIds.forEach(itemId => {
+      this.queueItems.delete(itemId);
+      document.getElementById(`queue-item-${itemId}`)?.remove();
+    });
+
+    if (this.queueItems.size === 0) {
+      document.getElementById('upload-progress').style.display = 'none';
+    }
+
+    this.updateClearFinishedButton();
+
+    if (finishedIds.length > 0 && this.options.onClearFinished) {
+      this.options.onClearFinished(finishedIds);
+    }
+  }
+
+  /**
+   * Show the clear button only while finished items are listed
+   * @private
+   */
+  updateClearFinishedButton() {
+    const hasFinished = Array.from(this.queueItems.values()).some(item => item.status === 'done');
+    document.getElementById('clear-finished-button').style.display = hasFinished ? '' : 'none';
+  }
+
   /**
    * Get accepted file types string
    */
@@ -498,6 +752,7 @@ class DocumentUploadComponent {
    */
   reset() {
     this.clearFiles();
+    this.queueItems.clear();
     this.render();
     this.attachEventListeners();
   }
@@ -0,0 +1,511 @@
+/**
+ * Job History Component
+ * Browses the user's processed documents with search, filters, sorting and cursor pagination
+ */
+
+const JOB_HISTORY_STATUS_LABELS = {
+  pending: 'Wartend',
+  processing: 'In Bearbeitung',
+  completed: 'Abgeschlossen',
+  failed: 'Fehlgeschlagen',
+  error: 'Fehler',
+  cancelled: 'Abgebrochen',
+};
+
+const JOB_HISTORY_SORT_OPTIONS = [
+  { value: 'created_at:desc', label: 'Neueste zuerst' },
+  { value: 'created_at:asc', label: 'Älteste zuerst' },
+  { value: 'file_name:asc', label: 'Dateiname A–Z' },
+  { value: 'file_name:desc', label: 'Dateiname Z–A' },
+  { value: 'status:asc', label: 'Status' },
+];
+
+class JobHistoryComponent {
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.options = {
+      pageSize: options.pageSize || 20,
+      fileTypes: options.fileTypes || ['pdf', 'docx', 'doc', 'txt', 'md', 'html'],
+      searchDelay: options.searchDelay || 300,
+      onLoad: options.onLoad || null, // Called with (query), resolves to { jobs, nextCursor }
+      onJobSelect: options.onJobSelect || null, // Called with (job)
+    };
+
+    this.jobs = [];
+    this.nextCursor = null;
+    this.query = {
+      search: '',
+      status: '',
+      fileType: '',
+      from: '', // YYYY-MM-DD
+      to: '', // YYYY-MM-DD, inclusive
+      sortBy: 'created_at',
+      ascending: false,
+    };
+    this.selectedJobId = null;
+    this.isLoading = false;
+    this.request = 0; // Ignores responses of outdated queries
+    this.searchTimer = null;
+    this.init();
+  }
+
+  /**
+   * Initialize component
+   */
+  init() {
+    if (!this.container) {
+      console.error('Job history container not found');
+      return;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Render history UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="job-history">
+        <div class="history-header">
+          <h5>Verlauf</h5>
+          <span class="history-count" id="history-count"></span>
+        </div>
+
+        <div class="history-toolbar">
+          <input type="search" class="form-control" id="history-search" placeholder="Dateiname suchen…">
+          <select class="form-control" id="history-status">
+            <option value="">Alle Status</option>
+            ${Object.entries(JOB_HISTORY_STATUS_LABELS).map(([status, label]) => `
+              <option value="${status}">${label}</option>
+            `).join('')}
+          </select>
+          <select class="form-control" id="history-file-type">
+            <option value="">Alle Dateitypen</option>
+            ${this.options.fileTypes.map(type => `
+              <option value="${HtmlUtils.escapeHtml(type)}">${HtmlUtils.escapeHtml(type.toUpperCase())}</option>
+            `).join('')}
+          </select>
+          <label class="history-date">
+            <span>Von</span>
+            <input type="date" class="form-control" id="history-from">
+          </label>
+          <label class="history-date">
+            <span>Bis</span>
+            <input type="date" class="form-control" id="history-to">
+          </label>
+          <select class="form-control" id="history-sort">
+            ${JOB_HISTORY_SORT_OPTIONS.map(option => `
+              <option value="${option.value}">${option.label}</option>
+            `).join('')}
+          </select>
+        </div>
+
+        <div class="table-responsive">
+          <table class="table history-table">
+            <thead>
+              <tr>
+                <th>Datei</th>
+                <th>Typ</th>
+                <th>Größe</th>
+                <th>Status</th>
+                <th>Erstellt</th>
+                <th>Dauer</th>
+              </tr>
+            </thead>
+            <tbody id="history-rows"></tbody>
+          </table>
+        </div>
+
+        <div class="history-message" id="history-message"></div>
+
+        <div class="history-footer">
+          <button type="button" class="btn btn-outline-primary btn-sm mb-0" id="history-more" style="display: none;">
+            Weitere laden
+          </button>
+        </div>
+      </div>
+
+      <style>
+        .job-history {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+
+        .history-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .history-header h5 {
+          margin: 0;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .history-count {
+          font-size: 0.875rem;
+          color: #718096;
+        }
+
+        .history-toolbar {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 10px;
+          margin-bottom: 15px;
+        }
+
+        .history-toolbar .form-control {
+          width: auto;
+          border: 1px solid #e2e8f0;
+          padding: 4px 10px;
+        }
+
+        .history-toolbar #history-search {
+          flex: 1 1 200px;
+        }
+
+        .history-date {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          margin: 0;
+          font-size: 0.75rem;
+          text-transform: uppercase;
+          color: #718096;
+          font-weight: 600;
+        }
+
+        .history-table tbody tr {
+          cursor: pointer;
+        }
+
+        .history-table tbody tr:hover {
+          background: #f7fafc;
+        }
+
+        .history-table tbody tr.selected {
+          background: #ebf4ff;
+        }
+
+        .history-table td {
+          font-size: 0.875rem;
+          vertical-align: middle;
+        }
+
+        .history-file-name {
+          max-width: 320px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .history-status {
+          display: inline-block;
+          padding: 2px 8px;
+          border-radius: 10px;
+          font-size: 0.75rem;
+          font-weight: 600;
+          background: #edf2f7;
+          color: #4a5568;
+        }
+
+        .history-status.status-completed {
+          background: #c6f6d5;
+          color: #22543d;
+        }
+
+        .history-status.status-processing,
+        .history-status.status-pending {
+          background: #bee3f8;
+          color: #2a4365;
+        }
+
+        .history-status.status-failed,
+        .history-status.status-error {
+          background: #fed7d7;
+          color: #742a2a;
+        }
+
+        .history-message {
+          text-align: center;
+          color: #a0aec0;
+          padding: 10px 0;
+        }
+
+        .history-footer {
+          text-align: center;
+        }
+      </style>
+    `;
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    document.getElementById('history-search').addEventListener('input', (e) => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.setQuery({ search: e.target.value.trim() }), this.options.searchDelay);
+    });
+
+    document.getElementById('history-status').addEventListener('change', (e) => {
+      this.setQuery({ status: e.target.value });
+    });
+
+    document.getElementById('history-file-type').addEventListener('change', (e) => {
+      this.setQuery({ fileType: e.target.value });
+    });
+
+    document.getElementById('history-from').addEventListener('change', (e) => {
+      this.setQuery({ from: e.target.value });
+    });
+
+    document.getElementById('history-to').addEventListener('change', (e) => {
+      this.setQuery({ to: e.target.value });
+    });
+
+    document.getElementById('history-sort').addEventListener('change', (e) => {
+      const [sortBy, direction] = e.target.value.split(':');
+      this.setQuery({ sortBy, ascending: direction === 'asc' });
+    });
+
+    document.getElementById('history-more').addEventListener('click', () => this.loadMore());
+
+    document.getElementById('history-rows').addEventListener('click', (e) => {
+      const row = e.target.closest('tr[data-job-id]');
+      if (!row) return;
+
+      const job = this.jobs.find(entry => entry.id === row.dataset.jobId);
+      if (job && this.options.onJobSelect) {
+        this.highlightJob(job.id);
+        this.options.onJobSelect(job);
+      }
+    });
+  }
+
+  /**
+   * Change search, filters or sorting and reload from the first page
+   * @param {Object} changes - { search, status, fileType, from, to, sortBy, ascending }
+   */
+  async setQuery(changes) {
+    Object.assign(this.query, changes);
+    await this.refresh();
+  }
+
+  /**
+   * Get search, filters and sorting
+   * @returns {Object} Query
+   */
+  getQuery() {
+    return { ...this.query };
+  }
+
+  /**
+   * Reload from the first page
+   */
+  async refresh() {
+    this.jobs = [];
+    this.nextCursor = null;
+    await this.loadPage(null);
+  }
+
+  /**
+   * Append the next page
+   */
+  async loadMore() {
+    if (!this.nextCursor || this.isLoading) return;
+    await this.loadPage(this.nextCursor);
+  }
+
+  /**
+   * Load a page through onLoad
+   * @private
+   */
+  async loadPage(cursor) {
+    if (!this.options.onLoad) return;
+
+    const request = ++this.request;
+    this.isLoading = true;
+    this.updateFooter();
+
+    try {
+      const { jobs, nextCursor } = await this.options.onLoad({
+        ...this.getRequestQuery(),
+        limit: this.options.pageSize,
+        cursor,
+      });
+      if (request !== this.request) return;
+
+      this.jobs = cursor ? [...this.jobs, ...jobs] : jobs;
+      this.nextCursor = nextCursor;
+      this.renderRows();
+
+    } catch (error) {
+      if (request !== this.request) return;
+      this.showMessage('Verlauf konnte nicht geladen werden: ' + error.message);
+
+    } finally {
+      if (request === this.request) {
+        this.isLoading = false;
+        this.updateFooter();
+      }
+    }
+  }
+
+  /**
+   * Convert the date inputs (local days, "to" inclusive) to ISO timestamps
+   * @private
+   */
+  getRequestQuery() {
+    const { from, to, ...query } = this.query;
+    const startOfDay = (value, offset = 0) => {
+      const [year, month, day] = value.split('-').map(Number);
+      return new Date(year, month - 1, day + offset).toISOString();
+    };
+
+    return {
+      ...query,
+      from: from ? startOfDay(from) : '',
+      to: to ? startOfDay(to, 1) : '',
+    };
+  }
+
+  /**
+   * Render all loaded rows
+   * @private
+   */
+  renderRows() {
+    document.getElementById('history-rows').innerHTML = this.jobs.map(job => this.renderRow(job)).join('');
+
+    const hasFilters = this.query.search || this.query.status || this.query.fileType || this.query.from || this.query.to;
+    this.showMessage(this.jobs.length === 0
+      ? (hasFilters ? 'Keine Jobs für diese Filter' : 'Noch keine Dokumente verarbeitet')
+      : '');
+  }
+
+  /**
+   * Render a table row
+   * @private
+   */
+  renderRow(job) {
+    const status = job.status || 'pending';
+    const duration = job.completed_at
+      ? this.formatDuration((new Date(job.completed_at) - new Date(job.created_at)) / 1000)
+      : '–';
+
+    return `
+      <tr data-job-id="${HtmlUtils.escapeHtml(job.id)}" class="${job.id === this.selectedJobId ? 'selected' : ''}">
+        <td class="history-file-name" title="${HtmlUtils.escapeHtml(job.file_name)}">${HtmlUtils.escapeHtml(job.file_name)}</td>
+        <td>${HtmlUtils.escapeHtml((job.file_type || '').toUpperCase())}</td>
+        <td>${job.file_size ? this.formatBytes(job.file_size) : '–'}</td>
+        <td>
+          <span class="history-status status-${HtmlUtils.toClassToken(status)}">
+            ${HtmlUtils.escapeHtml(JOB_HISTORY_STATUS_LABELS[status] || status)}
+          </span>
+        </td>
+        <td>${job.created_at ? new Date(job.created_at).toLocaleString('de-DE') : '–'}</td>
+        <td>${duration}</td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Update a loaded job (e.g. from a realtime status change)
+   * @param {Object} data - Job row
+   */
+  updateJob(data) {
+    const index = this.jobs.findIndex(job => job.id === data.id);
+    if (index === -1) return;
+
+    this.jobs[index] = { ...this.jobs[index], ...data };
+
+    const row = document.querySelector(`#history-rows tr[data-job-id="${CSS.escape(data.id)}"]`);
+    if (row) {
+      row.outerHTML = this.renderRow(this.jobs[index]);
+    }
+  }
+
+  /**
+   * Mark the job shown in the viewer
+   * @param {string|null} jobId - Job ID
+   */
+  highlightJob(jobId) {
+    this.selectedJobId = jobId;
+    this.container.querySelectorAll('#history-rows tr[data-job-id]').forEach(row => {
+      row.classList.toggle('selected', row.dataset.jobId === jobId);
+    });
+  }
+
+  /**
+   * Show a message below the table
+   * @param {string} message - Message (empty hides it)
+   */
+  showMessage(message) {
+    const element = document.getElementById('history-message');
+    element.textContent = message;
+    element.style.display = message ? 'block' : 'none';
+  }
+
+  /**
+   * Update count and "load more" button
+   * @private
+   */
+  updateFooter() {
+    const more = document.getElementById('history-more');
+    more.style.display = this.nextCursor ? 'inline-block' : 'none';
+    more.disabled = this.isLoading;
+
+    document.getElementById('history-count').textContent = this.isLoading
+      ? 'Lade…'
+      : `${this.jobs.length} Job(s)${this.nextCursor ? ' geladen' : ''}`;
+  }
+
+  /**
+   * Format bytes
+   * @private
+   */
+  formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+  }
+
+  /**
+   * Format seconds as "45 s" or "3:20 min"
+   * @private
+   */
+  formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds < 0) return '–';
+
+    const total = Math.round(seconds);
+    if (total < 60) return `${total} s`;
+
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')} min`;
+  }
+
+  /**
+   * Clear loaded jobs
+   */
+  clear() {
+    this.request++;
+    this.jobs = [];
+    this.nextCursor = null;
+    this.isLoading = false;
+    this.renderRows();
+    this.updateFooter();
+  }
+}
+
+// Export for global use
+window.JobHistoryComponent = JobHistoryComponent;
@@ -1,6 +1,6 @@
 /**
  * Processing Status Component
- * Displays real-time processing status with progress tracking
+ * Displays real-time processing status for multiple jobs as a grid of cards
  */
 
 class ProcessingStatusComponent {
@@ -13,9 +13,14 @@ class ProcessingStatusComponent {
       onStatusChange: options.onStatusChange || null,
       onComplete: options.onComplete || null,
       onError: options.onError || null,
+      onCancel: options.onCancel || null,
+      onRetry: options.onRetry || null,
+      onJobSelect: options.onJobSelect || null,
     };
 
-    this.currentJob = null;
+    this.jobs = new Map(); // jobId → { data, startTime, endTime }
+    this.lastJobId = null;
+    this.selectedJobId = null;
     this.statusInterval = null;
     this.init();
   }
@@ -38,60 +43,11 @@ class ProcessingStatusComponent {
   render() {
     this.container.innerHTML = `
       <div class="processing-status-wrapper" id="processing-status-wrapper" style="display: none;">
-        <div class="card processing-status-card">
-          <div class="card-body">
-            <div class="status-header">
-              <div class="status-icon-wrapper" id="status-icon">
-                <i class="material-icons rotating">hourglass_empty</i>
-              </div>
-              <div class="status-info">
-                <h5 id="status-title">Dokument wird verarbeitet...</h5>
-                <p id="status-description">Bitte warten Sie, während Marker den Text extrahiert</p>
-              </div>
-            </div>
-
-            <div class="progress-section" id="progress-section">
-              <div class="progress-bar-container">
-                <div class="progress-bar-track">
-                  <div class="progress-bar-value" id="progress-bar" style="width: 0%"></div>
-                </div>
-                <span class="progress-percentage" id="progress-percentage">0%</span>
-              </div>
-            </div>
-
-            <div class="status-details" id="status-details" style="display: none;">
-              <div class="detail-row">
-                <span class="detail-label">Job ID:</span>
-                <span class="detail-value" id="job-id">-</span>
-              </div>
-              <div class="detail-row">
-                <span class="detail-label">Dateiname:</span>
-                <span class="detail-value" id="file-name">-</span>
-              </div>
-              <div class="detail-row">
-                <span class="detail-label">Status:</span>
-                <span class="detail-value" id="job-status">pending</span>
-              </div>
-              <div class="detail-row">
-                <span class="detail-label">Startzeit:</span>
-                <span class="detail-value" id="start-time">-</span>
-              </div>
-              <div class="detail-row">
-                <span class="detail-label">Verstrichene Zeit:</span>
-                <span class="detail-value" id="elapsed-time">0s</span>
-              </div>
-            </div>
-
-            <div class="status-actions" id="status-actions">
-              <button class="btn btn-sm btn-outline-secondary" id="toggle-details">
-                Details anzeigen
-              </button>
-              <button class="btn btn-sm btn-danger" id="cancel-button" style="display: none;">
-                Abbrechen
-              </button>
-            </div>
-          </div>
+        <div class="processing-status-header">
+          <h5>Verarbeitungsstatus</h5>
+          <span class="processing-status-summary" id="processing-status-summary"></span>
         </div>
+        <div class="job-cards" id="job-cards"></div>
       </div>
 
       <style>
@@ -99,23 +55,52 @@ class ProcessingStatusComponent {
           margin: 20px 0;
         }
 
+        .processing-status-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 15px;
+        }
+
+        .processing-status-header h5 {
+          margin: 0;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .processing-status-summary {
+          color: #718096;
+          font-size: 0.875rem;
+        }
+
+        .job-cards {
+          display: grid;
+          grid-template-columns: repeat(auto-fill, minmax(320px, 1fr));
+          gap: 15px;
+        }
+
         .processing-status-card {
           border-left: 4px solid #1a73e8;
           box-shadow: 0 4px 12px rgba(0,0,0,0.1);
+          cursor: pointer;
+        }
+
+        .processing-status-card .card-body {
+          padding: 16px;
         }
 
         .status-header {
           display: flex;
           align-items: center;
-          margin-bottom: 20px;
+          margin-bottom: 12px;
         }
 
         .status-icon-wrapper {
-          margin-right: 20px;
+          margin-right: 15px;
         }
 
         .status-icon-wrapper i {
-          font-size: 48px;
+          font-size: 36px;
           color: #1a73e8;
         }
 
@@ -128,20 +113,34 @@ class ProcessingStatusComponent {
           to { transform: rotate(360deg); }
         }
 
-        .status-info h5 {
-          margin: 0 0 8px 0;
+        .status-info {
+          min-width: 0;
+        }
+
+        .status-info h6 {
+          margin: 0 0 4px 0;
           color: #2d3748;
           font-weight: 600;
+          white-space: nowrap;
+          overflow: hidden;
+          text-overflow: ellipsis;
         }
 
-        .status-info p {
+        .status-info .status-title {
+          margin: 0 0 2px 0;
+          color: #2d3748;
+          font-size: 0.875rem;
+          font-weight: 500;
+        }
+
+        .status-info .status-description {
           margin: 0;
           color: #718096;
-          font-size: 0.875rem;
+          font-size: 0.8125rem;
         }
 
         .progress-section {
-          margin: 20px 0;
+          margin: 12px 0;
         }
 
         .progress-bar-container {
@@ -172,9 +171,14 @@ class ProcessingStatusComponent {
           text-align: right;
         }
 
+        .elapsed-time-row {
+          color: #718096;
+          font-size: 0.8125rem;
+        }
+
         .status-details {
-          margin: 20px 0;
-          padding: 15px;
+          margin: 12px 0;
+          padding: 12px;
           background: #f7fafc;
           border-radius: 8px;
         }
@@ -182,7 +186,8 @@ class ProcessingStatusComponent {
         .detail-row {
           display: flex;
           justify-content: space-between;
-          padding: 8px 0;
+          gap: 10px;
+          padding: 6px 0;
           border-bottom: 1px solid #e2e8f0;
         }
 
@@ -193,34 +198,45 @@ class ProcessingStatusComponent {
         .detail-label {
           font-weight: 600;
           color: #4a5568;
-          font-size: 0.875rem;
+          font-size: 0.8125rem;
         }
 
         .detail-value {
           color: #2d3748;
-          font-size: 0.875rem;
+          font-size: 0.8125rem;
           font-family: 'Courier New', monospace;
+          word-break: break-all;
+          text-align: right;
         }
 
         .status-actions {
           display: flex;
-          gap: 10px;
-          margin-top: 15px;
+          flex-wrap: wrap;
+          gap: 8px;
+          margin-top: 12px;
+        }
+
+        .status-actions .btn {
+          margin-bottom: 0;
         }
 
-        .status-success .status-icon-wrapper i {
+        .job-card.selected .processing-status-card {
+          box-shadow: 0 0 0 3px rgba(26, 115, 232, 0.3);
+        }
+
+        .job-card.status-success .status-icon-wrapper i {
           color: #48bb78;
         }
 
-        .status-error .status-icon-wrapper i {
+        .job-card.status-error .status-icon-wrapper i {
           color: #f56565;
         }
 
-        .status-success .processing-status-card {
+        .job-card.status-success .processing-status-card {
           border-left-color: #48bb78;
         }
 
-        .status-error .processing-status-card {
+        .job-card.status-error .processing-status-card {
           border-left-color: #f56565;
         }
       </style>
@@ -233,138 +249,272 @@ class ProcessingStatusComponent {
    * Attach event listeners
    */
   attachEventListeners() {
-    const toggleDetailsBtn = document.getElementById('toggle-details');
-    const cancelBtn = document.getElementById('cancel-button');
-
-    if (toggleDetailsBtn) {
-      toggleDetailsBtn.addEventListener('click', () => this.toggleDetails());
-    }
-
-    if (cancelBtn) {
-      cancelBtn.addEventListener('click', () => this.cancelJob());
-    }
+    const jobCards = document.getElementById('job-cards');
+
+    if (!jobCards) return;
+
+    // Delegate card actions so cards can be added and removed freely
+    jobCards.addEventListener('click', (e) => {
+      const card = e.target.closest('.job-card');
+      if (!card) return;
+
+      const jobId = card.dataset.jobId;
+      const action = e.target.closest('[data-action]')?.dataset.action;
+
+      switch (action) {
+        case 'toggle-details':
+          this.toggleDetails(jobId);
+          break;
+        case 'cancel':
+          this.cancelJob(jobId);
+          break;
+        case 'retry':
+          this.retryJob(jobId);
+          break;
+        case 'dismiss':
+          this.removeJob(jobId);
+          break;
+        default:
+          this.selectJob(jobId);
+      }
+    });
   }
 
   /**
    * Start tracking job
    */
   startTracking(jobData) {
-    this.currentJob = jobData;
+    const existing = this.jobs.get(jobData.id);
+
+    this.jobs.set(jobData.id, {
+      data: jobData,
+      startTime: existing?.startTime || Date.parse(jobData.created_at) || Date.now(),
+      endTime: null,
+    });
+    this.lastJobId = jobData.id;
+
+    this.renderCard(jobData.id);
     this.show();
     this.updateStatus(jobData);
     this.startTimer();
+  }
 
-    // Show cancel button if job is pending or processing
-    if (jobData.status === 'pending' || jobData.status === 'processing') {
-      document.getElementById('cancel-button').style.display = 'block';
-    }
+  /**
+   * Create card markup for a job
+   * @private
+   */
+  renderCard(jobId) {
+    const jobCards = document.getElementById('job-cards');
+    if (!jobCards || this.getCard(jobId)) return;
+
+    jobCards.insertAdjacentHTML('afterbegin', `
+      <div class="job-card" data-job-id="${HtmlUtils.escapeHtml(jobId)}">
+        <div class="card processing-status-card">
+          <div class="card-body">
+            <div class="status-header">
+              <div class="status-icon-wrapper" data-field="icon">
+                <i class="material-icons rotating">hourglass_empty</i>
+              </div>
+              <div class="status-info">
+                <h6 data-field="file-name">-</h6>
+                <p class="status-title" data-field="title">Dokument wird verarbeitet...</p>
+                <p class="status-description" data-field="description"></p>
+              </div>
+            </div>
+
+            <div class="progress-section">
+              <div class="progress-bar-container">
+                <div class="progress-bar-track">
+                  <div class="progress-bar-value" data-field="progress-bar" style="width: 0%"></div>
+                </div>
+                <span class="progress-percentage" data-field="progress">0%</span>
+              </div>
+            </div>
+
+            <div class="elapsed-time-row">
+              Verstrichene Zeit: <span data-field="elapsed-time">0s</span>
+            </div>
+
+            <div class="status-details" data-field="details" style="display: none;">
+              <div class="detail-row">
+                <span class="detail-label">Job ID:</span>
+                <span class="detail-value" data-field="job-id">-</span>
+              </div>
+              <div class="detail-row">
+                <span class="detail-label">Status:</span>
+                <span class="detail-value" data-field="job-status">pending</span>
+              </div>
+              <div class="detail-row">
+                <span class="detail-label">Startzeit:</span>
+                <span class="detail-value" data-field="start-time">-</span>
+              </div>
+            </div>
+
+            <div class="status-actions">
+              ${this.options.showDetails ? `
+                <button class="btn btn-sm btn-outline-secondary" data-action="toggle-details">
+                  Details anzeigen
+                </button>
+              ` : ''}
+              <button class="btn btn-sm btn-danger" data-action="cancel" style="display: none;">
+                Abbrechen
+              </button>
+              <button class="btn btn-sm btn-outline-primary" data-action="retry" style="display: none;">
+                Erneut versuchen
+              </button>
+              <button class="btn btn-sm btn-outline-secondary" data-action="dismiss" style="display: none;">
+                Entfernen
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    `);
+
+    const job = this.jobs.get(jobId);
+    this.setField(jobId, 'start-time', new Date(job.startTime).toLocaleTimeString());
   }
 
   /**
    * Update status
    */
   updateStatus(data) {
-    const statusTitle = document.getElementById('status-title');
-    const statusDescription = document.getElementById('status-description');
-    const statusIcon = document.getElementById('status-icon');
-    const progressBar = document.getElementById('progress-bar');
-    const progressPercentage = document.getElementById('progress-percentage');
-    const jobStatus = document.getElementById('job-status');
-    const jobId = document.getElementById('job-id');
-    const fileName = document.getElementById('file-name');
+    const job = this.jobs.get(data.id);
+    if (!job) return;
+
+    const previousStatus = job.data.status;
+    const isInitialUpdate = job.data === data;
+
+    // Progress updates must not revert a pending cancellation
+    if (previousStatus === 'cancelling' && (data.status === 'pending' || data.status === 'processing')) {
+      data = { ...data, status: 'cancelling' };
+    }
+
+    job.data = { ...job.data, ...data };
+
+    const card = this.getCard(data.id);
+    if (!card) return;
+
+    const current = job.data;
 
     // Update job details
-    if (jobId) jobId.textContent = data.id || '-';
-    if (fileName) fileName.textContent = data.file_name || '-';
-    if (jobStatus) jobStatus.textContent = data.status || 'unknown';
+    this.setField(data.id, 'job-id', current.id || '-');
+    this.setField(data.id, 'file-name', current.file_name || '-');
+    this.setField(data.id, 'job-status', current.status || 'unknown');
 
     // Update progress
-    const progress = data.progress || 0;
-    if (progressBar) progressBar.style.width = `${progress}%`;
-    if (progressPercentage) progressPercentage.textContent = `${progress}%`;
+    const progress = current.progress || 0;
+    card.querySelector('[data-field="progress-bar"]').style.width = `${progress}%`;
+    this.setField(data.id, 'progress', `${progress}%`);
 
-    // Update status based on job status
-    const wrapper = document.getElementById('processing-status-wrapper');
+    const statusIcon = card.querySelector('[data-field="icon"]');
+    const isActive = current.status === 'pending' || current.status === 'processing';
+    const isFinished = !isActive && current.status !== 'cancelling';
+    const statusChanged = isInitialUpdate || current.status !== previousStatus;
+
+    this.setActionVisible(data.id, 'cancel', isActive);
+    this.setActionVisible(data.id, 'retry', isFinished && current.status !== 'completed');
+    this.setActionVisible(data.id, 'dismiss', isFinished);
 
-    switch (data.status) {
+    // Update status based on job status
+    switch (current.status) {
       case 'pending':
-        statusTitle.textContent = 'Warte in der Warteschlange...';
-        statusDescription.textContent = 'Ihr Dokument wird gleich verarbeitet';
+        this.setField(data.id, 'title', 'Warte in der Warteschlange...');
+        this.setField(data.id, 'description', 'Ihr Dokument wird gleich verarbeitet');
         statusIcon.innerHTML = '<i class="material-icons rotating">hourglass_empty</i>';
-        wrapper.className = 'processing-status-wrapper';
+        card.className = 'job-card';
         break;
 
       case 'processing':
-        statusTitle.textContent = 'Dokument wird verarbeitet...';
-        statusDescription.textContent = 'Marker extrahiert Text und erstellt Annotations';
+        this.setField(data.id, 'title', 'Dokument wird verarbeitet...');
+        this.setField(data.id, 'description', 'Marker extrahiert Text und erstellt Annotations');
         statusIcon.innerHTML = '<i class="material-icons rotating">auto_fix_high</i>';
-        wrapper.className = 'processing-status-wrapper';
+        card.className = 'job-card';
+        break;
+
+      case 'cancelling':
+        this.setField(data.id, 'title', 'Wird abgebrochen...');
+        this.setField(data.id, 'description', 'Warte auf Bestätigung des Servers');
+        statusIcon.innerHTML = '<i class="material-icons rotating">hourglass_empty</i>';
+        card.className = 'job-card';
         break;
 
       case 'completed':
-        statusTitle.textContent = 'Verarbeitung abgeschlossen!';
-        statusDescription.textContent = 'Text wurde erfolgreich extrahiert';
+        this.setField(data.id, 'title', 'Verarbeitung abgeschlossen!');
+        this.setField(data.id, 'description', 'Text wurde erfolgreich extrahiert');
         statusIcon.innerHTML = '<i class="material-icons">check_circle</i>';
-        wrapper.className = 'processing-status-wrapper status-success';
-        document.getElementById('cancel-button').style.display = 'none';
-        this.stopTimer();
+        card.className = 'job-card status-success';
+        this.finishJob(data.id);
 
-        if (this.options.onComplete) {
-          this.options.onComplete(data);
+        if (statusChanged && this.options.onComplete) {
+          this.options.onComplete(current);
         }
 
-        if (this.options.autoClose) {
-          setTimeout(() => this.hide(), this.options.autoCloseDelay);
+        if (statusChanged && this.options.autoClose) {
+          setTimeout(() => this.removeJob(data.id), this.options.autoCloseDelay);
         }
         break;
 
       case 'failed':
       case 'error':
-        statusTitle.textContent = 'Verarbeitung fehlgeschlagen';
-        statusDescription.textContent = data.error_message || 'Ein Fehler ist aufgetreten';
+        this.setField(data.id, 'title', 'Verarbeitung fehlgeschlagen');
+        this.setField(data.id, 'description', current.error_message || 'Ein Fehler ist aufgetreten');
         statusIcon.innerHTML = '<i class="material-icons">error</i>';
-        wrapper.className = 'processing-status-wrapper status-error';
-        document.getElementById('cancel-button').style.display = 'none';
-        this.stopTimer();
+        card.className = 'job-card status-error';
+        this.finishJob(data.id);
 
-        if (this.options.onError) {
-          this.options.onError(data);
+        if (statusChanged && this.options.onError) {
+          this.options.onError(current);
         }
         break;
 
       case 'cancelled':
-        statusTitle.textContent = 'Verarbeitung abgebrochen';
-        statusDescription.textContent = 'Der Vorgang wurde vom Benutzer abgebrochen';
+        this.setField(data.id, 'title', 'Verarbeitung abgebrochen');
+        this.setField(data.id, 'description', 'Der Vorgang wurde vom Benutzer abgebrochen');
         statusIcon.innerHTML = '<i class="material-icons">cancel</i>';
-        wrapper.className = 'processing-status-wrapper status-error';
-        document.getElementById('cancel-button').style.display = 'none';
-        this.stopTimer();
+        card.className = 'job-card status-error';
+        this.finishJob(data.id);
         break;
     }
 
-    if (this.options.onStatusChange) {
-      this.options.onStatusChange(data);
+    card.classList.toggle('selected', this.selectedJobId === data.id);
+    this.updateSummary();
+
+    if (statusChanged && this.options.onStatusChange) {
+      this.options.onStatusChange(current);
     }
   }
 
   /**
-   * Start elapsed time timer
+   * Stop elapsed time for a finished job
+   * @private
+   */
+  finishJob(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (job && !job.endTime) {
+      job.endTime = Date.now();
+      this.setField(jobId, 'elapsed-time', this.formatElapsedTime(Math.floor((job.endTime - job.startTime) / 1000)));
+    }
+
+    if (this.getActiveJobs().length === 0) {
+      this.stopTimer();
+    }
+  }
+
+  /**
+   * Start elapsed time timer for all active jobs
    */
   startTimer() {
-    const startTime = Date.now();
+    if (this.statusInterval) return;
 
     this.statusInterval = setInterval(() => {
-      const elapsed = Math.floor((Date.now() - startTime) / 1000);
-      const elapsedTimeEl = document.getElementById('elapsed-time');
-
-      if (elapsedTimeEl) {
-        elapsedTimeEl.textContent = this.formatElapsedTime(elapsed);
-      }
+      this.jobs.forEach((job, jobId) => {
+        if (job.endTime) return;
 
-      const startTimeEl = document.getElementById('start-time');
-      if (startTimeEl && startTimeEl.textContent === '-') {
-        startTimeEl.textContent = new Date(startTime).toLocaleTimeString();
-      }
+        const elapsed = Math.floor((Date.now() - job.startTime) / 1000);
+        this.setField(jobId, 'elapsed-time', this.formatElapsedTime(elapsed));
+      });
     }, 1000);
   }
 
@@ -387,12 +537,31 @@ class ProcessingStatusComponent {
     return mins > 0 ? `${mins}m ${secs}s` : `${secs}s`;
   }
 
+  /**
+   * Update the header summary
+   * @private
+   */
+  updateSummary() {
+    const summary = document.getElementById('processing-status-summary');
+    if (!summary) return;
+
+    const jobs = Array.from(this.jobs.values()).map(job => job.data);
+    const active = jobs.filter(job => ['pending', 'processing', 'cancelling'].includes(job.status)).length;
+    const completed = jobs.filter(job => job.status === 'completed').length;
+    const failed = jobs.length - active - completed;
+
+    summary.textContent = `${active} aktiv · ${completed} abgeschlossen · ${failed} fehlgeschlagen/abgebrochen`;
+  }
+
   /**
    * Toggle details visibility
    */
-  toggleDetails() {
-    const detailsSection = document.getElementById('status-details');
-    const toggleBtn = document.getElementById('toggle-details');
+  toggleDetails(jobId) {
+    const card = this.getCard(jobId);
+    if (!card) return;
+
+    const detailsSection = card.querySelector('[data-field="details"]');
+    const toggleBtn = card.querySelector('[data-action="toggle-details"]');
 
     if (detailsSection.style.display === 'none') {
       detailsSection.style.display = 'block';
@@ -405,21 +574,123 @@ class ProcessingStatusComponent {
 
   /**
    * Cancel job
+   * Shows a 'cancelling' state until the onCancel handler returns the
+   * server-confirmed job, and restores the previous state on failure.
    */
-  async cancelJob() {
-    if (this.currentJob && confirm('Möchten Sie die Verarbeitung wirklich abbrechen?')) {
-      try {
-        // Implement cancel logic here
-        this.updateStatus({
-          ...this.currentJob,
-          status: 'cancelled'
-        });
-      } catch (error) {
-        console.error('Error cancelling job:', error);
+  async cancelJob(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (!job || !confirm('Möchten Sie die Verarbeitung wirklich abbrechen?')) {
+      return;
+    }
+
+    const previousData = { ...job.data };
+
+    if (!this.options.onCancel) {
+      this.updateStatus({ ...previousData, status: 'cancelled' });
+      return;
+    }
+
+    this.updateStatus({ ...previousData, status: 'cancelling' });
+
+    try {
+      const confirmedJob = await this.options.onCancel(previousData);
+      this.updateStatus(confirmedJob);
+
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+
+      // Leave the 'cancelling' state so the server state can be applied
+      if (job.data.status === 'cancelling') {
+        job.data.status = previousData.status;
+      }
+      this.updateStatus(error.job || { ...previousData, status: job.data.status });
+
+      if (!error.job || error.job.status === 'pending' || error.job.status === 'processing') {
+        this.setField(jobId, 'description', `Abbrechen fehlgeschlagen: ${error.message}`);
       }
     }
   }
 
+  /**
+   * Retry a failed or cancelled job
+   */
+  retryJob(jobId) {
+    const job = this.jobs.get(jobId);
+
+    if (job && this.options.onRetry) {
+      this.options.onRetry(job.data);
+    }
+  }
+
+  /**
+   * Mark job as selected
+   */
+  selectJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return;
+
+    this.highlightJob(jobId);
+
+    if (this.options.onJobSelect) {
+      this.options.onJobSelect(job.data);
+    }
+  }
+
+  /**
+   * Highlight job card without triggering onJobSelect
+   */
+  highlightJob(jobId) {
+    this.selectedJobId = jobId;
+    this.container.querySelectorAll('.job-card').forEach(card => {
+      card.classList.toggle('selected', card.dataset.jobId === jobId);
+    });
+  }
+
+  /**
+   * Remove job card
+   */
+  removeJob(jobId) {
+    this.getCard(jobId)?.remove();
+    this.jobs.delete(jobId);
+
+    if (this.lastJobId === jobId) {
+      this.lastJobId = null;
+    }
+
+    if (this.jobs.size === 0) {
+      this.hide();
+    } else {
+      this.updateSummary();
+    }
+  }
+
+  /**
+   * Get card element of a job
+   * @private
+   */
+  getCard(jobId) {
+    return this.container?.querySelector(`.job-card[data-job-id="${CSS.escape(String(jobId))}"]`);
+  }
+
+  /**
+   * Set text content of a card field
+   * @private
+   */
+  setField(jobId, field, value) {
+    const el = this.getCard(jobId)?.querySelector(`[data-field="${field}"]`);
+    if (el) el.textContent = value;
+  }
+
+  /**
+   * Show or hide a card action button
+   * @private
+   */
+  setActionVisible(jobId, action, visible) {
+    const btn = this.getCard(jobId)?.querySelector(`[data-action="${action}"]`);
+    if (btn) btn.style.display = visible ? 'inline-block' : 'none';
+  }
+
   /**
    * Show status widget
    */
@@ -445,16 +716,42 @@ class ProcessingStatusComponent {
    * Reset component
    */
   reset() {
-    this.currentJob = null;
+    this.jobs.clear();
+    this.lastJobId = null;
+    this.selectedJobId = null;
     this.stopTimer();
     this.hide();
+
+    const jobCards = document.getElementById('job-cards');
+    if (jobCards) jobCards.innerHTML = '';
+  }
+
+  /**
+   * Get active (pending or processing) jobs
+   */
+  getActiveJobs() {
+    return this.getJobs().filter(job => ['pending', 'processing', 'cancelling'].includes(job.status));
+  }
+
+  /**
+   * Get all tracked jobs
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => job.data);
+  }
+
+  /**
+   * Get tracked job by ID
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId)?.data || null;
   }
 
   /**
-   * Get current job
+   * Get most recently started job
    */
   getCurrentJob() {
-    return this.currentJob;
+    return this.getJob(this.lastJobId);
   }
 }
 
@@ -0,0 +1,734 @@
+/**
+ * Sentiment Summary Component
+ * Document-level overview: overall sentiment, emotion distribution, sentiment shares,
+ * most extreme passages, language and confidence
+ */
+
+class SentimentSummaryComponent {
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.options = {
+      emotionChart: options.emotionChart || 'doughnut', // 'doughnut' | 'radar'
+      extremeCount: options.extremeCount || 3, // Passages per direction
+      updateDelay: options.updateDelay || 250, // Batches realtime updates into one recomputation
+      sentimentScale: SentimentScale.normalize(options.sentimentScale),
+      palette: HighlightPalettes.get(options.palette).name,
+      emotionTaxonomy: EmotionTaxonomy.get(options.emotionTaxonomy).name,
+      language: options.language || 'de',
+      onPassageClick: options.onPassageClick || null, // Called with (annotationId)
+      onSummaryChange: options.onSummaryChange || null, // Called with (summary)
+    };
+
+    this.analysis = null;
+    this.annotations = [];
+    this.summary = null;
+    this.sentimentLevels = HighlightPalettes.getSentimentLevels(HighlightPalettes.get(this.options.palette));
+    this.chart = null;
+    this.updateTimer = null;
+    this.init();
+  }
+
+  /**
+   * Initialize component
+   */
+  init() {
+    if (!this.container) {
+      console.error('Sentiment summary container not found');
+      return;
+    }
+
+    this.render();
+    this.updateSummary();
+  }
+
+  /**
+   * Render summary UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="sentiment-summary">
+        <div class="summary-header">
+          <div>
+            <h5>Dokument-Zusammenfassung</h5>
+            <span class="summary-source" id="summary-source"></span>
+          </div>
+          <div class="summary-controls">
+            <label class="detail-label" for="summary-chart-type">Emotionen</label>
+            <select class="form-control" id="summary-chart-type">
+              <option value="doughnut" ${this.options.emotionChart === 'doughnut' ? 'selected' : ''}>Ring</option>
+              <option value="radar" ${this.options.emotionChart === 'radar' ? 'selected' : ''}>Radar</option>
+            </select>
+          </div>
+        </div>
+
+        <div class="summary-empty" id="summary-empty">Noch keine Analyse oder Annotations</div>
+
+        <div class="summary-body" id="summary-body">
+          <div class="summary-overview">
+            <div class="summary-metric">
+              <div class="detail-label">Gesamtsentiment</div>
+              <div class="summary-overall" id="summary-overall">0.00</div>
+              <div class="summary-level" id="summary-level"></div>
+            </div>
+            <div class="summary-metric">
+              <div class="detail-label">Sprache</div>
+              <div class="detail-value" id="summary-language">N/A</div>
+            </div>
+            <div class="summary-metric">
+              <div class="detail-label">Konfidenz</div>
+              <div class="detail-value" id="summary-confidence">N/A</div>
+            </div>
+            <div class="summary-metric">
+              <div class="detail-label">Annotations</div>
+              <div class="detail-value" id="summary-count">0</div>
+            </div>
+          </div>
+
+          <div class="summary-emotions">
+            <div class="detail-label">Emotionsverteilung</div>
+            <div class="summary-chart">
+              <canvas id="summary-emotion-canvas"></canvas>
+              <div class="summary-chart-empty" id="summary-emotion-empty">Keine Emotionen</div>
+            </div>
+          </div>
+
+          <div class="summary-shares">
+            <div class="detail-label">Anteil der Passagen</div>
+            <div class="summary-share-bar" id="summary-share-bar"></div>
+            <div class="summary-share-legend" id="summary-share-legend"></div>
+          </div>
+        </div>
+
+        <div class="summary-extremes" id="summary-extremes"></div>
+      </div>
+
+      <style>
+        .sentiment-summary {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+
+        .summary-header {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          align-items: center;
+          gap: 15px;
+          margin-bottom: 15px;
+        }
+
+        .summary-header h5 {
+          margin: 0;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .summary-source {
+          font-size: 0.75rem;
+          color: #718096;
+        }
+
+        .summary-controls {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+
+        .sentiment-summary .detail-label {
+          margin: 0 0 6px 0;
+          font-size: 0.75rem;
+          text-transform: uppercase;
+          color: #718096;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .summary-controls .detail-label {
+          margin: 0;
+        }
+
+        .summary-controls select {
+          width: auto;
+        }
+
+        .sentiment-summary .detail-value {
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .summary-empty {
+          padding: 30px 0;
+          text-align: center;
+          color: #a0aec0;
+        }
+
+        .summary-body {
+          display: grid;
+          grid-template-columns: minmax(160px, 1fr) minmax(220px, 1.5fr) minmax(200px, 1.5fr);
+          gap: 24px;
+        }
+
+        @media (max-width: 992px) {
+          .summary-body {
+            grid-template-columns: 1fr;
+          }
+        }
+
+        .summary-overview {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 15px;
+        }
+
+        .summary-metric:first-child {
+          grid-column: 1 / -1;
+          border-left: 4px solid #a0aec0;
+          padding-left: 12px;
+        }
+
+        .summary-overall {
+          font-size: 2rem;
+          font-weight: 700;
+          color: #2d3748;
+          line-height: 1.1;
+        }
+
+        .summary-level {
+          font-size: 0.875rem;
+          color: #4a5568;
+        }
+
+        .summary-chart {
+          position: relative;
+          height: 220px;
+        }
+
+        .summary-chart-empty {
+          position: absolute;
+          inset: 0;
+          display: none;
+          align-items: center;
+          justify-content: center;
+          color: #a0aec0;
+        }
+
+        .summary-share-bar {
+          display: flex;
+          height: 24px;
+          border-radius: 6px;
+          overflow: hidden;
+          background: #edf2f7;
+          margin-bottom: 12px;
+        }
+
+        .summary-share-bar div {
+          height: 100%;
+        }
+
+        .summary-share-legend div {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 0.875rem;
+          color: #4a5568;
+          margin-bottom: 4px;
+        }
+
+        .summary-share-swatch {
+          width: 12px;
+          height: 12px;
+          border-radius: 3px;
+          flex-shrink: 0;
+        }
+
+        .summary-share-legend strong {
+          margin-left: auto;
+        }
+
+        .summary-extremes {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 24px;
+          margin-top: 20px;
+        }
+
+        @media (max-width: 768px) {
+          .summary-extremes {
+            grid-template-columns: 1fr;
+          }
+        }
+
+        .summary-passage {
+          display: block;
+          width: 100%;
+          text-align: left;
+          background: #f7fafc;
+          border: none;
+          border-left: 4px solid #a0aec0;
+          border-radius: 4px;
+          padding: 8px 12px;
+          margin-bottom: 8px;
+          font-size: 0.875rem;
+          color: #2d3748;
+          cursor: pointer;
+        }
+
+        .summary-passage:hover {
+          background: #edf2f7;
+        }
+
+        .summary-passage-score {
+          font-weight: 700;
+          margin-right: 6px;
+        }
+
+        .summary-passage-none {
+          font-size: 0.875rem;
+          color: #a0aec0;
+        }
+      </style>
+    `;
+
+    this.attachEventListeners();
+    this.createChart();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    document.getElementById('summary-chart-type').addEventListener('change', (e) => {
+      this.setEmotionChart(e.target.value);
+    });
+
+    document.getElementById('summary-extremes').addEventListener('click', (e) => {
+      const passage = e.target.closest('[data-annotation-id]');
+      if (passage && this.options.onPassageClick) {
+        this.options.onPassageClick(passage.dataset.annotationId);
+      }
+    });
+  }
+
+  /**
+   * Create the emotion chart (Chart.js cannot switch between doughnut and radar in place)
+   * @private
+   */
+  createChart() {
+    this.chart?.destroy();
+    this.chart = null;
+
+    if (typeof Chart === 'undefined') {
+      console.error('Chart.js not loaded');
+      return;
+    }
+
+    const radar = this.options.emotionChart === 'radar';
+
+    this.chart = new Chart(document.getElementById('summary-emotion-canvas').getContext('2d'), {
+      type: radar ? 'radar' : 'doughnut',
+      data: {
+        labels: [],
+        datasets: [{
+          label: 'Anteil',
+          data: [],
+          backgroundColor: radar ? 'rgba(26, 115, 232, 0.2)' : [],
+          borderColor: radar ? '#1a73e8' : [],
+          pointBackgroundColor: radar ? [] : undefined,
+          borderWidth: radar ? 2 : 1,
+        }],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        scales: radar
+          ? { r: { min: 0, ticks: { display: false } } }
+          : {},
+        plugins: {
+          legend: { display: !radar, position: 'right' },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.label}: ${Math.round(context.raw * 100)}%`,
+            },
+          },
+        },
+      },
+    });
+  }
+
+  /**
+   * Set the stored sentiment_analysis row (null when the job has none yet)
+   * @param {Object|null} analysis - Analysis row
+   */
+  setAnalysis(analysis) {
+    this.analysis = analysis || null;
+    this.updateSummary();
+  }
+
+  /**
+   * Set the annotations of the document
+   * Realtime changes are batched; the list may be the viewer's live array.
+   * @param {Array} annotations - Annotations
+   */
+  setAnnotations(annotations) {
+    this.annotations = annotations || [];
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Change the emotion chart type
+   * @param {string} type - 'doughnut' | 'radar'
+   */
+  setEmotionChart(type) {
+    this.options.emotionChart = type === 'radar' ? 'radar' : 'doughnut';
+    document.getElementById('summary-chart-type').value = this.options.emotionChart;
+
+    this.createChart();
+    this.updateSummary();
+  }
+
+  /**
+   * Use the same thresholds as the viewer
+   * @param {Object} config - See SentimentScale.normalize
+   */
+  setSentimentScale(config) {
+    this.options.sentimentScale = SentimentScale.normalize(config);
+    this.updateSummary();
+  }
+
+  /**
+   * Use the same palette as the viewer
+   * @param {string} name - Palette name
+   */
+  setPalette(name) {
+    const palette = HighlightPalettes.get(name);
+    this.options.palette = palette.name;
+    this.sentimentLevels = HighlightPalettes.getSentimentLevels(palette);
+    this.updateSummary();
+  }
+
+  /**
+   * Use the emotion taxonomy of the shown job
+   * @param {string} name - Taxonomy name
+   */
+  setEmotionTaxonomy(name) {
+    this.options.emotionTaxonomy = EmotionTaxonomy.get(name).name;
+    this.updateSummary();
+  }
+
+  /**
+   * Get the current summary
+   * @returns {Object|null} See computeSummary
+   */
+  getSummary() {
+    return this.summary;
+  }
+
+  /**
+   * Batch summary updates
+   * @private
+   */
+  scheduleUpdate() {
+    if (this.updateTimer) return;
+
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.updateSummary();
+    }, this.options.updateDelay);
+  }
+
+  /**
+   * Recompute and render the summary
+   * @private
+   */
+  updateSummary() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+
+    this.summary = this.computeSummary();
+
+    const hasData = this.summary !== null;
+    document.getElementById('summary-empty').style.display = hasData ? 'none' : 'block';
+    document.getElementById('summary-body').style.display = hasData ? 'grid' : 'none';
+    document.getElementById('summary-extremes').style.display = hasData ? 'grid' : 'none';
+    document.getElementById('summary-source').textContent = '';
+
+    if (hasData) {
+      this.renderOverview();
+      this.renderShares();
+      this.renderExtremes();
+    }
+
+    this.updateChart();
+
+    if (this.options.onSummaryChange) {
+      this.options.onSummaryChange(this.summary);
+    }
+  }
+
+  /**
+   * Compute the summary from the stored analysis, falling back to the annotations
+   * for every value the analysis does not provide
+   * @private
+   * @returns {Object|null} { source, overall, emotions: [{ emotion, share }], shares: { positive, neutral, negative },
+   *   extremes: { positive: [], negative: [] }, language, confidence, count } or null without any data
+   */
+  computeSummary() {
+    const analysis = this.analysis && (!this.analysis.status || this.analysis.status === 'completed')
+      ? this.analysis
+      : null;
+    const annotations = this.annotations.filter(annotation => !annotation.pending);
+
+    if (!analysis && annotations.length === 0) return null;
+
+    const storedOverall = analysis ? Number(analysis.overall_sentiment) : NaN;
+    const storedConfidence = analysis ? Number(analysis.confidence) : NaN;
+    const storedEmotions = EmotionTaxonomy.getDistribution(analysis?.emotions);
+    const fromAnalysis = Number.isFinite(storedOverall);
+
+    return {
+      source: fromAnalysis ? 'analysis' : 'annotations',
+      overall: fromAnalysis ? storedOverall : this.getAverageSentiment(annotations),
+      emotions: storedEmotions.length > 0 ? storedEmotions : this.getAnnotationEmotions(annotations),
+      shares: this.getSentimentShares(annotations),
+      extremes: this.getExtremePassages(annotations),
+      language: analysis?.language || null,
+      confidence: analysis?.confidence !== null && Number.isFinite(storedConfidence)
+        ? storedConfidence
+        : this.getAverageConfidence(annotations),
+      count: annotations.length,
+    };
+  }
+
+  /**
+   * Emotion shares counted over annotations
+   * @private
+   */
+  getAnnotationEmotions(annotations) {
+    const counts = {};
+
+    annotations.forEach(annotation => {
+      if (!annotation.emotion) return;
+      const emotion = EmotionTaxonomy.normalize(annotation.emotion);
+      counts[emotion] = (counts[emotion] || 0) + 1;
+    });
+
+    return EmotionTaxonomy.getDistribution(counts);
+  }
+
+  /**
+   * Average sentiment weighted by span length (unweighted when offsets are missing)
+   * @private
+   */
+  getAverageSentiment(annotations) {
+    let sum = 0;
+    let weights = 0;
+
+    annotations.forEach(annotation => {
+      const length = annotation.end_offset - annotation.start_offset;
+      const weight = Number.isFinite(length) && length > 0 ? length : 1;
+      sum += (Number(annotation.sentiment_score) || 0) * weight;
+      weights += weight;
+    });
+
+    return weights > 0 ? sum / weights : 0;
+  }
+
+  /**
+   * Average of metadata.confidence; null when no annotation has one
+   * @private
+   */
+  getAverageConfidence(annotations) {
+    const values = annotations
+      .map(annotation => Number(annotation.metadata?.confidence))
+      .filter(value => Number.isFinite(value));
+
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+  }
+
+  /**
+   * Share of positive, neutral and negative spans (the "very" levels count as positive/negative)
+   * @private
+   */
+  getSentimentShares(annotations) {
+    const shares = { positive: 0, neutral: 0, negative: 0 };
+    if (annotations.length === 0) return shares;
+
+    const scale = { ...this.options.sentimentScale, mode: 'three' };
+    annotations.forEach(annotation => {
+      shares[SentimentScale.getLevel(annotation.sentiment_score, scale)] += 1;
+    });
+
+    Object.keys(shares).forEach(key => {
+      shares[key] /= annotations.length;
+    });
+    return shares;
+  }
+
+  /**
+   * Most positive and most negative annotations outside the neutral band
+   * @private
+   */
+  getExtremePassages(annotations) {
+    const scale = this.options.sentimentScale;
+    const count = this.options.extremeCount;
+    const score = annotation => Number(annotation.sentiment_score) || 0;
+
+    return {
+      positive: annotations
+        .filter(annotation => score(annotation) > scale.positiveThreshold)
+        .sort((a, b) => score(b) - score(a))
+        .slice(0, count),
+      negative: annotations
+        .filter(annotation => score(annotation) < scale.negativeThreshold)
+        .sort((a, b) => score(a) - score(b))
+        .slice(0, count),
+    };
+  }
+
+  /**
+   * Render overall sentiment, language, confidence and count
+   * @private
+   */
+  renderOverview() {
+    const { source, overall, language, confidence, count } = this.summary;
+    const level = SentimentScale.getLevel(overall, this.options.sentimentScale);
+
+    document.getElementById('summary-source').textContent = source === 'analysis'
+      ? 'Quelle: gespeicherte Sentiment-Analyse'
+      : 'Berechnet aus den Annotations';
+    document.getElementById('summary-overall').textContent = overall.toFixed(2);
+    document.getElementById('summary-level').textContent = this.sentimentLevels[level].label;
+    document.getElementById('summary-language').textContent = language ? language.toUpperCase() : 'N/A';
+    document.getElementById('summary-confidence').textContent = confidence !== null
+      ? `${Math.round(confidence * 100)}%`
+      : 'N/A';
+    document.getElementById('summary-count').textContent = count;
+
+    document.querySelector('.summary-metric').style.borderLeftColor =
+      SentimentScale.getColor(overall, this.options.sentimentScale, this.sentimentLevels).border;
+  }
+
+  /**
+   * Render the stacked share bar
+   * @private
+   */
+  renderShares() {
+    const { shares } = this.summary;
+    const keys = ['positive', 'neutral', 'negative'];
+
+    document.getElementById('summary-share-bar').innerHTML = keys
+      .filter(key => shares[key] > 0)
+      .map(key => `
+        <div style="width: ${(shares[key] * 100).toFixed(1)}%; background: ${this.sentimentLevels[key].border};"
+             title="${HtmlUtils.escapeHtml(this.sentimentLevels[key].label)}"></div>
+      `).join('');
+
+    document.getElementById('summary-share-legend').innerHTML = keys.map(key => `
+      <div>
+        <span class="summary-share-swatch" style="background: ${this.sentimentLevels[key].border};"></span>
+        ${HtmlUtils.escapeHtml(this.sentimentLevels[key].label)}
+        <strong>${Math.round(shares[key] * 100)}%</strong>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Render the most extreme passages
+   * @private
+   */
+  renderExtremes() {
+    const { extremes } = this.summary;
+
+    const renderList = (annotations) => {
+      if (annotations.length === 0) {
+        return '<div class="summary-passage-none">Keine</div>';
+      }
+
+      return annotations.map(annotation => {
+        const score = Number(annotation.sentiment_score) || 0;
+        const color = SentimentScale.getColor(score, this.options.sentimentScale, this.sentimentLevels).border;
+
+        return `
+          <button type="button" class="summary-passage" data-annotation-id="${HtmlUtils.escapeHtml(annotation.id)}"
+                  style="border-left-color: ${color};">
+            <span class="summary-passage-score">${score.toFixed(2)}</span>
+            ${HtmlUtils.escapeHtml(this.truncate(annotation.text, 160))}
+          </button>
+        `;
+      }).join('');
+    };
+
+    document.getElementById('summary-extremes').innerHTML = `
+      <div>
+        <div class="detail-label">Positivste Passagen</div>
+        ${renderList(extremes.positive)}
+      </div>
+      <div>
+        <div class="detail-label">Negativste Passagen</div>
+        ${renderList(extremes.negative)}
+      </div>
+    `;
+  }
+
+  /**
+   * Update the emotion chart data
+   * @private
+   */
+  updateChart() {
+    const emotions = this.summary?.emotions || [];
+    document.getElementById('summary-emotion-empty').style.display = emotions.length > 0 ? 'none' : 'flex';
+
+    if (!this.chart) return;
+
+    const palette = HighlightPalettes.get(this.options.palette);
+    const taxonomyEmotions = EmotionTaxonomy.get(this.options.emotionTaxonomy).emotions;
+    const colors = emotions.map(entry => HighlightPalettes.getEmotionStyle(palette, entry.emotion, taxonomyEmotions).border);
+    const [dataset] = this.chart.data.datasets;
+
+    this.chart.data.labels = emotions.map(entry => EmotionTaxonomy.getLabel(entry.emotion, this.options.language));
+    dataset.data = emotions.map(entry => entry.share);
+
+    if (this.options.emotionChart === 'radar') {
+      dataset.pointBackgroundColor = colors;
+    } else {
+      dataset.backgroundColor = colors;
+      dataset.borderColor = '#ffffff';
+    }
+
+    this.chart.update();
+  }
+
+  /**
+   * Shorten text for passages
+   * @private
+   */
+  truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, Math.max(length - 1, 0))}…` : value;
+  }
+
+  /**
+   * Clear summary
+   */
+  clear() {
+    this.analysis = null;
+    this.annotations = [];
+    this.updateSummary();
+  }
+
+  /**
+   * Destroy chart
+   */
+  destroy() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    this.chart?.destroy();
+    this.chart = null;
+  }
+}
+
+// Export for global use
+window.SentimentSummaryComponent = SentimentSummaryComponent;
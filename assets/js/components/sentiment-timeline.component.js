@@ -0,0 +1,507 @@
+/**
+ * Sentiment Timeline Component
+ * Plots annotation sentiment along the document with smoothing and section bands (Chart.js)
+ */
+
+class SentimentTimelineComponent {
+  constructor(containerId, options = {}) {
+    this.container = document.getElementById(containerId);
+    this.options = {
+      smoothing: options.smoothing || 'moving-average', // 'none' | 'moving-average' | 'exponential'
+      windowSize: options.windowSize || 9, // Points per moving average window, span of the exponential average
+      height: options.height || 260,
+      updateDelay: options.updateDelay || 250, // Batches realtime updates into one redraw
+      sentimentScale: SentimentScale.normalize(options.sentimentScale),
+      palette: HighlightPalettes.get(options.palette).name,
+      onPointClick: options.onPointClick || null, // Called with (annotationId)
+    };
+
+    this.annotations = [];
+    this.sections = [];
+    this.documentLength = 0;
+    this.sentimentLevels = HighlightPalettes.getSentimentLevels(HighlightPalettes.get(this.options.palette));
+    this.bands = [];
+    this.chart = null;
+    this.updateTimer = null;
+    this.init();
+  }
+
+  /**
+   * Initialize component
+   */
+  init() {
+    if (!this.container) {
+      console.error('Sentiment timeline container not found');
+      return;
+    }
+
+    this.render();
+  }
+
+  /**
+   * Render timeline UI
+   */
+  render() {
+    this.container.innerHTML = `
+      <div class="sentiment-timeline">
+        <div class="timeline-header">
+          <h5>Sentiment-Verlauf</h5>
+          <div class="timeline-controls">
+            <label class="detail-label" for="timeline-smoothing">Glättung</label>
+            <select class="form-control" id="timeline-smoothing">
+              <option value="none" ${this.options.smoothing === 'none' ? 'selected' : ''}>Keine</option>
+              <option value="moving-average" ${this.options.smoothing === 'moving-average' ? 'selected' : ''}>
+                Gleitender Mittelwert
+              </option>
+              <option value="exponential" ${this.options.smoothing === 'exponential' ? 'selected' : ''}>
+                Exponentiell
+              </option>
+            </select>
+            <label class="detail-label" for="timeline-window">
+              Fenster <span id="timeline-window-value">${this.options.windowSize}</span>
+            </label>
+            <input type="range" id="timeline-window" min="3" max="51" step="2" value="${this.options.windowSize}">
+          </div>
+        </div>
+
+        <div class="timeline-chart" style="height: ${this.options.height}px;">
+          <canvas id="timeline-canvas"></canvas>
+          <div class="timeline-empty" id="timeline-empty">Noch keine Annotations</div>
+        </div>
+      </div>
+
+      <style>
+        .sentiment-timeline {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+        }
+
+        .timeline-header {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          align-items: center;
+          gap: 15px;
+          margin-bottom: 15px;
+        }
+
+        .timeline-header h5 {
+          margin: 0;
+          color: #2d3748;
+          font-weight: 600;
+        }
+
+        .timeline-controls {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+        }
+
+        .timeline-controls .detail-label {
+          margin: 0;
+          font-size: 0.75rem;
+          text-transform: uppercase;
+          color: #718096;
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .timeline-controls select {
+          width: auto;
+        }
+
+        .timeline-chart {
+          position: relative;
+        }
+
+        .timeline-empty {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: #a0aec0;
+        }
+      </style>
+    `;
+
+    this.attachEventListeners();
+    this.createChart();
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    document.getElementById('timeline-smoothing').addEventListener('change', (e) => {
+      this.setSmoothing(e.target.value);
+    });
+
+    const windowInput = document.getElementById('timeline-window');
+
+    windowInput.addEventListener('input', () => {
+      document.getElementById('timeline-window-value').textContent = windowInput.value;
+    });
+
+    windowInput.addEventListener('change', () => {
+      this.setSmoothing(this.options.smoothing, Number(windowInput.value));
+    });
+  }
+
+  /**
+   * Create the Chart.js instance
+   * @private
+   */
+  createChart() {
+    if (typeof Chart === 'undefined') {
+      console.error('Chart.js not loaded');
+      document.getElementById('timeline-empty').textContent = 'Chart.js wurde nicht geladen';
+      return;
+    }
+
+    this.chart = new Chart(document.getElementById('timeline-canvas').getContext('2d'), {
+      type: 'scatter',
+      data: {
+        datasets: [
+          {
+            label: 'Annotations',
+            data: [],
+            pointRadius: 3,
+            pointHoverRadius: 6,
+            pointBackgroundColor: [],
+            pointBorderColor: [],
+          },
+          {
+            label: 'Geglättet',
+            data: [],
+            showLine: true,
+            fill: false,
+            pointRadius: 0,
+            pointHitRadius: 0,
+            borderColor: '#1a73e8',
+            borderWidth: 2,
+            tension: 0.3,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        parsing: false,
+        scales: {
+          x: {
+            type: 'linear',
+            min: 0,
+            max: 100,
+            title: { display: true, text: 'Position im Dokument (%)' },
+          },
+          y: {
+            min: -1,
+            max: 1,
+            title: { display: true, text: 'Sentiment' },
+          },
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              label: (context) => this.getTooltipLabel(context),
+            },
+          },
+        },
+        onClick: (event) => this.handleChartClick(event),
+      },
+      plugins: [this.createBandsPlugin()],
+    });
+  }
+
+  /**
+   * Plugin that draws section bands and the neutral band behind the data
+   * @private
+   */
+  createBandsPlugin() {
+    return {
+      id: 'sentimentTimelineBands',
+      beforeDatasetsDraw: (chart) => {
+        const { ctx, chartArea, scales } = chart;
+        if (!chartArea) return;
+
+        ctx.save();
+
+        // Sections colored by their average sentiment
+        this.bands.forEach((band, index) => {
+          const left = scales.x.getPixelForValue(band.from);
+          const right = scales.x.getPixelForValue(band.to);
+          if (right <= left) return;
+
+          ctx.globalAlpha = index % 2 === 0 ? 0.35 : 0.5;
+          ctx.fillStyle = band.color;
+          ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+
+          if (band.title && right - left > 40) {
+            ctx.globalAlpha = 0.8;
+            ctx.fillStyle = '#4a5568';
+            ctx.font = '11px sans-serif';
+            ctx.fillText(this.truncate(band.title, Math.floor((right - left - 8) / 6)), left + 4, chartArea.top + 12);
+          }
+        });
+
+        // Neutral band of the active scale
+        const scale = this.options.sentimentScale;
+        const top = scales.y.getPixelForValue(scale.positiveThreshold);
+        const bottom = scales.y.getPixelForValue(scale.negativeThreshold);
+
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = '#a0aec0';
+        ctx.setLineDash([4, 4]);
+        [top, bottom].forEach(y => {
+          ctx.beginPath();
+          ctx.moveTo(chartArea.left, y);
+          ctx.lineTo(chartArea.right, y);
+          ctx.stroke();
+        });
+
+        ctx.restore();
+      },
+    };
+  }
+
+  /**
+   * Set the annotations to plot
+   * Realtime changes are batched; the list may be the viewer's live array.
+   * @param {Array} annotations - Annotations
+   */
+  setAnnotations(annotations) {
+    this.annotations = annotations || [];
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Set document length and sections used for the x axis and the bands
+   * @param {Object} documentInfo - { length, sections: [{ title, start, end }] }
+   */
+  setDocument({ length = 0, sections = [] } = {}) {
+    this.documentLength = length;
+    this.sections = sections;
+    this.scheduleUpdate();
+  }
+
+  /**
+   * Change smoothing
+   * @param {string} method - 'none' | 'moving-average' | 'exponential'
+   * @param {number} windowSize - Window size in points
+   */
+  setSmoothing(method, windowSize = this.options.windowSize) {
+    this.options.smoothing = method;
+    this.options.windowSize = Math.max(1, Math.round(windowSize));
+
+    document.getElementById('timeline-smoothing').value = method;
+    document.getElementById('timeline-window').value = this.options.windowSize;
+    document.getElementById('timeline-window-value').textContent = this.options.windowSize;
+
+    this.updateChart();
+  }
+
+  /**
+   * Use the same thresholds as the viewer
+   * @param {Object} config - See SentimentScale.normalize
+   */
+  setSentimentScale(config) {
+    this.options.sentimentScale = SentimentScale.normalize(config);
+    this.updateChart();
+  }
+
+  /**
+   * Use the same palette as the viewer
+   * @param {string} name - Palette name
+   */
+  setPalette(name) {
+    const palette = HighlightPalettes.get(name);
+    this.options.palette = palette.name;
+    this.sentimentLevels = HighlightPalettes.getSentimentLevels(palette);
+    this.updateChart();
+  }
+
+  /**
+   * Batch chart updates
+   * @private
+   */
+  scheduleUpdate() {
+    if (this.updateTimer) return;
+
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.updateChart();
+    }, this.options.updateDelay);
+  }
+
+  /**
+   * Recompute points and redraw
+   * @private
+   */
+  updateChart() {
+    const points = this.getPoints();
+    document.getElementById('timeline-empty').style.display = points.length > 0 ? 'none' : 'flex';
+
+    if (!this.chart) return;
+
+    const [raw, smoothed] = this.chart.data.datasets;
+    const colors = points.map(point => SentimentScale.getColor(point.y, this.options.sentimentScale, this.sentimentLevels).border);
+
+    raw.data = points;
+    raw.pointBackgroundColor = colors;
+    raw.pointBorderColor = colors;
+    smoothed.data = this.smooth(points);
+    smoothed.hidden = this.options.smoothing === 'none';
+    this.bands = this.getSectionBands(points);
+
+    this.chart.update();
+  }
+
+  /**
+   * Convert annotations to chart points in document order
+   * x is the relative position (0–100): character offset when known, otherwise the annotation position.
+   * @private
+   */
+  getPoints() {
+    const annotations = this.annotations.filter(annotation => !annotation.pending);
+    const maxPosition = annotations.reduce((max, annotation) => Math.max(max, annotation.position || 0), 0);
+
+    return annotations
+      .map(annotation => {
+        const useOffset = this.documentLength > 0 && Number.isInteger(annotation.start_offset);
+        const x = useOffset
+          ? (annotation.start_offset / this.documentLength) * 100
+          : ((annotation.position || 0) / (maxPosition || 1)) * 100;
+
+        return {
+          x: Math.min(Math.max(x, 0), 100),
+          y: Math.min(Math.max(Number(annotation.sentiment_score) || 0, -1), 1),
+          id: annotation.id,
+          text: annotation.text || '',
+        };
+      })
+      .sort((a, b) => a.x - b.x);
+  }
+
+  /**
+   * Smooth points with the active method
+   * @private
+   */
+  smooth(points) {
+    const size = this.options.windowSize;
+
+    if (this.options.smoothing === 'exponential') {
+      const alpha = 2 / (size + 1);
+      let value = null;
+
+      return points.map(point => {
+        value = value === null ? point.y : alpha * point.y + (1 - alpha) * value;
+        return { x: point.x, y: value };
+      });
+    }
+
+    if (this.options.smoothing === 'moving-average') {
+      // Centered window via prefix sums
+      const half = Math.floor(size / 2);
+      const prefix = [0];
+      points.forEach((point, i) => {
+        prefix.push(prefix[i] + point.y);
+      });
+
+      return points.map((point, i) => {
+        const from = Math.max(0, i - half);
+        const to = Math.min(points.length, i + half + 1);
+        return { x: point.x, y: (prefix[to] - prefix[from]) / (to - from) };
+      });
+    }
+
+    return [];
+  }
+
+  /**
+   * Section bands in x axis coordinates with the color of their average sentiment
+   * @private
+   */
+  getSectionBands(points) {
+    if (this.documentLength <= 0 || this.sections.length === 0) return [];
+
+    return this.sections.map(section => {
+      const from = (section.start / this.documentLength) * 100;
+      const to = (section.end / this.documentLength) * 100;
+      const inside = points.filter(point => point.x >= from && point.x < to);
+      const average = inside.length > 0
+        ? inside.reduce((sum, point) => sum + point.y, 0) / inside.length
+        : 0;
+
+      return {
+        from,
+        to,
+        title: section.title,
+        color: SentimentScale.getColor(average, { ...this.options.sentimentScale, mode: 'gradient' }, this.sentimentLevels).background,
+      };
+    });
+  }
+
+  /**
+   * Tooltip text of a point
+   * @private
+   */
+  getTooltipLabel(context) {
+    const point = context.raw;
+    if (context.datasetIndex === 1) return `Geglättet: ${point.y.toFixed(2)}`;
+    return `${point.y.toFixed(2)} – ${this.truncate(point.text, 60)}`;
+  }
+
+  /**
+   * Jump to the annotation closest to the click
+   * @private
+   */
+  handleChartClick(event) {
+    if (!this.options.onPointClick) return;
+
+    const elements = this.chart
+      .getElementsAtEventForMode(event, 'nearest', { intersect: false, axis: 'x' }, true)
+      .filter(element => element.datasetIndex === 0);
+
+    const point = elements.length > 0 ? this.chart.data.datasets[0].data[elements[0].index] : null;
+    if (point) {
+      this.options.onPointClick(point.id);
+    }
+  }
+
+  /**
+   * Shorten text for labels
+   * @private
+   */
+  truncate(text, length) {
+    const value = String(text || '');
+    return value.length > length ? `${value.slice(0, Math.max(length - 1, 0))}…` : value;
+  }
+
+  /**
+   * Clear chart
+   */
+  clear() {
+    this.annotations = [];
+    this.sections = [];
+    this.documentLength = 0;
+    this.updateChart();
+  }
+
+  /**
+   * Destroy chart
+   */
+  destroy() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+    this.chart?.destroy();
+    this.chart = null;
+  }
+}
+
+// Export for global use
+window.SentimentTimelineComponent = SentimentTimelineComponent;
@@ -11,6 +11,13 @@ const SUPABASE_CONFIG = {
     enabled: true,
     heartbeatInterval: 30000,
     reconnectDelay: 1000,
+    maxReconnectDelay: 30000,
+    // Fall back to polling when realtime is not reachable
+    fallbackTimeout: 10000,
+    fallbackAfterAttempts: 3,
+    pollingInterval: 2000,
+    maxPollingInterval: 30000,
+    pollingAnalysisTimeout: 120000,
   }
 };
 
@@ -0,0 +1,542 @@
+/**
+ * Analytics Service
+ * Aggregates documents, annotations and sentiment analyses of the signed-in user
+ * (statistics cards and dashboard time series) and keeps them up to date through Supabase Realtime
+ */
+
+const ANALYTICS_PERIODS = {
+  today: { label: 'Heute', previousLabel: 'gestern' },
+  '7d': { label: '7 Tage', previousLabel: 'Vorwoche', days: 7 },
+  '30d': { label: '30 Tage', previousLabel: 'Vormonat', days: 30 },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rows per request when the dashboard loads raw rows; servers with a lower max rows setting return smaller pages
+const ANALYTICS_PAGE_SIZE = 1000;
+
+// Upper bounds of the processing time histogram; the last bucket is open-ended
+const PROCESSING_TIME_BUCKETS = [
+  { label: '< 30 s', maxSeconds: 30 },
+  { label: '30 s – 1 min', maxSeconds: 60 },
+  { label: '1 – 2 min', maxSeconds: 120 },
+  { label: '2 – 5 min', maxSeconds: 300 },
+  { label: '5 – 10 min', maxSeconds: 600 },
+  { label: '> 10 min', maxSeconds: Infinity },
+];
+
+class AnalyticsService {
+  /**
+   * @param {Object} supabaseClient - Supabase client
+   * @param {Object} options - { refreshDelay } batches bursts of realtime events (e.g. many annotation inserts)
+   */
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.channel = null;
+    this.refreshTimer = null;
+    this.userJobs = new Map(); // jobId → Promise<boolean>, whether the job belongs to the subscribed user
+    this.options = {
+      refreshDelay: options.refreshDelay || 1000,
+    };
+  }
+
+  /**
+   * Available periods
+   * @returns {Array} [{ name, label, previousLabel }]
+   */
+  getPeriods() {
+    return Object.entries(ANALYTICS_PERIODS).map(([name, period]) => ({ name, ...period }));
+  }
+
+  /**
+   * Get the time range of a period and of the period before it
+   * "today" is compared with the same time span yesterday, the rolling periods with the preceding window.
+   * @param {string} period - 'today' | '7d' | '30d'
+   * @param {Date} now - Reference time
+   * @returns {Object} { from, to, previousFrom, previousTo } as Date
+   */
+  getPeriodRange(period, now = new Date()) {
+    const definition = ANALYTICS_PERIODS[period] || ANALYTICS_PERIODS['7d'];
+    const to = now;
+
+    if (!definition.days) {
+      const from = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      return {
+        from,
+        to,
+        previousFrom: new Date(from.getTime() - DAY_MS),
+        previousTo: new Date(to.getTime() - DAY_MS),
+      };
+    }
+
+    const span = definition.days * DAY_MS;
+    const from = new Date(to.getTime() - span);
+    return {
+      from,
+      to,
+      previousFrom: new Date(from.getTime() - span),
+      previousTo: from,
+    };
+  }
+
+  /**
+   * Get the card statistics of a period with trends against the previous period
+   * @param {string} userId - User ID
+   * @param {string} period - 'today' | '7d' | '30d'
+   * @returns {Promise<Object>} { period, range, current, previous, trends }
+   *   current/previous: { documents, annotations, analyses, averageSentiment }
+   *   trends: { documents, annotations, analyses: { delta, percent }, averageSentiment: { delta } }
+   */
+  async getStatistics(userId, period = '7d') {
+    try {
+      const range = this.getPeriodRange(period);
+      const [current, previous] = await Promise.all([
+        this.getTotals(userId, range.from, range.to),
+        this.getTotals(userId, range.previousFrom, range.previousTo),
+      ]);
+
+      return {
+        period,
+        range,
+        current,
+        previous,
+        trends: {
+          documents: this.getTrend(current.documents, previous.documents),
+          annotations: this.getTrend(current.annotations, previous.annotations),
+          analyses: this.getTrend(current.analyses, previous.analyses),
+          averageSentiment: {
+            delta: current.averageSentiment !== null && previous.averageSentiment !== null
+              ? current.averageSentiment - previous.averageSentiment
+              : null,
+          },
+        },
+      };
+
+    } catch (error) {
+      console.error('Error fetching statistics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregate the user's rows within a time range
+   * - documents: completed jobs by completed_at
+   * - annotations: annotations of the user's jobs by created_at
+   * - analyses / averageSentiment: completed sentiment analyses by updated_at (SQL function
+   *   analytics_sentiment_totals, see MARKER_INTEGRATION_SETUP.md)
+   * @private
+   */
+  async getTotals(userId, from, to) {
+    const fromIso = from.toISOString();
+    const toIso = to.toISOString();
+
+    const [documents, annotations, analyses] = await Promise.all([
+      this.supabase
+        .from('marker_jobs')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .eq('status', 'completed')
+        .gte('completed_at', fromIso)
+        .lt('completed_at', toIso),
+      this.supabase
+        .from('text_annotations')
+        .select('id, marker_jobs!inner(user_id)', { count: 'exact', head: true })
+        .eq('marker_jobs.user_id', userId)
+        .gte('created_at', fromIso)
+        .lt('created_at', toIso),
+      this.supabase
+        .rpc('analytics_sentiment_totals', { p_user_id: userId, p_from: fromIso, p_to: toIso })
+        .single(),
+    ]);
+
+    [documents, annotations, analyses].forEach(({ error }) => {
+      if (error) throw error;
+    });
+
+    const averageSentiment = analyses.data?.average_sentiment;
+
+    return {
+      documents: documents.count || 0,
+      annotations: annotations.count || 0,
+      analyses: Number(analyses.data?.analyses) || 0,
+      averageSentiment: averageSentiment !== null && averageSentiment !== undefined ? Number(averageSentiment) : null,
+    };
+  }
+
+  /**
+   * Absolute and relative change of a count
+   * @private
+   */
+  getTrend(current, previous) {
+    return {
+      delta: current - previous,
+      percent: previous > 0 ? ((current - previous) / previous) * 100 : null,
+    };
+  }
+
+  /**
+   * Get the time series of the analytics dashboard
+   * @param {string} userId - User ID
+   * @param {Object} options - { days } number of days including today
+   * @returns {Promise<Object>} { days, documentsPerDay, sentimentTrend, emotionsPerWeek, processingTimes, failureRate }
+   */
+  async getDashboardAnalytics(userId, { days = 30 } = {}) {
+    try {
+      const now = new Date();
+      const from = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1));
+      const fromIso = from.toISOString();
+
+      const [jobs, analyses] = await Promise.all([
+        // Jobs created before the period still count on the day they finish in it
+        this.fetchAllRows(() => this.supabase
+          .from('marker_jobs')
+          .select('id, status, created_at, updated_at, completed_at', { count: 'exact' })
+          .eq('user_id', userId)
+          .or(`created_at.gte."${fromIso}",completed_at.gte."${fromIso}",updated_at.gte."${fromIso}"`)
+          .order('created_at', { ascending: true })
+          .order('id', { ascending: true })),
+        this.fetchAllRows(() => this.supabase
+          .from('sentiment_analysis')
+          .select('id, overall_sentiment, emotions, updated_at, marker_jobs!inner(user_id)', { count: 'exact' })
+          .eq('marker_jobs.user_id', userId)
+          .eq('status', 'completed')
+          .gte('updated_at', fromIso)
+          .order('updated_at', { ascending: true })
+          .order('id', { ascending: true })),
+      ]);
+
+      const dayKeys = [];
+      for (let i = 0; i < days; i++) {
+        dayKeys.push(this.getDayKey(new Date(from.getFullYear(), from.getMonth(), from.getDate() + i)));
+      }
+
+      return {
+        days: dayKeys,
+        documentsPerDay: this.getDocumentsPerDay(jobs, dayKeys),
+        sentimentTrend: this.getSentimentTrend(analyses, dayKeys),
+        emotionsPerWeek: this.getEmotionsPerWeek(analyses),
+        processingTimes: this.getProcessingTimes(jobs, dayKeys),
+        failureRate: this.getFailureRate(jobs, dayKeys),
+      };
+
+    } catch (error) {
+      console.error('Error fetching dashboard analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch all rows of a query page by page
+   * PostgREST cuts every response off at its max rows setting, so one request would silently drop rows.
+   * Rows that move between pages while loading (e.g. an analysis updated meanwhile) are de-duplicated;
+   * the realtime refresh that follows such a change loads a consistent state again.
+   * @private
+   * @param {Function} buildQuery - Returns a new query ordered by a unique key, selected with count: 'exact'
+   * @returns {Promise<Array>} Rows
+   */
+  async fetchAllRows(buildQuery) {
+    const rows = new Map();
+    let offset = 0;
+    let total = null;
+
+    while (total === null || offset < total) {
+      const { data, error, count } = await buildQuery().range(offset, offset + ANALYTICS_PAGE_SIZE - 1);
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+
+      data.forEach(row => rows.set(row.id, row));
+      offset += data.length;
+      total = count ?? offset + (data.length === ANALYTICS_PAGE_SIZE ? 1 : 0);
+    }
+
+    return [...rows.values()];
+  }
+
+  /**
+   * Completed jobs per day of completion
+   * @private
+   */
+  getDocumentsPerDay(jobs, dayKeys) {
+    const counts = new Map(dayKeys.map(key => [key, 0]));
+
+    jobs.forEach(job => {
+      if (job.status !== 'completed' || !job.completed_at) return;
+      const key = this.getDayKey(new Date(job.completed_at));
+      if (counts.has(key)) counts.set(key, counts.get(key) + 1);
+    });
+
+    return dayKeys.map(day => ({ day, count: counts.get(day) }));
+  }
+
+  /**
+   * Daily average of overall_sentiment (null on days without analyses)
+   * @private
+   */
+  getSentimentTrend(analyses, dayKeys) {
+    const sums = new Map();
+
+    analyses.forEach(analysis => {
+      if (analysis.overall_sentiment === null) return;
+      const value = Number(analysis.overall_sentiment);
+      if (!Number.isFinite(value)) return;
+
+      const key = this.getDayKey(new Date(analysis.updated_at));
+      const entry = sums.get(key) || { sum: 0, count: 0 };
+      entry.sum += value;
+      entry.count += 1;
+      sums.set(key, entry);
+    });
+
+    return dayKeys.map(day => {
+      const entry = sums.get(day);
+      return { day, average: entry ? entry.sum / entry.count : null, count: entry?.count || 0 };
+    });
+  }
+
+  /**
+   * Emotion mix per calendar week (Monday to Sunday)
+   * Each analysis contributes its emotion distribution with weight 1, so long and short documents count the same.
+   * @private
+   */
+  getEmotionsPerWeek(analyses) {
+    const weeks = new Map(); // week start → Map(emotion → weight)
+
+    analyses.forEach(analysis => {
+      const distribution = EmotionTaxonomy.getDistribution(analysis.emotions);
+      if (distribution.length === 0) return;
+
+      const week = this.getWeekKey(new Date(analysis.updated_at));
+      const weights = weeks.get(week) || new Map();
+      distribution.forEach(({ emotion, share }) => {
+        weights.set(emotion, (weights.get(emotion) || 0) + share);
+      });
+      weeks.set(week, weights);
+    });
+
+    return [...weeks.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([week, weights]) => {
+        const total = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+        const emotions = {};
+        weights.forEach((weight, emotion) => {
+          emotions[emotion] = weight / total;
+        });
+        return { week, emotions };
+      });
+  }
+
+  /**
+   * Distribution of processing times (created_at → completed_at) of jobs completed in the period
+   * @private
+   */
+  getProcessingTimes(jobs, dayKeys) {
+    const days = new Set(dayKeys);
+    const durations = jobs
+      .filter(job => job.status === 'completed' && job.completed_at)
+      .filter(job => days.has(this.getDayKey(new Date(job.completed_at))))
+      .map(job => (new Date(job.completed_at) - new Date(job.created_at)) / 1000)
+      .filter(seconds => Number.isFinite(seconds) && seconds >= 0)
+      .sort((a, b) => a - b);
+
+    const buckets = PROCESSING_TIME_BUCKETS.map(bucket => ({ ...bucket, count: 0 }));
+    durations.forEach(seconds => {
+      const bucket = buckets.find(entry => seconds < entry.maxSeconds) || buckets[buckets.length - 1];
+      bucket.count += 1;
+    });
+
+    return {
+      buckets: buckets.map(({ label, count }) => ({ label, count })),
+      median: durations.length > 0 ? durations[Math.floor(durations.length / 2)] : null,
+      count: durations.length,
+    };
+  }
+
+  /**
+   * Share of failed jobs ('failed' or 'error') among finished jobs of the period, per day and overall
+   * Jobs count on the day they finished; cancelled jobs are not counted.
+   * @private
+   */
+  getFailureRate(jobs, dayKeys) {
+    const days = new Map(dayKeys.map(key => [key, { finished: 0, failed: 0 }]));
+    let finished = 0;
+    let failed = 0;
+
+    jobs.forEach(job => {
+      if (!['completed', 'failed', 'error'].includes(job.status)) return;
+
+      const finishedAt = job.completed_at || job.updated_at || job.created_at;
+      const entry = days.get(this.getDayKey(new Date(finishedAt)));
+      if (!entry) return;
+
+      const isFailed = job.status !== 'completed';
+
+      finished += 1;
+      entry.finished += 1;
+
+      if (isFailed) {
+        failed += 1;
+        entry.failed += 1;
+      }
+    });
+
+    return {
+      rate: finished > 0 ? failed / finished : null,
+      failed,
+      finished,
+      perDay: dayKeys.map(day => {
+        const entry = days.get(day);
+        return { day, ...entry, rate: entry.finished > 0 ? entry.failed / entry.finished : null };
+      }),
+    };
+  }
+
+  /**
+   * Local date as YYYY-MM-DD
+   * @private
+   */
+  getDayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Monday of the week of a date as YYYY-MM-DD
+   * @private
+   */
+  getWeekKey(date) {
+    const offset = (date.getDay() + 6) % 7;
+    return this.getDayKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset));
+  }
+
+  /**
+   * Call onChange whenever jobs, annotations or analyses of the user change
+   * Events are batched with refreshDelay. Annotation and analysis tables have no user column,
+   * so their events are matched to the user's jobs in the handler (RLS may let other users' rows through).
+   * @param {string} userId - User ID
+   * @param {Function} onChange - Called without arguments
+   * @returns {Promise<Object>} Channel
+   */
+  async subscribe(userId, onChange) {
+    await this.unsubscribe();
+
+    const refresh = () => this.scheduleRefresh(onChange);
+    const refreshForJob = (payload) => this.handleJobRowChange(userId, payload, onChange);
+
+    this.channel = this.supabase
+      .channel(`analytics-${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'marker_jobs',
+          filter: `user_id=eq.${userId}`
+        },
+        refresh
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'text_annotations'
+        },
+        refreshForJob
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'sentiment_analysis'
+        },
+        refreshForJob
+      )
+      .subscribe();
+
+    return this.channel;
+  }
+
+  /**
+   * Refresh for an annotation or analysis event if its job belongs to the user
+   * DELETE events usually only carry the row ID and are skipped; the next refresh includes them.
+   * @private
+   */
+  async handleJobRowChange(userId, payload, onChange) {
+    const jobId = payload.new?.job_id || payload.old?.job_id;
+    if (!jobId) return;
+
+    const channel = this.channel;
+    const isUserJob = await this.isUserJob(userId, jobId);
+
+    // Unsubscribed while the job was looked up
+    if (isUserJob && this.channel === channel) {
+      this.scheduleRefresh(onChange);
+    }
+  }
+
+  /**
+   * Check once per job whether it belongs to the user
+   * @private
+   */
+  isUserJob(userId, jobId) {
+    if (!this.userJobs.has(jobId)) {
+      const check = this.supabase
+        .from('marker_jobs')
+        .select('id')
+        .eq('id', jobId)
+        .eq('user_id', userId)
+        .maybeSingle()
+        .then(({ data, error }) => {
+          if (error) throw error;
+          return Boolean(data);
+        })
+        .catch(error => {
+          // Not cached, the next event asks again
+          console.warn('Error checking job owner:', error);
+          this.userJobs.delete(jobId);
+          return false;
+        });
+
+      this.userJobs.set(jobId, check);
+    }
+
+    return this.userJobs.get(jobId);
+  }
+
+  /**
+   * Batch refreshes
+   * @private
+   */
+  scheduleRefresh(onChange) {
+    if (this.refreshTimer) return;
+
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      onChange();
+    }, this.options.refreshDelay);
+  }
+
+  /**
+   * Stop live updates
+   */
+  async unsubscribe() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+    this.userJobs.clear();
+
+    if (!this.channel) return;
+
+    const channel = this.channel;
+    this.channel = null;
+
+    try {
+      await this.supabase.removeChannel(channel);
+    } catch (error) {
+      console.warn('Error removing analytics channel:', error);
+    }
+  }
+}
+
+// Export for global use
+window.AnalyticsService = AnalyticsService;
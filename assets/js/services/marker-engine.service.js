@@ -3,35 +3,96 @@
  * Handles document processing, text extraction, and annotation management
  */
 
+// Columns the job history can be sorted by (keyset pagination needs non-null values)
+const JOB_HISTORY_SORT_COLUMNS = ['created_at', 'file_name', 'status'];
+
+// camelCase annotation values of createAnnotation / updateAnnotation → text_annotations columns
+const ANNOTATION_FIELD_COLUMNS = {
+  text: 'text',
+  position: 'position',
+  startOffset: 'start_offset',
+  endOffset: 'end_offset',
+  sentimentScore: 'sentiment_score',
+  emotion: 'emotion',
+  metadata: 'metadata',
+};
+
+// Rows per request when annotations are loaded (responses are capped at the API's max rows setting)
+const ANNOTATION_PAGE_SIZE = 1000;
+
+/**
+ * Escape LIKE wildcards in user input
+ * @private
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * Quote a value for PostgREST filter strings (or=(…)), which reserve commas, dots and parentheses
+ * @private
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/[\\"]/g, char => `\\${char}`)}"`;
+}
+
+/**
+ * Encode the keyset position after a job history row
+ * @private
+ */
+function encodeHistoryCursor(job, column, ascending) {
+  return btoa(encodeURIComponent(JSON.stringify({ sortBy: column, ascending, value: job[column], id: job.id })));
+}
+
+/**
+ * Decode a job history cursor
+ * Cursors from another sort order (e.g. kept in the URL or from an older version) and
+ * malformed ones return null, so the history starts at the first page instead of failing.
+ * @private
+ */
+function decodeHistoryCursor(cursor, column, ascending) {
+  try {
+    const position = JSON.parse(decodeURIComponent(atob(cursor)));
+    const isValid = position
+      && position.sortBy === column
+      && position.ascending === ascending
+      && ['string', 'number'].includes(typeof position.value)
+      && ['string', 'number'].includes(typeof position.id);
+
+    return isValid ? position : null;
+
+  } catch (error) {
+    return null;
+  }
+}
+
 class MarkerEngineService {
   constructor(supabaseClient) {
     this.supabase = supabaseClient;
     this.processingQueue = new Map();
     this.annotationCache = new Map();
+    this.uploader = new ResumableUploadService(supabaseClient, { bucket: 'documents' });
   }
 
   /**
    * Upload document and trigger Marker Engine processing
+   * Files above the resumable threshold are uploaded in chunks and resume
+   * after a page reload when the same file is selected again.
    * @param {File} file - Document file (PDF, DOCX, etc.)
    * @param {Object} options - Processing options
+   * @param {Function} options.onUploadProgress - Called with (bytesSent, bytesTotal)
    * @returns {Promise<Object>} Processing job details
    */
   async uploadAndProcess(file, options = {}) {
     try {
+      const { onUploadProgress, ...processingOptions } = options;
       const fileExt = file.name.split('.').pop();
       const fileName = `${Date.now()}_${file.name}`;
-      const filePath = `documents/${fileName}`;
-
-      // Upload to Supabase Storage
-      const { data: uploadData, error: uploadError } = await this.supabase
-        .storage
-        .from('documents')
-        .upload(filePath, file, {
-          cacheControl: '3600',
-          upsert: false
-        });
 
-      if (uploadError) throw uploadError;
+      // Upload to Supabase Storage (a resumed upload keeps its original path)
+      const { path: filePath } = await this.uploader.upload(file, `documents/${fileName}`, {
+        onProgress: onUploadProgress
+      });
 
       // Create processing job in database
       const { data: jobData, error: jobError } = await this.supabase
@@ -42,7 +103,7 @@ class MarkerEngineService {
           file_size: file.size,
           file_type: fileExt,
           status: 'pending',
-          options: options,
+          options: processingOptions,
           created_at: new Date().toISOString()
         })
         .select()
@@ -94,6 +155,16 @@ class MarkerEngineService {
    * @returns {Promise<string>} Extracted text
    */
   async getExtractedText(jobId) {
+    const { text } = await this.getDocumentContent(jobId);
+    return text;
+  }
+
+  /**
+   * Get extracted text together with the markdown output of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} { text, markdown } - text is what annotation offsets refer to
+   */
+  async getDocumentContent(jobId) {
     try {
       const { data, error } = await this.supabase
         .from('marker_jobs')
@@ -102,33 +173,35 @@ class MarkerEngineService {
         .single();
 
       if (error) throw error;
-      return data.extracted_text || data.markdown_output || '';
+      return {
+        text: data.extracted_text || data.markdown_output || '',
+        markdown: data.markdown_output || null,
+      };
 
     } catch (error) {
-      console.error('Error fetching extracted text:', error);
+      console.error('Error fetching document content:', error);
       throw error;
     }
   }
 
   /**
    * Get annotations for a job
+   * All pages are read, so the result is the complete set and callers may treat
+   * missing annotations as deleted.
    * @param {string} jobId - Job ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.force - Bypass the annotation cache
    * @returns {Promise<Array>} Annotations
    */
-  async getAnnotations(jobId) {
+  async getAnnotations(jobId, { force = false } = {}) {
     try {
       // Check cache first
-      if (this.annotationCache.has(jobId)) {
+      if (!force && this.annotationCache.has(jobId)) {
         return this.annotationCache.get(jobId);
       }
 
-      const { data, error } = await this.supabase
-        .from('text_annotations')
-        .select('*')
-        .eq('job_id', jobId)
-        .order('position', { ascending: true });
-
-      if (error) throw error;
+      const data = await this.fetchAllAnnotations(jobId);
+      data.sort((a, b) => a.position - b.position || String(a.id).localeCompare(String(b.id)));
 
       // Cache the results
       this.annotationCache.set(jobId, data);
@@ -140,6 +213,39 @@ class MarkerEngineService {
     }
   }
 
+  /**
+   * Read all annotations of a job page by page
+   * Pages continue after the last ID (keyset) instead of an offset, so annotations
+   * deleted or inserted meanwhile cannot shift an existing one out of the result.
+   * @private
+   */
+  async fetchAllAnnotations(jobId) {
+    const annotations = [];
+    let lastId = null;
+
+    while (true) {
+      let query = this.supabase
+        .from('text_annotations')
+        .select('*')
+        .eq('job_id', jobId);
+
+      if (lastId !== null) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(ANNOTATION_PAGE_SIZE);
+
+      if (error) throw error;
+
+      annotations.push(...data);
+      if (data.length < ANNOTATION_PAGE_SIZE) return annotations;
+
+      lastId = data[data.length - 1].id;
+    }
+  }
+
   /**
    * Create new annotation
    * @param {Object} annotation - Annotation data
@@ -153,6 +259,8 @@ class MarkerEngineService {
           job_id: annotation.jobId,
           text: annotation.text,
           position: annotation.position,
+          start_offset: annotation.startOffset ?? null,
+          end_offset: annotation.endOffset ?? null,
           sentiment_score: annotation.sentimentScore,
           emotion: annotation.emotion,
           metadata: annotation.metadata || {},
@@ -174,6 +282,109 @@ class MarkerEngineService {
     }
   }
 
+  /**
+   * Update an annotation
+   * @param {string} annotationId - Annotation ID
+   * @param {Object} updates - Fields to change (text, position, startOffset, endOffset, sentimentScore, emotion, metadata)
+   * @returns {Promise<Object>} Updated annotation
+   */
+  async updateAnnotation(annotationId, updates) {
+    try {
+      const row = {};
+      Object.entries(ANNOTATION_FIELD_COLUMNS).forEach(([field, column]) => {
+        if (field in updates) row[column] = updates[field];
+      });
+
+      const { data, error } = await this.supabase
+        .from('text_annotations')
+        .update(row)
+        .eq('id', annotationId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Clear cache for this job
+      this.annotationCache.delete(data.job_id);
+
+      return data;
+
+    } catch (error) {
+      console.error('Error updating annotation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an annotation
+   * @param {string} annotationId - Annotation ID
+   * @returns {Promise<Object|null>} Deleted annotation, null if it did not exist
+   */
+  async deleteAnnotation(annotationId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('text_annotations')
+        .delete()
+        .eq('id', annotationId)
+        .select()
+        .maybeSingle();
+
+      if (error) throw error;
+
+      // Clear cache for this job
+      if (data) {
+        this.annotationCache.delete(data.job_id);
+      }
+
+      return data;
+
+    } catch (error) {
+      console.error('Error deleting annotation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get ID of the signed-in user
+   * @returns {Promise<string|null>} User ID
+   */
+  async getCurrentUserId() {
+    const { data } = await this.supabase.auth.getSession();
+    return data?.session?.user?.id || null;
+  }
+
+  /**
+   * Get UI preferences of the signed-in user
+   * Stored in the auth user metadata, so they follow the user across devices.
+   * @returns {Promise<Object>} Preferences (e.g. { palette }), empty when signed out
+   */
+  async getUserPreferences() {
+    const { data } = await this.supabase.auth.getSession();
+    return data?.session?.user?.user_metadata?.preferences || {};
+  }
+
+  /**
+   * Merge changes into the UI preferences of the signed-in user
+   * @param {Object} preferences - Changed preferences
+   * @returns {Promise<Object>} Stored preferences
+   */
+  async updateUserPreferences(preferences) {
+    try {
+      const current = await this.getUserPreferences();
+      const { data, error } = await this.supabase.auth.updateUser({
+        data: { preferences: { ...current, ...preferences } }
+      });
+
+      if (error) throw error;
+
+      return data.user.user_metadata.preferences;
+
+    } catch (error) {
+      console.error('Error updating user preferences:', error);
+      throw error;
+    }
+  }
+
   /**
    * Trigger sentiment analysis on extracted text
    * @param {string} jobId - Job ID
@@ -203,23 +414,102 @@ class MarkerEngineService {
   }
 
   /**
-   * Get user's job history
-   * @param {string} userId - User ID
-   * @param {number} limit - Number of results
-   * @returns {Promise<Array>} Job history
+   * Get latest sentiment analysis of a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Sentiment analysis row or null
    */
-  async getUserJobHistory(userId, limit = 50) {
+  async getSentimentAnalysis(jobId) {
     try {
       const { data, error } = await this.supabase
-        .from('marker_jobs')
+        .from('sentiment_analysis')
         .select('*')
-        .eq('user_id', userId)
+        .eq('job_id', jobId)
         .order('created_at', { ascending: false })
-        .limit(limit);
+        .limit(1)
+        .maybeSingle();
 
       if (error) throw error;
       return data;
 
+    } catch (error) {
+      console.error('Error fetching sentiment analysis:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get user's job history
+   * Pages are fetched with a keyset cursor on (sort column, id), so rows inserted
+   * while browsing neither shift nor duplicate later pages.
+   * @param {string} userId - User ID
+   * @param {Object|number} query - Query options (a number is read as limit)
+   * @param {number} query.limit - Page size
+   * @param {string} query.cursor - nextCursor of the previous page (another sort order or a malformed cursor loads the first page)
+   * @param {string} query.sortBy - 'created_at' | 'file_name' | 'status'
+   * @param {boolean} query.ascending - Sort direction (default newest / Z first)
+   * @param {string} query.status - Job status
+   * @param {string} query.fileType - File extension
+   * @param {string} query.from - ISO date, jobs created at or after
+   * @param {string} query.to - ISO date, jobs created before
+   * @param {string} query.search - Part of the file name (case-insensitive)
+   * @returns {Promise<Object>} { jobs, nextCursor } (nextCursor is null on the last page)
+   */
+  async getUserJobHistory(userId, query = {}) {
+    try {
+      const {
+        limit = 50,
+        cursor = null,
+        sortBy = 'created_at',
+        ascending = false,
+        status = '',
+        fileType = '',
+        from = '',
+        to = '',
+        search = '',
+      } = typeof query === 'number' ? { limit: query } : query;
+
+      const column = JOB_HISTORY_SORT_COLUMNS.includes(sortBy) ? sortBy : 'created_at';
+
+      let request = this.supabase
+        .from('marker_jobs')
+        .select('*')
+        .eq('user_id', userId);
+
+      if (status) request = request.eq('status', status);
+      if (fileType) request = request.ilike('file_type', escapeLikePattern(fileType));
+      if (from) request = request.gte('created_at', from);
+      if (to) request = request.lt('created_at', to);
+      if (search) request = request.ilike('file_name', `%${escapeLikePattern(search)}%`);
+
+      const position = cursor ? decodeHistoryCursor(cursor, column, Boolean(ascending)) : null;
+
+      if (cursor && !position) {
+        console.warn('Ignoring job history cursor that does not match the current sort order');
+      }
+
+      if (position) {
+        const operator = ascending ? 'gt' : 'lt';
+        const quoted = quoteFilterValue(position.value);
+        const quotedId = quoteFilterValue(position.id);
+        request = request.or(`${column}.${operator}.${quoted},and(${column}.eq.${quoted},id.${operator}.${quotedId})`);
+      }
+
+      // One extra row tells whether another page exists
+      const { data, error } = await request
+        .order(column, { ascending })
+        .order('id', { ascending })
+        .limit(limit + 1);
+
+      if (error) throw error;
+
+      const jobs = data.slice(0, limit);
+      const last = jobs[jobs.length - 1];
+
+      return {
+        jobs,
+        nextCursor: data.length > limit ? encodeHistoryCursor(last, column, Boolean(ascending)) : null,
+      };
+
     } catch (error) {
       console.error('Error fetching job history:', error);
       throw error;
@@ -228,23 +518,45 @@ class MarkerEngineService {
 
   /**
    * Cancel processing job
+   * Only pending or processing jobs are cancelled; the update is conditional
+   * so a job that finished in the meantime is never overwritten.
    * @param {string} jobId - Job ID
-   * @returns {Promise<boolean>} Success status
+   * @param {Object} options - Cancel options
+   * @param {boolean} options.removeArtifacts - Delete the uploaded file from storage
+   * @returns {Promise<Object>} Server-confirmed job row
    */
-  async cancelJob(jobId) {
+  async cancelJob(jobId, { removeArtifacts = false } = {}) {
     try {
-      const { error } = await this.supabase
+      const { data, error } = await this.supabase
         .from('marker_jobs')
         .update({
           status: 'cancelled',
           updated_at: new Date().toISOString()
         })
-        .eq('id', jobId);
+        .eq('id', jobId)
+        .in('status', ['pending', 'processing'])
+        .select()
+        .maybeSingle();
 
       if (error) throw error;
 
+      if (!data) {
+        const currentJob = await this.getJobStatus(jobId);
+        const notCancellableError = new Error(
+          `Job kann nicht mehr abgebrochen werden (Status: ${currentJob.status})`
+        );
+        notCancellableError.code = 'JOB_NOT_CANCELLABLE';
+        notCancellableError.job = currentJob;
+        throw notCancellableError;
+      }
+
+      if (removeArtifacts) {
+        await this.removeJobArtifacts(data);
+      }
+
       this.processingQueue.delete(jobId);
-      return true;
+      this.annotationCache.delete(jobId);
+      return data;
 
     } catch (error) {
       console.error('Error cancelling job:', error);
@@ -252,6 +564,30 @@ class MarkerEngineService {
     }
   }
 
+  /**
+   * Remove uploaded file of a job from storage
+   * Failures are logged only, the job state is not affected.
+   * @param {Object} job - Job row with file_path
+   * @returns {Promise<boolean>} True if the file was removed
+   */
+  async removeJobArtifacts(job) {
+    if (!job?.file_path) return false;
+
+    try {
+      const { error } = await this.supabase
+        .storage
+        .from('documents')
+        .remove([job.file_path]);
+
+      if (error) throw error;
+      return true;
+
+    } catch (error) {
+      console.warn('Could not remove job artifacts:', error);
+      return false;
+    }
+  }
+
   /**
    * Clear annotation cache
    */
@@ -262,4 +598,5 @@ class MarkerEngineService {
 }
 
 // Export for global use
+MarkerEngineService.annotationFieldColumns = ANNOTATION_FIELD_COLUMNS;
 window.MarkerEngineService = MarkerEngineService;
@@ -0,0 +1,218 @@
+/**
+ * Polling Transport
+ * Fallback transport that polls job state and annotations when Supabase Realtime is unavailable
+ */
+
+class PollingTransport {
+  constructor(markerService, options = {}) {
+    this.markerService = markerService;
+    this.options = {
+      minInterval: options.minInterval || 2000,
+      maxInterval: options.maxInterval || 30000,
+      backoffFactor: options.backoffFactor || 1.5,
+      analysisTimeout: options.analysisTimeout || 120000, // Wait for the sentiment analysis after completion
+    };
+
+    this.jobs = new Map(); // jobId → { timer, interval, lastJob, since, completedAt, annotations, analysis, callbacks }
+  }
+
+  /**
+   * Start polling a job
+   * @param {string} jobId - Job ID
+   * @param {Object} callbacks - Change callbacks
+   * @param {Function} callbacks.onJobChange - Called with (job, previousJob)
+   * @param {Function} callbacks.onAnnotationInsert - Called with (annotation)
+   * @param {Function} callbacks.onAnnotationUpdate - Called with (annotation, previousAnnotation)
+   * @param {Function} callbacks.onAnnotationDelete - Called with (annotation)
+   * @param {Function} callbacks.onSentimentAnalysisChange - Called with (analysis, previousAnalysis)
+   * @param {Object} options - Initial state
+   * @param {Object} options.lastJob - Last known job row
+   * @param {string} options.since - Only annotations created after this timestamp count as new on the first poll
+   */
+  start(jobId, callbacks = {}, { lastJob = null, since = null } = {}) {
+    if (this.jobs.has(jobId)) return;
+
+    this.jobs.set(jobId, {
+      timer: null,
+      interval: this.options.minInterval,
+      lastJob,
+      since,
+      completedAt: null,
+      annotations: null,
+      analysis: null,
+      callbacks,
+    });
+
+    console.log(`Polling started for job: ${jobId}`);
+    this.poll(jobId);
+  }
+
+  /**
+   * Stop polling a job
+   * @param {string} jobId - Job ID
+   */
+  stop(jobId) {
+    const state = this.jobs.get(jobId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    this.jobs.delete(jobId);
+    console.log(`Polling stopped for job: ${jobId}`);
+  }
+
+  /**
+   * Stop polling all jobs
+   */
+  stopAll() {
+    Array.from(this.jobs.keys()).forEach(jobId => this.stop(jobId));
+  }
+
+  /**
+   * Check if a job is being polled
+   * @param {string} jobId - Job ID
+   * @returns {boolean} Polling status
+   */
+  isPolling(jobId) {
+    return this.jobs.has(jobId);
+  }
+
+  /**
+   * Poll once and schedule the next poll
+   * @private
+   */
+  async poll(jobId) {
+    const state = this.jobs.get(jobId);
+    if (!state) return;
+
+    let changed = false;
+    let finished = false;
+
+    try {
+      const job = await this.markerService.getJobStatus(jobId);
+      // Complete set (all pages), so annotations missing from it were deleted
+      const annotations = await this.markerService.getAnnotations(jobId, { force: true });
+      const analysis = await this.markerService.getSentimentAnalysis(jobId);
+
+      // Stopped while the requests were running
+      if (this.jobs.get(jobId) !== state) return;
+
+      changed = this.diffJob(state, job) || changed;
+      changed = this.diffAnnotations(state, annotations) || changed;
+      changed = this.diffAnalysis(state, analysis) || changed;
+
+      if (job.status === 'completed' && !state.completedAt) {
+        state.completedAt = Date.now();
+      }
+
+      // Completed jobs are polled until their sentiment analysis has finished too,
+      // but not forever when the analysis never starts or never finishes
+      finished = ['failed', 'error', 'cancelled'].includes(job.status)
+        || (job.status === 'completed' && (
+          ['completed', 'failed', 'error'].includes(analysis?.status)
+          || Date.now() - state.completedAt >= this.options.analysisTimeout
+        ));
+
+    } catch (error) {
+      console.warn(`Polling job ${jobId} failed:`, error);
+    }
+
+    if (this.jobs.get(jobId) !== state) return;
+
+    // The last poll after a final state already delivered all annotations
+    if (finished) {
+      this.stop(jobId);
+      return;
+    }
+
+    // Poll fast while the job changes, slow down while it is idle
+    state.interval = changed
+      ? this.options.minInterval
+      : Math.min(state.interval * this.options.backoffFactor, this.options.maxInterval);
+
+    state.timer = setTimeout(() => this.poll(jobId), state.interval);
+  }
+
+  /**
+   * Compare job row with the last known state
+   * @private
+   */
+  diffJob(state, job) {
+    const previous = state.lastJob;
+    state.lastJob = job;
+
+    if (previous && previous.status === job.status && previous.progress === job.progress
+        && previous.updated_at === job.updated_at) {
+      return false;
+    }
+
+    if (state.callbacks.onJobChange) {
+      state.callbacks.onJobChange(job, previous);
+    }
+    return true;
+  }
+
+  /**
+   * Compare annotations with the last known set
+   * @private
+   */
+  diffAnnotations(state, annotations) {
+    const current = new Map(annotations.map(annotation => [annotation.id, annotation]));
+    let changed = false;
+
+    // First poll: only annotations newer than the handover timestamp are new
+    if (!state.annotations) {
+      const since = state.since ? Date.parse(state.since) : null;
+
+      annotations
+        .filter(annotation => since === null || Date.parse(annotation.created_at) > since)
+        .forEach(annotation => {
+          changed = true;
+          state.callbacks.onAnnotationInsert?.(annotation);
+        });
+
+      state.annotations = current;
+      return changed;
+    }
+
+    current.forEach((annotation, id) => {
+      const previous = state.annotations.get(id);
+
+      if (!previous) {
+        changed = true;
+        state.callbacks.onAnnotationInsert?.(annotation);
+      } else if (JSON.stringify(previous) !== JSON.stringify(annotation)) {
+        changed = true;
+        state.callbacks.onAnnotationUpdate?.(annotation, previous);
+      }
+    });
+
+    state.annotations.forEach((annotation, id) => {
+      if (!current.has(id)) {
+        changed = true;
+        state.callbacks.onAnnotationDelete?.(annotation);
+      }
+    });
+
+    state.annotations = current;
+    return changed;
+  }
+
+  /**
+   * Compare sentiment analysis with the last known row
+   * @private
+   */
+  diffAnalysis(state, analysis) {
+    const previous = state.analysis;
+    state.analysis = analysis;
+
+    if (!analysis || JSON.stringify(previous) === JSON.stringify(analysis)) {
+      return false;
+    }
+
+    state.callbacks.onSentimentAnalysisChange?.(analysis, previous);
+    return true;
+  }
+}
+
+// Export for global use
+window.PollingTransport = PollingTransport;
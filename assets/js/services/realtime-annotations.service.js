@@ -1,18 +1,49 @@
 /**
  * Realtime Annotations Service
- * Manages real-time updates for text annotations using Supabase Realtime
+ * Manages real-time updates for text annotations using Supabase Realtime,
+ * falling back to polling when the realtime connection cannot be established
  */
 
+// Annotations created this long before the last seen one are fetched again when polling takes over;
+// duplicates are dropped by ID
+const ANNOTATION_HANDOVER_OVERLAP_MS = 5000;
+
+// Rows per request when the complete annotation set is fetched after a reconnect
+const ANNOTATION_RESYNC_PAGE_SIZE = 1000;
+
 class RealtimeAnnotationsService {
-  constructor(supabaseClient) {
+  /**
+   * @param {Object} supabaseClient - Supabase client
+   * @param {MarkerEngineService} markerService - Enables the polling fallback when provided
+   */
+  constructor(supabaseClient, markerService = null) {
+    const realtimeConfig = window.SupabaseConfig?.config.realtime || {};
+
     this.supabase = supabaseClient;
     this.subscriptions = new Map();
     this.eventHandlers = new Map();
+    this.connectionState = new Map(); // jobId → { attempts, timer, fallbackTimer, transport, lastSeenAt, seenAnnotationIds, knownAnnotationIds, lastJob, needsSeed, needsCatchUp }
     this.isConnected = false;
+    this.options = {
+      reconnectDelay: realtimeConfig.reconnectDelay || 1000,
+      maxReconnectDelay: realtimeConfig.maxReconnectDelay || 30000,
+      fallbackTimeout: realtimeConfig.fallbackTimeout || 10000,
+      fallbackAfterAttempts: realtimeConfig.fallbackAfterAttempts || 3,
+    };
+
+    this.pollingTransport = markerService
+      ? new PollingTransport(markerService, {
+        minInterval: realtimeConfig.pollingInterval,
+        maxInterval: realtimeConfig.maxPollingInterval,
+        analysisTimeout: realtimeConfig.pollingAnalysisTimeout,
+      })
+      : null;
   }
 
   /**
    * Subscribe to realtime updates for a specific job
+   * Dropped channels are re-subscribed with exponential backoff, and events
+   * missed while offline are fetched once the channel is back.
    * @param {string} jobId - Job ID to subscribe to
    * @param {Object} handlers - Event handlers
    * @returns {Promise<Object>} Subscription object
@@ -24,49 +55,29 @@ class RealtimeAnnotationsService {
         await this.unsubscribeFromJob(jobId);
       }
 
-      const channel = this.supabase
-        .channel(`job-${jobId}`)
-        .on(
-          'postgres_changes',
-          {
-            event: '*',
-            schema: 'public',
-            table: 'marker_jobs',
-            filter: `id=eq.${jobId}`
-          },
-          (payload) => this.handleJobUpdate(jobId, payload, handlers)
-        )
-        .on(
-          'postgres_changes',
-          {
-            event: 'INSERT',
-            schema: 'public',
-            table: 'text_annotations',
-            filter: `job_id=eq.${jobId}`
-          },
-          (payload) => this.handleAnnotationInsert(jobId, payload, handlers)
-        )
-        .on(
-          'postgres_changes',
-          {
-            event: 'UPDATE',
-            schema: 'public',
-            table: 'text_annotations',
-            filter: `job_id=eq.${jobId}`
-          },
-          (payload) => this.handleAnnotationUpdate(jobId, payload, handlers)
-        )
-        .subscribe((status) => {
-          console.log(`Subscription status for job ${jobId}:`, status);
-          this.isConnected = status === 'SUBSCRIBED';
+      this.eventHandlers.set(jobId, handlers);
+      this.connectionState.set(jobId, {
+        attempts: 0,
+        timer: null,
+        fallbackTimer: null,
+        transport: 'realtime',
+        lastSeenAt: null, // Server created_at of the newest known annotation
+        seenAnnotationIds: new Set(), // Delivered through the handlers
+        knownAnnotationIds: new Set(), // Delivered or existing at subscribe time, identifies DELETE events
+        lastJob: null,
+        needsSeed: true,
+        needsCatchUp: false,
+      });
 
-          if (handlers.onConnectionChange) {
-            handlers.onConnectionChange(this.isConnected);
-          }
-        });
+      const channel = this.openChannel(jobId);
 
-      this.subscriptions.set(jobId, channel);
-      this.eventHandlers.set(jobId, handlers);
+      // Poll if the channel does not come up in time (e.g. WebSockets blocked)
+      if (this.pollingTransport) {
+        this.connectionState.get(jobId).fallbackTimer = setTimeout(
+          () => this.startPolling(jobId),
+          this.options.fallbackTimeout
+        );
+      }
 
       console.log(`Subscribed to realtime updates for job: ${jobId}`);
       return channel;
@@ -77,6 +88,363 @@ class RealtimeAnnotationsService {
     }
   }
 
+  /**
+   * Create and subscribe the channel for a job
+   * @private
+   */
+  openChannel(jobId) {
+    const handlers = this.eventHandlers.get(jobId) || {};
+
+    const channel = this.supabase
+      .channel(`job-${jobId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'marker_jobs',
+          filter: `id=eq.${jobId}`
+        },
+        (payload) => this.handleJobUpdate(jobId, payload, handlers)
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'text_annotations',
+          filter: `job_id=eq.${jobId}`
+        },
+        (payload) => this.handleAnnotationInsert(jobId, payload, handlers)
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: 'UPDATE',
+          schema: 'public',
+          table: 'text_annotations',
+          filter: `job_id=eq.${jobId}`
+        },
+        (payload) => this.handleAnnotationUpdate(jobId, payload, handlers)
+      )
+      .on(
+        'postgres_changes',
+        {
+          // Realtime cannot filter DELETE events, the handler matches them by annotation ID
+          event: 'DELETE',
+          schema: 'public',
+          table: 'text_annotations'
+        },
+        (payload) => this.handleAnnotationDelete(jobId, payload, handlers)
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'sentiment_analysis',
+          filter: `job_id=eq.${jobId}`
+        },
+        (payload) => this.handleSentimentAnalysisUpdate(jobId, payload, handlers)
+      )
+      .subscribe((status) => this.handleSubscribeStatus(jobId, channel, status));
+
+    this.subscriptions.set(jobId, channel);
+    return channel;
+  }
+
+  /**
+   * Track channel status and trigger reconnects
+   * @private
+   */
+  handleSubscribeStatus(jobId, channel, status) {
+    console.log(`Subscription status for job ${jobId}:`, status);
+
+    // Ignore status changes of channels that were replaced or removed
+    if (this.subscriptions.get(jobId) !== channel) return;
+
+    const state = this.connectionState.get(jobId);
+    const handlers = this.eventHandlers.get(jobId) || {};
+
+    if (status === 'SUBSCRIBED') {
+      this.isConnected = true;
+
+      if (state) {
+        clearTimeout(state.fallbackTimer);
+        state.fallbackTimer = null;
+        state.attempts = 0;
+
+        if (state.needsSeed) {
+          state.needsSeed = false;
+          this.seedKnownAnnotations(jobId);
+        }
+
+        if (state.transport === 'polling') {
+          this.stopPolling(jobId);
+        }
+
+        if (state.needsCatchUp) {
+          state.needsCatchUp = false;
+          this.catchUp(jobId);
+        }
+      }
+
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(true);
+      }
+      return;
+    }
+
+    if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+      this.isConnected = false;
+
+      if (handlers.onConnectionChange) {
+        handlers.onConnectionChange(false);
+      }
+
+      if (state) {
+        state.needsCatchUp = true;
+        this.scheduleReconnect(jobId);
+
+        // Keep trying realtime in the background, but poll meanwhile
+        if (state.attempts >= this.options.fallbackAfterAttempts) {
+          this.startPolling(jobId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Switch a job to the polling transport
+   * Polling emits the same handler events as the realtime channel.
+   * @private
+   */
+  startPolling(jobId) {
+    const state = this.connectionState.get(jobId);
+    const handlers = this.eventHandlers.get(jobId) || {};
+
+    if (!this.pollingTransport || !state || state.transport === 'polling') return;
+
+    clearTimeout(state.fallbackTimer);
+    state.fallbackTimer = null;
+    state.transport = 'polling';
+
+    console.warn(`Realtime unavailable for job ${jobId}, falling back to polling`);
+
+    this.pollingTransport.start(jobId, {
+      onJobChange: (job, previousJob) => this.handleJobUpdate(jobId, {
+        eventType: 'UPDATE',
+        new: job,
+        old: previousJob,
+      }, handlers),
+      onAnnotationInsert: (annotation) => this.handleAnnotationInsert(jobId, {
+        eventType: 'INSERT',
+        new: annotation,
+      }, handlers),
+      onAnnotationUpdate: (annotation, previousAnnotation) => this.handleAnnotationUpdate(jobId, {
+        eventType: 'UPDATE',
+        new: annotation,
+        old: previousAnnotation,
+      }, handlers),
+      onAnnotationDelete: (annotation) => this.handleAnnotationDelete(jobId, {
+        eventType: 'DELETE',
+        new: {},
+        old: annotation,
+      }, handlers),
+      onSentimentAnalysisChange: (analysis, previousAnalysis) => this.handleSentimentAnalysisUpdate(jobId, {
+        eventType: previousAnalysis ? 'UPDATE' : 'INSERT',
+        new: analysis,
+        old: previousAnalysis,
+      }, handlers),
+    }, {
+      lastJob: state.lastJob,
+      since: state.lastSeenAt
+        ? new Date(Date.parse(state.lastSeenAt) - ANNOTATION_HANDOVER_OVERLAP_MS).toISOString()
+        : null,
+    });
+
+    if (handlers.onTransportChange) {
+      handlers.onTransportChange({ jobId, transport: 'polling' });
+    }
+  }
+
+  /**
+   * Switch a job back to the realtime transport
+   * @private
+   */
+  stopPolling(jobId) {
+    const state = this.connectionState.get(jobId);
+    const handlers = this.eventHandlers.get(jobId) || {};
+
+    this.pollingTransport?.stop(jobId);
+    if (!state || state.transport !== 'polling') return;
+
+    state.transport = 'realtime';
+    console.log(`Realtime restored for job ${jobId}, polling stopped`);
+
+    if (handlers.onTransportChange) {
+      handlers.onTransportChange({ jobId, transport: 'realtime' });
+    }
+  }
+
+  /**
+   * Re-subscribe a dropped channel after an exponential backoff delay
+   * @private
+   */
+  scheduleReconnect(jobId) {
+    const state = this.connectionState.get(jobId);
+    if (!state || state.timer) return;
+
+    const delay = Math.min(
+      this.options.reconnectDelay * Math.pow(2, state.attempts),
+      this.options.maxReconnectDelay
+    );
+    state.attempts++;
+
+    console.log(`Reconnecting job ${jobId} in ${delay}ms (attempt ${state.attempts})`);
+
+    state.timer = setTimeout(async () => {
+      state.timer = null;
+
+      const staleChannel = this.subscriptions.get(jobId);
+      this.subscriptions.delete(jobId);
+
+      try {
+        if (staleChannel) {
+          await this.supabase.removeChannel(staleChannel);
+        }
+      } catch (error) {
+        console.warn('Error removing stale channel:', error);
+      }
+
+      // Job may have been unsubscribed while waiting
+      if (this.connectionState.get(jobId) === state) {
+        this.openChannel(jobId);
+      }
+    }, delay);
+  }
+
+  /**
+   * Load the annotations that exist when the channel first comes up
+   * Their IDs identify DELETE events of this job, and the newest server created_at is the
+   * catch-up baseline, so a client clock that runs ahead cannot hide annotations.
+   * @private
+   */
+  async seedKnownAnnotations(jobId) {
+    const state = this.connectionState.get(jobId);
+
+    try {
+      const annotations = await this.fetchAllAnnotations(jobId, 'id, created_at');
+      if (this.connectionState.get(jobId) !== state) return;
+
+      annotations.forEach(annotation => {
+        state.knownAnnotationIds.add(String(annotation.id));
+        this.updateLastSeenAt(state, annotation.created_at);
+      });
+
+    } catch (error) {
+      console.warn('Error loading known annotations:', error);
+    }
+  }
+
+  /**
+   * Fetch all annotations of a job page by page
+   * A single response is cut off at the API's max rows setting, and a resync must not treat the rest as deleted.
+   * Pages continue after the last ID, so deletes meanwhile cannot shift an existing annotation out of the result.
+   * @private
+   */
+  async fetchAllAnnotations(jobId, columns = '*') {
+    const annotations = [];
+    let lastId = null;
+
+    while (true) {
+      let query = this.supabase
+        .from('text_annotations')
+        .select(columns)
+        .eq('job_id', jobId);
+
+      if (lastId !== null) {
+        query = query.gt('id', lastId);
+      }
+
+      const { data, error } = await query
+        .order('id', { ascending: true })
+        .limit(ANNOTATION_RESYNC_PAGE_SIZE);
+
+      if (error) throw error;
+
+      annotations.push(...data);
+      if (data.length < ANNOTATION_RESYNC_PAGE_SIZE) break;
+
+      lastId = data[data.length - 1].id;
+    }
+
+    return annotations.sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+  }
+
+  /**
+   * Fetch job state, annotations and analysis after a reconnect
+   * Inserts, updates and deletes may all have been missed, so the complete annotation set is
+   * handed to onAnnotationsResync. Without that handler only unknown annotations are reported as added.
+   * @private
+   */
+  async catchUp(jobId) {
+    const state = this.connectionState.get(jobId);
+    const handlers = this.eventHandlers.get(jobId) || {};
+    if (!state) return;
+
+    try {
+      const { data: job, error: jobError } = await this.supabase
+        .from('marker_jobs')
+        .select('*')
+        .eq('id', jobId)
+        .single();
+
+      if (jobError) throw jobError;
+
+      this.handleJobUpdate(jobId, {
+        eventType: 'UPDATE',
+        new: job,
+        old: state.lastJob,
+      }, handlers);
+
+      const annotations = await this.fetchAllAnnotations(jobId);
+      const missed = annotations.filter(annotation => !state.knownAnnotationIds.has(String(annotation.id)));
+
+      // Annotations deleted while disconnected are no longer known
+      state.knownAnnotationIds = new Set(annotations.map(annotation => String(annotation.id)));
+
+      if (handlers.onAnnotationsResync) {
+        annotations.forEach(annotation => this.markAnnotationSeen(state, annotation));
+        handlers.onAnnotationsResync({ jobId, annotations });
+      } else {
+        missed.forEach(annotation => {
+          this.handleAnnotationInsert(jobId, { eventType: 'INSERT', new: annotation }, handlers);
+        });
+      }
+
+      const { data: analysis, error: analysisError } = await this.supabase
+        .from('sentiment_analysis')
+        .select('*')
+        .eq('job_id', jobId)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (analysisError) throw analysisError;
+
+      if (analysis) {
+        this.handleSentimentAnalysisUpdate(jobId, { eventType: 'UPDATE', new: analysis, old: {} }, handlers);
+      }
+
+      console.log(`Caught up job ${jobId}: ${annotations.length} annotation(s), ${missed.length} missed`);
+
+    } catch (error) {
+      console.error('Error catching up after reconnect:', error);
+      state.needsCatchUp = true;
+    }
+  }
+
   /**
    * Handle job status updates
    * @private
@@ -85,6 +453,11 @@ class RealtimeAnnotationsService {
     console.log('Job update received:', payload);
 
     const { new: newData, old: oldData, eventType } = payload;
+    const state = this.connectionState.get(jobId);
+
+    if (state) {
+      state.lastJob = newData;
+    }
 
     // Trigger onStatusChange if status changed
     if (newData.status !== oldData?.status && handlers.onStatusChange) {
@@ -123,6 +496,15 @@ class RealtimeAnnotationsService {
   handleAnnotationInsert(jobId, payload, handlers) {
     console.log('New annotation received:', payload);
 
+    const state = this.connectionState.get(jobId);
+
+    // Re-delivered after a reconnect or within the polling handover overlap
+    if (state && payload.new?.id !== undefined && state.seenAnnotationIds.has(String(payload.new.id))) return;
+
+    if (state) {
+      this.markAnnotationSeen(state, payload.new);
+    }
+
     if (handlers.onAnnotationAdded) {
       handlers.onAnnotationAdded({
         jobId,
@@ -140,6 +522,29 @@ class RealtimeAnnotationsService {
     }
   }
 
+  /**
+   * Track an annotation as delivered
+   * @private
+   */
+  markAnnotationSeen(state, annotation) {
+    if (annotation?.id !== undefined) {
+      state.seenAnnotationIds.add(String(annotation.id));
+      state.knownAnnotationIds.add(String(annotation.id));
+    }
+
+    this.updateLastSeenAt(state, annotation?.created_at);
+  }
+
+  /**
+   * Advance the catch-up baseline to a newer server timestamp
+   * @private
+   */
+  updateLastSeenAt(state, createdAt) {
+    if (createdAt && (!state.lastSeenAt || Date.parse(createdAt) > Date.parse(state.lastSeenAt))) {
+      state.lastSeenAt = createdAt;
+    }
+  }
+
   /**
    * Handle annotation updates
    * @private
@@ -166,6 +571,68 @@ class RealtimeAnnotationsService {
     }
   }
 
+  /**
+   * Handle annotation deletions
+   * The DELETE subscription is not filtered by job and its payloads usually only carry
+   * the primary key (always with RLS), so only annotations known for this job are reported.
+   * Rows with job_id (polling, REPLICA IDENTITY FULL without RLS) are matched directly.
+   * @private
+   */
+  handleAnnotationDelete(jobId, payload, handlers) {
+    const oldAnnotation = payload.old || {};
+    const state = this.connectionState.get(jobId);
+    const annotationId = String(oldAnnotation.id);
+
+    const belongsToJob = oldAnnotation.job_id
+      ? oldAnnotation.job_id === jobId
+      : Boolean(state?.knownAnnotationIds.has(annotationId));
+
+    if (!belongsToJob) return;
+
+    if (state) {
+      state.knownAnnotationIds.delete(annotationId);
+      state.seenAnnotationIds.delete(annotationId);
+    }
+
+    console.log('Annotation deleted:', payload);
+
+    if (handlers.onAnnotationRemoved) {
+      handlers.onAnnotationRemoved({
+        jobId,
+        annotationId: oldAnnotation.id,
+        annotation: oldAnnotation
+      });
+    }
+
+    // Trigger generic annotation handler
+    if (handlers.onAnnotationUpdate) {
+      handlers.onAnnotationUpdate({
+        jobId,
+        type: 'delete',
+        annotation: oldAnnotation
+      });
+    }
+  }
+
+  /**
+   * Handle sentiment analysis inserts and updates
+   * @private
+   */
+  handleSentimentAnalysisUpdate(jobId, payload, handlers) {
+    if (payload.eventType === 'DELETE') return;
+
+    console.log('Sentiment analysis update received:', payload);
+
+    if (handlers.onSentimentAnalysisUpdate) {
+      handlers.onSentimentAnalysisUpdate({
+        jobId,
+        eventType: payload.eventType,
+        analysis: payload.new,
+        oldAnalysis: payload.old
+      });
+    }
+  }
+
   /**
    * Subscribe to all annotations (global)
    * @param {Object} handlers - Event handlers
@@ -215,11 +682,24 @@ class RealtimeAnnotationsService {
   async unsubscribeFromJob(jobId) {
     try {
       const channel = this.subscriptions.get(jobId);
+      const state = this.connectionState.get(jobId);
+
+      // Stop pending reconnects and polling before the channel reports CLOSED
+      if (state) {
+        clearTimeout(state.timer);
+        clearTimeout(state.fallbackTimer);
+        state.seenAnnotationIds.clear();
+        state.knownAnnotationIds.clear();
+        this.connectionState.delete(jobId);
+      }
+
+      this.pollingTransport?.stop(jobId);
+
+      this.subscriptions.delete(jobId);
+      this.eventHandlers.delete(jobId);
 
       if (channel) {
         await this.supabase.removeChannel(channel);
-        this.subscriptions.delete(jobId);
-        this.eventHandlers.delete(jobId);
         console.log(`Unsubscribed from job: ${jobId}`);
       }
 
@@ -235,7 +715,9 @@ class RealtimeAnnotationsService {
    */
   async unsubscribeAll() {
     try {
-      const unsubscribePromises = Array.from(this.subscriptions.keys()).map(
+      // Include jobs that are waiting for a reconnect and have no channel right now
+      const jobIds = new Set([...this.subscriptions.keys(), ...this.connectionState.keys()]);
+      const unsubscribePromises = Array.from(jobIds).map(
         jobId => this.unsubscribeFromJob(jobId)
       );
 
@@ -256,6 +738,15 @@ class RealtimeAnnotationsService {
     return this.isConnected;
   }
 
+  /**
+   * Get transport currently used for a job
+   * @param {string} jobId - Job ID
+   * @returns {string|null} 'realtime', 'polling' or null if not subscribed
+   */
+  getTransport(jobId) {
+    return this.connectionState.get(jobId)?.transport || null;
+  }
+
   /**
    * Get active subscriptions count
    * @returns {number} Number of active subscriptions
@@ -0,0 +1,362 @@
+/**
+ * Resumable Upload Service
+ * Chunked TUS uploads to Supabase Storage with byte-level progress and resume support
+ */
+
+class ResumableUploadService {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.options = {
+      bucket: options.bucket || 'documents',
+      // Supabase Storage only accepts 6MB chunks on its TUS endpoint
+      chunkSize: options.chunkSize || 6 * 1024 * 1024,
+      resumableThreshold: options.resumableThreshold || 6 * 1024 * 1024,
+      maxRetries: options.maxRetries ?? 5,
+      retryDelay: options.retryDelay || 1000,
+      // Upload URLs issued by Supabase expire after 24 hours
+      resumeTtl: options.resumeTtl || 24 * 60 * 60 * 1000,
+      storagePrefix: options.storagePrefix || 'marker-upload:',
+    };
+
+    this.activeRequests = new Map();
+  }
+
+  /**
+   * Upload file to storage, using chunked TUS upload for large files
+   * @param {File} file - File to upload
+   * @param {string} filePath - Target object path inside the bucket
+   * @param {Object} options - Upload options
+   * @param {Function} options.onProgress - Called with (bytesSent, bytesTotal)
+   * @returns {Promise<Object>} Upload result with the final object path
+   */
+  async upload(file, filePath, options = {}) {
+    if (file.size <= this.options.resumableThreshold) {
+      return this.uploadSingle(file, filePath, options);
+    }
+
+    return this.uploadResumable(file, filePath, options);
+  }
+
+  /**
+   * Single-shot upload through the Supabase client
+   * @private
+   */
+  async uploadSingle(file, filePath, { onProgress } = {}) {
+    this.reportProgress(onProgress, 0, file.size);
+
+    const { data, error } = await this.supabase
+      .storage
+      .from(this.options.bucket)
+      .upload(filePath, file, {
+        cacheControl: '3600',
+        upsert: false
+      });
+
+    if (error) throw error;
+
+    this.reportProgress(onProgress, file.size, file.size);
+    return { path: filePath, data, resumed: false };
+  }
+
+  /**
+   * Chunked upload via the Supabase Storage TUS endpoint
+   * @private
+   */
+  async uploadResumable(file, filePath, { onProgress } = {}) {
+    const fingerprint = this.getFingerprint(file);
+    const stored = this.loadUploadState(fingerprint);
+
+    let uploadUrl = null;
+    let offset = 0;
+    let targetPath = filePath;
+    let resumed = false;
+
+    // Try to continue a previous upload of the same file
+    if (stored) {
+      try {
+        offset = await this.fetchOffset(stored.uploadUrl);
+        uploadUrl = stored.uploadUrl;
+        targetPath = stored.filePath;
+        resumed = true;
+        console.log(`Resuming upload of ${file.name} at byte ${offset}`);
+      } catch (error) {
+        console.warn('Stored upload could not be resumed, starting over:', error);
+        this.clearUploadState(fingerprint);
+      }
+    }
+
+    if (!uploadUrl) {
+      uploadUrl = await this.createUpload(file, targetPath);
+      this.saveUploadState(fingerprint, { uploadUrl, filePath: targetPath });
+    }
+
+    this.reportProgress(onProgress, offset, file.size);
+
+    let retries = 0;
+
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + this.options.chunkSize);
+
+      try {
+        offset = await this.sendChunk(uploadUrl, chunk, offset, (loaded) => {
+          this.reportProgress(onProgress, offset + loaded, file.size);
+        });
+        retries = 0;
+        this.reportProgress(onProgress, offset, file.size);
+
+      } catch (error) {
+        // Aborted uploads keep their stored state and can be resumed later
+        if (error.aborted) throw error;
+
+        if (error.status && error.status < 500 && error.status !== 409) {
+          this.clearUploadState(fingerprint);
+          throw error;
+        }
+
+        if (retries >= this.options.maxRetries) {
+          // Keep the stored state so the upload can resume after a reload
+          throw error;
+        }
+
+        retries++;
+        const delay = this.options.retryDelay * Math.pow(2, retries - 1);
+        console.warn(`Chunk upload failed, retry ${retries}/${this.options.maxRetries} in ${delay}ms:`, error);
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        // Ask the server how much it actually received before retrying
+        offset = await this.fetchOffset(uploadUrl).catch(() => offset);
+      }
+    }
+
+    this.clearUploadState(fingerprint);
+    return { path: targetPath, resumed };
+  }
+
+  /**
+   * Create a new TUS upload and return its URL
+   * @private
+   */
+  async createUpload(file, filePath) {
+    const headers = await this.getHeaders();
+
+    const response = await fetch(this.getEndpoint(), {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Upload-Length': String(file.size),
+        'Upload-Metadata': this.encodeMetadata({
+          bucketName: this.options.bucket,
+          objectName: filePath,
+          contentType: file.type || 'application/octet-stream',
+          cacheControl: '3600',
+        }),
+        'x-upsert': 'false',
+      }
+    });
+
+    if (!response.ok) {
+      throw this.createHttpError('Could not create resumable upload', response.status);
+    }
+
+    const location = response.headers.get('Location');
+    if (!location) {
+      throw new Error('Resumable upload created without a Location header');
+    }
+
+    return new URL(location, this.getEndpoint()).toString();
+  }
+
+  /**
+   * Get the number of bytes the server already has for an upload
+   * @private
+   */
+  async fetchOffset(uploadUrl) {
+    const headers = await this.getHeaders();
+    const response = await fetch(uploadUrl, { method: 'HEAD', headers });
+
+    if (!response.ok) {
+      throw this.createHttpError('Could not read upload offset', response.status);
+    }
+
+    const offset = parseInt(response.headers.get('Upload-Offset'), 10);
+    if (Number.isNaN(offset)) {
+      throw new Error('Server did not return an upload offset');
+    }
+
+    return offset;
+  }
+
+  /**
+   * Send one chunk with XHR so byte progress is observable
+   * @private
+   */
+  async sendChunk(uploadUrl, chunk, offset, onChunkProgress) {
+    const headers = await this.getHeaders();
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('PATCH', uploadUrl);
+
+      Object.entries({
+        ...headers,
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream',
+      }).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      xhr.upload.onprogress = (e) => onChunkProgress(e.loaded);
+
+      xhr.onload = () => {
+        this.activeRequests.delete(uploadUrl);
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(parseInt(xhr.getResponseHeader('Upload-Offset'), 10) || offset + chunk.size);
+        } else {
+          reject(this.createHttpError('Chunk upload failed', xhr.status));
+        }
+      };
+
+      xhr.onerror = () => {
+        this.activeRequests.delete(uploadUrl);
+        reject(new Error('Network error during chunk upload'));
+      };
+
+      xhr.onabort = () => {
+        this.activeRequests.delete(uploadUrl);
+        const error = new Error('Upload aborted');
+        error.aborted = true;
+        reject(error);
+      };
+
+      this.activeRequests.set(uploadUrl, xhr);
+      xhr.send(chunk);
+    });
+  }
+
+  /**
+   * Abort all running chunk requests
+   */
+  abortAll() {
+    this.activeRequests.forEach(xhr => xhr.abort());
+    this.activeRequests.clear();
+  }
+
+  /**
+   * Check if an interrupted upload exists for a file
+   * @param {File} file - File to check
+   * @returns {boolean} True if the upload can be resumed
+   */
+  hasResumableUpload(file) {
+    return Boolean(this.loadUploadState(this.getFingerprint(file)));
+  }
+
+  /**
+   * Build request headers with the current session token
+   * @private
+   */
+  async getHeaders() {
+    const config = window.SupabaseConfig?.config || {};
+    const { data } = await this.supabase.auth.getSession();
+    const token = data?.session?.access_token || config.anonKey;
+
+    return {
+      'Tus-Resumable': '1.0.0',
+      authorization: `Bearer ${token}`,
+      apikey: config.anonKey,
+    };
+  }
+
+  /**
+   * Get TUS endpoint URL
+   * @private
+   */
+  getEndpoint() {
+    const baseUrl = window.SupabaseConfig?.config.url || '';
+    return `${baseUrl.replace(/\/$/, '')}/storage/v1/upload/resumable`;
+  }
+
+  /**
+   * Encode TUS Upload-Metadata header
+   * @private
+   */
+  encodeMetadata(metadata) {
+    return Object.entries(metadata)
+      .map(([key, value]) => `${key} ${btoa(unescape(encodeURIComponent(value)))}`)
+      .join(',');
+  }
+
+  /**
+   * Identify a file across page reloads
+   * @private
+   */
+  getFingerprint(file) {
+    return `${this.options.storagePrefix}${file.name}-${file.size}-${file.lastModified}`;
+  }
+
+  /**
+   * Load stored upload state if it has not expired
+   * @private
+   */
+  loadUploadState(fingerprint) {
+    try {
+      const state = JSON.parse(localStorage.getItem(fingerprint));
+      if (!state) return null;
+
+      if (Date.now() - state.createdAt > this.options.resumeTtl) {
+        this.clearUploadState(fingerprint);
+        return null;
+      }
+
+      return state;
+
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Persist upload state for resuming after reload
+   * @private
+   */
+  saveUploadState(fingerprint, state) {
+    try {
+      localStorage.setItem(fingerprint, JSON.stringify({ ...state, createdAt: Date.now() }));
+    } catch (error) {
+      console.warn('Could not persist upload state:', error);
+    }
+  }
+
+  /**
+   * Remove stored upload state
+   * @private
+   */
+  clearUploadState(fingerprint) {
+    try {
+      localStorage.removeItem(fingerprint);
+    } catch (error) {
+      // Storage unavailable, nothing to clear
+    }
+  }
+
+  /**
+   * Invoke progress callback if provided
+   * @private
+   */
+  reportProgress(onProgress, bytesSent, bytesTotal) {
+    if (onProgress) {
+      onProgress(Math.min(bytesSent, bytesTotal), bytesTotal);
+    }
+  }
+
+  /**
+   * Create error carrying the HTTP status
+   * @private
+   */
+  createHttpError(message, status) {
+    const error = new Error(`${message} (HTTP ${status})`);
+    error.status = status;
+    return error;
+  }
+}
+
+// Export for global use
+window.ResumableUploadService = ResumableUploadService;
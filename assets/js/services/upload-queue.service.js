@@ -0,0 +1,227 @@
+/**
+ * Upload Queue Service
+ * Runs document uploads with limited concurrency and tracks per-file status
+ * Item statuses: queued → uploading → processing → done | failed
+ */
+
+class UploadQueueService {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: options.concurrency || 2,
+      processItem: options.processItem || null,
+      onItemUpdate: options.onItemUpdate || null,
+      onQueueIdle: options.onQueueIdle || null,
+    };
+
+    this.items = new Map();
+    this.pending = [];
+    this.activeCount = 0;
+    this.nextId = 1;
+  }
+
+  /**
+   * Add files to the queue
+   * @param {File[]} files - Files to upload
+   * @returns {Array<Object>} Created queue items
+   */
+  enqueue(files) {
+    const items = Array.from(files).map(file => {
+      const item = {
+        id: `upload-${this.nextId++}`,
+        file,
+        status: 'queued',
+        progress: 0,
+        bytesSent: 0,
+        jobId: null,
+        error: null,
+        attempts: 0,
+      };
+
+      this.items.set(item.id, item);
+      this.pending.push(item.id);
+      this.notify(item);
+      return item;
+    });
+
+    this.pump();
+    return items;
+  }
+
+  /**
+   * Start queued items while concurrency slots are free
+   * @private
+   */
+  pump() {
+    while (this.activeCount < this.options.concurrency && this.pending.length > 0) {
+      const item = this.items.get(this.pending.shift());
+      if (item && item.status === 'queued') {
+        this.run(item);
+      }
+    }
+
+    if (this.activeCount === 0 && this.pending.length === 0 && this.options.onQueueIdle) {
+      this.options.onQueueIdle(this.getItems());
+    }
+  }
+
+  /**
+   * Run a single item through the processItem handler
+   * @private
+   */
+  async run(item) {
+    this.activeCount++;
+    this.updateItem(item.id, {
+      status: 'uploading',
+      progress: 0,
+      bytesSent: 0,
+      error: null,
+      attempts: item.attempts + 1,
+    });
+
+    try {
+      const jobData = await this.options.processItem(item, {
+        onProgress: (bytesSent, bytesTotal) => {
+          this.updateItem(item.id, {
+            bytesSent,
+            progress: bytesTotal > 0 ? Math.round((bytesSent / bytesTotal) * 100) : 0,
+          });
+        }
+      });
+
+      // The item stays in 'processing' until the job reaches a final state
+      if (item.status === 'uploading') {
+        this.updateItem(item.id, {
+          status: 'processing',
+          progress: 100,
+          jobId: jobData?.id || item.jobId,
+        });
+      }
+
+    } catch (error) {
+      console.error(`Upload of ${item.file.name} failed:`, error);
+      this.updateItem(item.id, {
+        status: 'failed',
+        error,
+      });
+
+    } finally {
+      this.activeCount--;
+      this.pump();
+    }
+  }
+
+  /**
+   * Retry a failed item
+   * @param {string} itemId - Queue item ID
+   * @returns {boolean} True if the item was queued again
+   */
+  retry(itemId) {
+    const item = this.items.get(itemId);
+
+    if (!item || item.status !== 'failed') {
+      return false;
+    }
+
+    this.updateItem(itemId, {
+      status: 'queued',
+      progress: 0,
+      bytesSent: 0,
+      jobId: null,
+      error: null,
+    });
+    this.pending.push(itemId);
+    this.pump();
+    return true;
+  }
+
+  /**
+   * Retry all failed items
+   * @returns {number} Number of items queued again
+   */
+  retryFailed() {
+    return this.getItems()
+      .filter(item => item.status === 'failed')
+      .filter(item => this.retry(item.id))
+      .length;
+  }
+
+  /**
+   * Update item state and notify listeners
+   * @param {string} itemId - Queue item ID
+   * @param {Object} updates - Fields to update
+   * @returns {Object|null} Updated item
+   */
+  updateItem(itemId, updates) {
+    const item = this.items.get(itemId);
+    if (!item) return null;
+
+    Object.assign(item, updates);
+    this.notify(item);
+    return item;
+  }
+
+  /**
+   * Remove an item that is not currently uploading
+   * @param {string} itemId - Queue item ID
+   * @returns {boolean} True if removed
+   */
+  remove(itemId) {
+    const item = this.items.get(itemId);
+
+    if (!item || item.status === 'uploading') {
+      return false;
+    }
+
+    this.items.delete(itemId);
+    this.pending = this.pending.filter(id => id !== itemId);
+    return true;
+  }
+
+  /**
+   * Find the queue item belonging to a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|undefined} Queue item
+   */
+  findByJobId(jobId) {
+    return this.getItems().find(item => item.jobId === jobId);
+  }
+
+  /**
+   * Get all queue items in insertion order
+   * @returns {Array<Object>} Queue items
+   */
+  getItems() {
+    return Array.from(this.items.values());
+  }
+
+  /**
+   * Check if uploads are running or waiting
+   * @returns {boolean} Busy state
+   */
+  isBusy() {
+    return this.activeCount > 0 || this.pending.length > 0;
+  }
+
+  /**
+   * Drop all items that are not uploading
+   */
+  clear() {
+    this.pending = [];
+    this.getItems()
+      .filter(item => item.status !== 'uploading')
+      .forEach(item => this.items.delete(item.id));
+  }
+
+  /**
+   * Notify item listener
+   * @private
+   */
+  notify(item) {
+    if (this.options.onItemUpdate) {
+      this.options.onItemUpdate({ ...item });
+    }
+  }
+}
+
+// Export for global use
+window.UploadQueueService = UploadQueueService;
@@ -0,0 +1,133 @@
+/**
+ * Annotation Ranges Utilities
+ * Maps annotations to character ranges of a document and renders them as nested spans
+ */
+
+/**
+ * Resolve the character range of each annotation inside the document text
+ * Uses start_offset/end_offset when present, otherwise searches the annotation
+ * text after the previously placed annotation (annotations are in position order).
+ * @param {string} text - Document text
+ * @param {Array} annotations - Annotations
+ * @returns {Object} { ranges: [{ annotation, start, end }], unplaced: [annotation] }
+ */
+function resolveAnnotationRanges(text, annotations) {
+  const ranges = [];
+  const unplaced = [];
+  let searchFrom = 0;
+
+  const sorted = [...annotations].sort((a, b) => (a.position || 0) - (b.position || 0));
+
+  sorted.forEach(annotation => {
+    const range = resolveAnnotationRange(text, annotation, searchFrom);
+
+    if (!range) {
+      unplaced.push(annotation);
+      return;
+    }
+
+    ranges.push(range);
+    if (!hasAnnotationOffsets(text, annotation)) {
+      searchFrom = range.end;
+    }
+  });
+
+  return { ranges, unplaced };
+}
+
+/**
+ * Resolve the character range of a single annotation
+ * @param {string} text - Document text
+ * @param {Object} annotation - Annotation
+ * @param {number} searchFrom - Preferred start of the text search
+ * @returns {Object|null} { annotation, start, end } or null if the annotation cannot be placed
+ */
+function resolveAnnotationRange(text, annotation, searchFrom = 0) {
+  if (hasAnnotationOffsets(text, annotation)) {
+    return { annotation, start: annotation.start_offset, end: annotation.end_offset };
+  }
+
+  if (!annotation.text) return null;
+
+  let index = text.indexOf(annotation.text, searchFrom);
+  if (index === -1) {
+    index = text.indexOf(annotation.text);
+  }
+
+  if (index === -1) return null;
+
+  return { annotation, start: index, end: index + annotation.text.length };
+}
+
+/**
+ * Check if an annotation has valid character offsets for the text
+ * @private
+ */
+function hasAnnotationOffsets(text, annotation) {
+  const { start_offset: start, end_offset: end } = annotation;
+  return Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end > start && end <= text.length;
+}
+
+/**
+ * Render document text with annotation ranges as properly nested spans
+ * Overlapping ranges that cannot nest are split into several fragments that
+ * share the same annotation ID.
+ * @param {string} text - Document text
+ * @param {Array} ranges - Ranges from resolveAnnotationRanges
+ * @param {Function} renderOpenTag - Returns the opening tag for a range
+ * @param {Function} escapeText - Escapes plain text for HTML
+ * @returns {string} HTML
+ */
+function renderAnnotationRanges(text, ranges, renderOpenTag, escapeText) {
+  // Outer ranges first: earlier start, then longer range
+  const sorted = [...ranges].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const boundaries = new Set([0, text.length]);
+  sorted.forEach(range => {
+    boundaries.add(range.start);
+    boundaries.add(range.end);
+  });
+  const points = Array.from(boundaries).sort((a, b) => a - b);
+
+  const stack = [];
+  let nextRange = 0;
+  let html = '';
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const pos = points[i];
+
+    // Close every range ending here, re-opening ranges that are still running
+    if (stack.some(range => range.end <= pos)) {
+      const reopen = [];
+
+      while (stack.some(range => range.end <= pos)) {
+        const range = stack.pop();
+        html += '</span>';
+        if (range.end > pos) reopen.unshift(range);
+      }
+
+      reopen.forEach(range => {
+        html += renderOpenTag(range);
+        stack.push(range);
+      });
+    }
+
+    while (nextRange < sorted.length && sorted[nextRange].start === pos) {
+      const range = sorted[nextRange++];
+      html += renderOpenTag(range);
+      stack.push(range);
+    }
+
+    html += escapeText(text.slice(pos, points[i + 1]));
+  }
+
+  html += '</span>'.repeat(stack.length);
+  return html;
+}
+
+// Export for global use
+window.AnnotationRanges = {
+  resolve: resolveAnnotationRanges,
+  resolveOne: resolveAnnotationRange,
+  render: renderAnnotationRanges,
+};
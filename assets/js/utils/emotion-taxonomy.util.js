@@ -0,0 +1,201 @@
+/**
+ * Emotion Taxonomy Registry
+ * Emotion sets used by the sentiment backend (Ekman, Plutchik, GoEmotions)
+ * with translated labels and highlight colors
+ */
+
+// Every emotion known to any taxonomy; taxonomies reference these keys
+const EMOTION_DEFINITIONS = {
+  admiration: { labels: { de: 'Bewunderung', en: 'Admiration' }, background: '#fdf2e9', border: '#e59866' },
+  amusement: { labels: { de: 'Belustigung', en: 'Amusement' }, background: '#fef9e7', border: '#f4d03f' },
+  anger: { labels: { de: 'Ärger', en: 'Anger' }, background: '#fadbd8', border: '#ec7063' },
+  annoyance: { labels: { de: 'Verärgerung', en: 'Annoyance' }, background: '#fbeee6', border: '#dc7633' },
+  anticipation: { labels: { de: 'Erwartung', en: 'Anticipation' }, background: '#fcf3cf', border: '#d4ac0d' },
+  approval: { labels: { de: 'Zustimmung', en: 'Approval' }, background: '#e9f7ef', border: '#52be80' },
+  caring: { labels: { de: 'Fürsorge', en: 'Caring' }, background: '#fdedec', border: '#f1948a' },
+  confusion: { labels: { de: 'Verwirrung', en: 'Confusion' }, background: '#f2f3f4', border: '#99a3a4' },
+  curiosity: { labels: { de: 'Neugier', en: 'Curiosity' }, background: '#e8f6f3', border: '#48c9b0' },
+  desire: { labels: { de: 'Verlangen', en: 'Desire' }, background: '#fce4ec', border: '#e91e63' },
+  disappointment: { labels: { de: 'Enttäuschung', en: 'Disappointment' }, background: '#eaf2f8', border: '#7fb3d5' },
+  disapproval: { labels: { de: 'Missbilligung', en: 'Disapproval' }, background: '#f9ebea', border: '#cd6155' },
+  disgust: { labels: { de: 'Ekel', en: 'Disgust' }, background: '#eef5e1', border: '#8bab45' },
+  embarrassment: { labels: { de: 'Verlegenheit', en: 'Embarrassment' }, background: '#fdedf3', border: '#d98cb3' },
+  excitement: { labels: { de: 'Begeisterung', en: 'Excitement' }, background: '#fff3e0', border: '#ff9800' },
+  fear: { labels: { de: 'Angst', en: 'Fear' }, background: '#f4ecf7', border: '#af7ac5' },
+  gratitude: { labels: { de: 'Dankbarkeit', en: 'Gratitude' }, background: '#e8f8f5', border: '#17a589' },
+  grief: { labels: { de: 'Kummer', en: 'Grief' }, background: '#e5e8f0', border: '#5b6b8c' },
+  joy: { labels: { de: 'Freude', en: 'Joy' }, background: '#fef5e7', border: '#f7dc6f' },
+  love: { labels: { de: 'Liebe', en: 'Love' }, background: '#fde2e4', border: '#e05780' },
+  nervousness: { labels: { de: 'Nervosität', en: 'Nervousness' }, background: '#f5eef8', border: '#bb8fce' },
+  neutral: { labels: { de: 'Neutral', en: 'Neutral' }, background: '#f0f0f0', border: '#bdc3c7' },
+  optimism: { labels: { de: 'Optimismus', en: 'Optimism' }, background: '#fffde7', border: '#fbc02d' },
+  pride: { labels: { de: 'Stolz', en: 'Pride' }, background: '#f3e5f5', border: '#8e44ad' },
+  realization: { labels: { de: 'Erkenntnis', en: 'Realization' }, background: '#e3f2fd', border: '#42a5f5' },
+  relief: { labels: { de: 'Erleichterung', en: 'Relief' }, background: '#e0f2f1', border: '#26a69a' },
+  remorse: { labels: { de: 'Reue', en: 'Remorse' }, background: '#ede7f6', border: '#7e57c2' },
+  sadness: { labels: { de: 'Trauer', en: 'Sadness' }, background: '#ebf5fb', border: '#5dade2' },
+  surprise: { labels: { de: 'Überraschung', en: 'Surprise' }, background: '#fdebd0', border: '#f8b739' },
+  trust: { labels: { de: 'Vertrauen', en: 'Trust' }, background: '#e8f5e9', border: '#66bb6a' },
+};
+
+const EMOTION_TAXONOMIES = {
+  ekman: {
+    labels: { de: 'Ekman (6 Basisemotionen)', en: 'Ekman (6 basic emotions)' },
+    emotions: ['joy', 'sadness', 'anger', 'fear', 'surprise', 'disgust', 'neutral'],
+  },
+  plutchik: {
+    labels: { de: 'Plutchik (8 Grundemotionen)', en: 'Plutchik (8 primary emotions)' },
+    emotions: ['joy', 'trust', 'fear', 'surprise', 'sadness', 'disgust', 'anger', 'anticipation', 'neutral'],
+  },
+  goemotions: {
+    labels: { de: 'GoEmotions (27 Emotionen)', en: 'GoEmotions (27 emotions)' },
+    emotions: [
+      'admiration', 'amusement', 'anger', 'annoyance', 'approval', 'caring', 'confusion', 'curiosity',
+      'desire', 'disappointment', 'disapproval', 'disgust', 'embarrassment', 'excitement', 'fear',
+      'gratitude', 'grief', 'joy', 'love', 'nervousness', 'optimism', 'pride', 'realization', 'relief',
+      'remorse', 'sadness', 'surprise', 'neutral',
+    ],
+  },
+};
+
+const DEFAULT_EMOTION_TAXONOMY = 'ekman';
+
+/**
+ * Register a custom taxonomy (or replace an existing one)
+ * @param {string} name - Taxonomy name, stored in marker_jobs.options.emotion_taxonomy
+ * @param {Object} taxonomy - { labels: { de, en }, emotions: [key | { key, labels, background, border }] }
+ */
+function registerEmotionTaxonomy(name, taxonomy) {
+  const emotions = (taxonomy.emotions || []).map(emotion => {
+    if (typeof emotion === 'string') return normalizeEmotionKey(emotion);
+
+    const key = normalizeEmotionKey(emotion.key);
+    EMOTION_DEFINITIONS[key] = {
+      labels: emotion.labels || { de: emotion.key, en: emotion.key },
+      background: emotion.background,
+      border: emotion.border,
+    };
+    return key;
+  });
+
+  EMOTION_TAXONOMIES[name] = {
+    labels: taxonomy.labels || { de: name, en: name },
+    emotions,
+  };
+}
+
+/**
+ * Get a taxonomy by name
+ * @param {string} name - Taxonomy name; unknown names fall back to the default taxonomy
+ * @returns {Object} { name, labels, emotions: [key] }
+ */
+function getEmotionTaxonomy(name) {
+  const key = EMOTION_TAXONOMIES[name] ? name : DEFAULT_EMOTION_TAXONOMY;
+  return { name: key, ...EMOTION_TAXONOMIES[key] };
+}
+
+/**
+ * List registered taxonomies
+ * @param {string} language - Label language ('de' | 'en')
+ * @returns {Array} [{ name, label }]
+ */
+function listEmotionTaxonomies(language = 'de') {
+  return Object.entries(EMOTION_TAXONOMIES).map(([name, taxonomy]) => ({
+    name,
+    label: taxonomy.labels[language] || taxonomy.labels.en || name,
+  }));
+}
+
+/**
+ * Normalize an emotion string from the backend ("Joy " → "joy")
+ * @param {string} emotion - Emotion
+ * @returns {string} Emotion key
+ */
+function normalizeEmotionKey(emotion) {
+  return String(emotion ?? '').trim().toLowerCase();
+}
+
+/**
+ * Check if an emotion belongs to any registered taxonomy
+ */
+function isKnownEmotion(emotion) {
+  return Object.prototype.hasOwnProperty.call(EMOTION_DEFINITIONS, normalizeEmotionKey(emotion));
+}
+
+/**
+ * Get translated label of an emotion
+ * @param {string} emotion - Emotion
+ * @param {string} language - 'de' | 'en'
+ * @returns {string} Label; unknown emotions are returned as they are
+ */
+function getEmotionLabel(emotion, language = 'de') {
+  const definition = EMOTION_DEFINITIONS[normalizeEmotionKey(emotion)];
+  if (!definition) return emotion;
+  return definition.labels[language] || definition.labels.en || emotion;
+}
+
+/**
+ * Get highlight colors of an emotion
+ * Emotions outside every taxonomy get a stable color derived from their name.
+ * @param {string} emotion - Emotion
+ * @returns {Object} { background, border }
+ */
+function getEmotionColor(emotion) {
+  const key = normalizeEmotionKey(emotion);
+  const definition = EMOTION_DEFINITIONS[key];
+
+  if (definition) {
+    return { background: definition.background, border: definition.border };
+  }
+
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) >>> 0;
+  }
+  const hue = hash % 360;
+
+  return { background: `hsl(${hue}, 70%, 93%)`, border: `hsl(${hue}, 55%, 55%)` };
+}
+
+/**
+ * Convert emotion scores to shares
+ * Accepts the emotions JSONB of sentiment_analysis ({ joy: 0.4 } or [{ emotion|label, score }])
+ * as well as plain counts ({ joy: 12 }).
+ * @param {Object|Array} emotions - Emotion scores or counts
+ * @returns {Array} [{ emotion, share }] sorted by share, shares sum up to 1
+ */
+function getEmotionDistribution(emotions) {
+  if (!emotions) return [];
+
+  const entries = Array.isArray(emotions)
+    ? emotions.map(entry => [entry?.emotion || entry?.label, entry?.score])
+    : Object.entries(emotions);
+
+  const weights = new Map();
+  entries.forEach(([emotion, score]) => {
+    if (!emotion) return;
+    const key = normalizeEmotionKey(emotion);
+    weights.set(key, (weights.get(key) || 0) + Math.max(Number(score) || 0, 0));
+  });
+
+  const total = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) return [];
+
+  return [...weights.entries()]
+    .filter(([, weight]) => weight > 0)
+    .map(([emotion, weight]) => ({ emotion, share: weight / total }))
+    .sort((a, b) => b.share - a.share);
+}
+
+// Export for global use
+window.EmotionTaxonomy = {
+  defaultTaxonomy: DEFAULT_EMOTION_TAXONOMY,
+  register: registerEmotionTaxonomy,
+  get: getEmotionTaxonomy,
+  list: listEmotionTaxonomies,
+  normalize: normalizeEmotionKey,
+  isKnown: isKnownEmotion,
+  getLabel: getEmotionLabel,
+  getColor: getEmotionColor,
+  getDistribution: getEmotionDistribution,
+};
@@ -0,0 +1,174 @@
+/**
+ * Highlight Palettes
+ * Alternative colors for sentiment and emotion highlighting: colorblind-safe,
+ * high-contrast and monochrome (patterns and underline styles instead of hue)
+ */
+
+// Diagonal hatching for monochrome levels that must not rely on color
+const HATCH_LIGHT = 'repeating-linear-gradient(45deg, rgba(0, 0, 0, 0.14) 0 2px, transparent 2px 7px)';
+const HATCH_DENSE = 'repeating-linear-gradient(45deg, rgba(0, 0, 0, 0.22) 0 2px, transparent 2px 4px)';
+const HATCH_CROSS = 'repeating-linear-gradient(45deg, rgba(0, 0, 0, 0.16) 0 2px, transparent 2px 6px), '
+  + 'repeating-linear-gradient(-45deg, rgba(0, 0, 0, 0.16) 0 2px, transparent 2px 6px)';
+const DOTS = 'radial-gradient(rgba(0, 0, 0, 0.25) 1px, transparent 1.5px)';
+
+const HIGHLIGHT_PALETTES = {
+  default: {
+    labels: { de: 'Standard', en: 'Default' },
+    sentiment: null, // SentimentScale.levels
+    emotions: null, // EmotionTaxonomy colors
+  },
+
+  // Blue/orange scale and Okabe-Ito colors, distinguishable with red-green color blindness
+  colorblind: {
+    labels: { de: 'Farbenblind-freundlich', en: 'Colorblind safe' },
+    sentiment: {
+      'very-negative': { background: '#f6c89f', border: '#d55e00' },
+      negative: { background: '#fde3c8', border: '#e69f00' },
+      neutral: { background: '#ececec', border: '#999999' },
+      positive: { background: '#d4eaf7', border: '#56b4e9' },
+      'very-positive': { background: '#b3d4ec', border: '#0072b2' },
+    },
+    emotions: [
+      { background: '#fde3c8', border: '#e69f00' },
+      { background: '#d4eaf7', border: '#56b4e9' },
+      { background: '#c8eadf', border: '#009e73' },
+      { background: '#fbf6c5', border: '#c9b800' },
+      { background: '#b3d4ec', border: '#0072b2' },
+      { background: '#f6c89f', border: '#d55e00' },
+      { background: '#f0d5e4', border: '#cc79a7' },
+      { background: '#e0e0e0', border: '#555555' },
+    ],
+  },
+
+  'high-contrast': {
+    labels: { de: 'Hoher Kontrast', en: 'High contrast' },
+    borderWidth: 3,
+    sentiment: {
+      'very-negative': { background: '#ffc266', border: '#662900' },
+      negative: { background: '#ffe0b3', border: '#b34700' },
+      neutral: { background: '#ffffff', border: '#000000' },
+      positive: { background: '#cce0ff', border: '#003d99' },
+      'very-positive': { background: '#99c2ff', border: '#001f4d' },
+    },
+    emotions: [
+      { background: '#ffe0b3', border: '#b34700' },
+      { background: '#cce0ff', border: '#003d99' },
+      { background: '#ccf2e0', border: '#005c33' },
+      { background: '#fff3a3', border: '#665c00' },
+      { background: '#f2ccff', border: '#5c007a' },
+      { background: '#ffcccc', border: '#8b0000' },
+      { background: '#e0e0e0', border: '#000000' },
+    ],
+  },
+
+  // No hue at all: levels differ by fill pattern and underline style
+  monochrome: {
+    labels: { de: 'Monochrom mit Mustern', en: 'Monochrome with patterns' },
+    sentiment: {
+      'very-negative': { background: '#f2f2f2', border: '#000000', borderStyle: 'double', borderWidth: 4, pattern: HATCH_CROSS },
+      negative: { background: '#f7f7f7', border: '#000000', borderStyle: 'dashed', pattern: HATCH_LIGHT },
+      neutral: { background: '#ffffff', border: '#888888', borderStyle: 'dotted' },
+      positive: { background: '#e6e6e6', border: '#333333', borderStyle: 'solid' },
+      'very-positive': { background: '#cccccc', border: '#000000', borderStyle: 'solid', borderWidth: 4 },
+    },
+    emotions: [
+      { background: '#e6e6e6', border: '#000000', borderStyle: 'solid' },
+      { background: '#f7f7f7', border: '#000000', borderStyle: 'dashed', pattern: HATCH_LIGHT },
+      { background: '#ffffff', border: '#000000', borderStyle: 'dotted', pattern: DOTS },
+      { background: '#f2f2f2', border: '#000000', borderStyle: 'double', borderWidth: 4, pattern: HATCH_CROSS },
+      { background: '#cccccc', border: '#333333', borderStyle: 'solid', borderWidth: 4 },
+      { background: '#f7f7f7', border: '#555555', borderStyle: 'dashed', pattern: HATCH_DENSE },
+      { background: '#ffffff', border: '#555555', borderStyle: 'double', borderWidth: 4 },
+    ],
+  },
+};
+
+const DEFAULT_HIGHLIGHT_PALETTE = 'default';
+
+/**
+ * Get a palette by name
+ * @param {string} name - Palette name; unknown names fall back to the default palette
+ * @returns {Object} { name, labels, sentiment, emotions, borderWidth }
+ */
+function getHighlightPalette(name) {
+  const key = HIGHLIGHT_PALETTES[name] ? name : DEFAULT_HIGHLIGHT_PALETTE;
+  return { name: key, ...HIGHLIGHT_PALETTES[key] };
+}
+
+/**
+ * List available palettes
+ * @param {string} language - Label language ('de' | 'en')
+ * @returns {Array} [{ name, label }]
+ */
+function listHighlightPalettes(language = 'de') {
+  return Object.entries(HIGHLIGHT_PALETTES).map(([name, palette]) => ({
+    name,
+    label: palette.labels[language] || palette.labels.en || name,
+  }));
+}
+
+/**
+ * Get sentiment levels with the palette's colors (same shape as SentimentScale.levels)
+ * @param {Object} palette - Palette from getHighlightPalette
+ * @returns {Object} Levels keyed by level name
+ */
+function getPaletteSentimentLevels(palette) {
+  const levels = {};
+  Object.entries(SentimentScale.levels).forEach(([key, level]) => {
+    levels[key] = { ...level, borderWidth: palette.borderWidth, ...palette.sentiment?.[key] };
+  });
+  return levels;
+}
+
+/**
+ * Get the highlight style of an emotion
+ * @param {Object} palette - Palette from getHighlightPalette
+ * @param {string} emotion - Emotion key
+ * @param {Array} taxonomyEmotions - Emotions of the active taxonomy (palette styles are assigned in this order)
+ * @returns {Object} { background, border, borderStyle, borderWidth, pattern }
+ */
+function getPaletteEmotionStyle(palette, emotion, taxonomyEmotions = []) {
+  if (!palette.emotions) {
+    return { borderWidth: palette.borderWidth, ...EmotionTaxonomy.getColor(emotion) };
+  }
+
+  // Neutral always gets the palette's neutral sentiment style
+  if (emotion === 'neutral' && palette.sentiment) {
+    return { borderWidth: palette.borderWidth, ...palette.sentiment.neutral };
+  }
+
+  let index = taxonomyEmotions.filter(key => key !== 'neutral').indexOf(emotion);
+  if (index === -1) {
+    index = 0;
+    for (let i = 0; i < emotion.length; i++) {
+      index = (index * 31 + emotion.charCodeAt(i)) >>> 0;
+    }
+  }
+
+  // Larger taxonomies reuse styles; the combination with patterns keeps neighbours apart
+  const styles = palette.emotions;
+  return { borderWidth: palette.borderWidth, ...styles[index % styles.length] };
+}
+
+/**
+ * Convert a highlight style to CSS declarations
+ * @param {Object} style - { background, border, borderStyle, borderWidth, pattern }
+ * @returns {string} CSS declarations
+ */
+function highlightStyleToCss(style) {
+  return [
+    `background-color: ${style.background};`,
+    `background-image: ${style.pattern || 'none'};`,
+    `border-bottom: ${style.borderWidth || 2}px ${style.borderStyle || 'solid'} ${style.border};`,
+  ].join(' ');
+}
+
+// Export for global use
+window.HighlightPalettes = {
+  defaultPalette: DEFAULT_HIGHLIGHT_PALETTE,
+  get: getHighlightPalette,
+  list: listHighlightPalettes,
+  getSentimentLevels: getPaletteSentimentLevels,
+  getEmotionStyle: getPaletteEmotionStyle,
+  toCss: highlightStyleToCss,
+};
@@ -0,0 +1,50 @@
+/**
+ * HTML Utilities
+ * Shared escaping for everything rendered via innerHTML
+ */
+
+const HTML_ESCAPE_MAP = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+};
+
+/**
+ * Escape text for use in HTML content and quoted attributes
+ * @param {*} value - Value to escape (null and undefined become '')
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPE_MAP[char]);
+}
+
+/**
+ * Reduce a value to a safe CSS class token
+ * @param {*} value - Value (e.g. emotion from the backend)
+ * @returns {string} Lowercase token with only a-z, 0-9, '-' and '_'
+ */
+function toClassToken(value) {
+  return String(value ?? '').toLowerCase().replace(/[^a-z0-9_-]/g, '');
+}
+
+/**
+ * Check that a URL uses a safe protocol
+ * @param {string} url - URL from untrusted content
+ * @returns {boolean} True for http(s), mailto and relative URLs
+ */
+function isSafeUrl(url) {
+  const normalized = String(url).replace(/[\u0000- ]/g, '').toLowerCase();
+  const protocol = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  return !protocol || ['http', 'https', 'mailto'].includes(protocol[1]);
+}
+
+// Export for global use
+window.HtmlUtils = {
+  escapeHtml,
+  toClassToken,
+  isSafeUrl,
+};
@@ -0,0 +1,601 @@
+/**
+ * Markdown Utilities
+ * Minimal markdown parser for Marker output (headings, lists, tables, code blocks, quotes)
+ * Produces a node tree whose text nodes know their offset in the rendered plain text,
+ * so annotation ranges can be overlaid on the structured document.
+ */
+
+const MARKDOWN_BLOCK_TAGS = new Set([
+  'blockquote', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ol', 'p', 'pre',
+  'table', 'td', 'th', 'tr', 'ul',
+]);
+
+const MARKDOWN_VOID_TAGS = new Set(['br', 'hr']);
+
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MARKDOWN_FENCE = /^\s{0,3}(`{3,}|~{3,})/;
+const MARKDOWN_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const MARKDOWN_RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MARKDOWN_QUOTE = /^\s{0,3}>/;
+
+/**
+ * Create an element node
+ * @private
+ */
+function markdownElement(tag, attrs = {}, children = []) {
+  return { tag, attrs, children };
+}
+
+/**
+ * Create a text node
+ * @private
+ */
+function markdownText(text) {
+  return { text, offset: 0 };
+}
+
+/**
+ * Parse markdown into a node tree
+ * @param {string} markdown - Markdown source
+ * @returns {Object} { nodes, text } - Node tree and its rendered plain text
+ */
+function parseMarkdown(markdown) {
+  const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+  const nodes = parseMarkdownBlocks(lines);
+
+  // Assign plain text offsets; blocks end with a line break
+  let text = '';
+  const visit = (node) => {
+    if (node.text !== undefined) {
+      node.offset = text.length;
+      text += node.text;
+      return;
+    }
+
+    node.children.forEach(visit);
+
+    if (MARKDOWN_BLOCK_TAGS.has(node.tag) && text.length > 0 && !text.endsWith('\n')) {
+      text += '\n';
+    }
+  };
+  nodes.forEach(visit);
+
+  return { nodes, text };
+}
+
+/**
+ * Parse block-level markdown
+ * @private
+ */
+function parseMarkdownBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(MARKDOWN_FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++; // Closing fence
+
+      blocks.push(markdownElement('pre', {}, [markdownElement('code', {}, [markdownText(code.join('\n'))])]));
+      continue;
+    }
+
+    const heading = line.match(MARKDOWN_HEADING);
+    if (heading) {
+      blocks.push(markdownElement(`h${heading[1].length}`, {}, parseMarkdownInline(heading[2])));
+      i++;
+      continue;
+    }
+
+    if (MARKDOWN_RULE.test(line)) {
+      blocks.push(markdownElement('hr'));
+      i++;
+      continue;
+    }
+
+    if (isMarkdownTableStart(lines, i)) {
+      i = parseMarkdownTable(lines, i, blocks);
+      continue;
+    }
+
+    if (MARKDOWN_QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && MARKDOWN_QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+
+      blocks.push(markdownElement('blockquote', {}, parseMarkdownBlocks(quoted)));
+      continue;
+    }
+
+    if (MARKDOWN_LIST_ITEM.test(line)) {
+      i = parseMarkdownList(lines, i, blocks);
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or the start of another block
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !startsMarkdownBlock(lines, i)) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+
+    blocks.push(markdownElement('p', {}, parseMarkdownInline(paragraph.join('\n'))));
+  }
+
+  return blocks;
+}
+
+/**
+ * Check if a line starts a non-paragraph block
+ * @private
+ */
+function startsMarkdownBlock(lines, i) {
+  const line = lines[i];
+
+  return MARKDOWN_FENCE.test(line)
+    || MARKDOWN_HEADING.test(line)
+    || MARKDOWN_RULE.test(line)
+    || MARKDOWN_QUOTE.test(line)
+    || MARKDOWN_LIST_ITEM.test(line)
+    || isMarkdownTableStart(lines, i);
+}
+
+/**
+ * Parse a (possibly nested) list starting at line i
+ * @private
+ * @returns {number} Index of the first line after the list
+ */
+function parseMarkdownList(lines, i, blocks) {
+  const first = lines[i].match(MARKDOWN_LIST_ITEM);
+  const indent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let current = null;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    const match = line.match(MARKDOWN_LIST_ITEM);
+    const leading = line.match(/^\s*/)[0].length;
+
+    if (match && match[1].length === indent && /\d/.test(match[2]) === ordered) {
+      current = { lines: [match[3]], contentIndent: line.length - match[3].length };
+      items.push(current);
+      i++;
+      continue;
+    }
+
+    if (!line.trim()) {
+      // A blank line only continues the list if indented content or another item follows
+      let next = i + 1;
+      while (next < lines.length && !lines[next].trim()) next++;
+
+      const nextMatch = next < lines.length ? lines[next].match(MARKDOWN_LIST_ITEM) : null;
+      const nextLeading = next < lines.length ? lines[next].match(/^\s*/)[0].length : 0;
+      const continues = next < lines.length
+        && (nextLeading > indent || (nextMatch && nextMatch[1].length === indent && /\d/.test(nextMatch[2]) === ordered));
+
+      if (!continues) break;
+
+      current.lines.push('');
+      i++;
+      continue;
+    }
+
+    if (leading > indent) {
+      current.lines.push(line.slice(Math.min(leading, current.contentIndent)));
+      i++;
+      continue;
+    }
+
+    // Lazy continuation of the item's paragraph
+    if (!match && !startsMarkdownBlock(lines, i)) {
+      current.lines.push(line.trim());
+      i++;
+      continue;
+    }
+
+    break;
+  }
+
+  const attrs = {};
+  const start = parseInt(first[2], 10);
+  if (ordered && start !== 1) attrs.start = String(start);
+
+  blocks.push(markdownElement(
+    ordered ? 'ol' : 'ul',
+    attrs,
+    items.map(item => markdownElement('li', {}, parseMarkdownBlocks(item.lines)))
+  ));
+
+  return i;
+}
+
+/**
+ * Check if line i is a table header followed by a delimiter row
+ * @private
+ */
+function isMarkdownTableStart(lines, i) {
+  if (i + 1 >= lines.length || !lines[i].includes('|') || !lines[i + 1].includes('-')) {
+    return false;
+  }
+
+  const delimiter = splitMarkdownRow(lines[i + 1]);
+  return delimiter.length > 0 && delimiter.every(cell => /^:?-+:?$/.test(cell));
+}
+
+/**
+ * Split a table row into trimmed cells
+ * @private
+ */
+function splitMarkdownRow(line) {
+  return line.trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Parse a table starting at line i
+ * @private
+ * @returns {number} Index of the first line after the table
+ */
+function parseMarkdownTable(lines, i, blocks) {
+  const header = splitMarkdownRow(lines[i]);
+  const aligns = splitMarkdownRow(lines[i + 1]).map(cell => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const renderRow = (cells, tag) => markdownElement('tr', {}, header.map((_, index) => {
+    const attrs = aligns[index] ? { align: aligns[index] } : {};
+    return markdownElement(tag, attrs, parseMarkdownInline(cells[index] || ''));
+  }));
+
+  const rows = [];
+  i += 2;
+  while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+    rows.push(renderRow(splitMarkdownRow(lines[i]), 'td'));
+    i++;
+  }
+
+  blocks.push(markdownElement('table', {}, [
+    markdownElement('thead', {}, [renderRow(header, 'th')]),
+    markdownElement('tbody', {}, rows),
+  ]));
+
+  return i;
+}
+
+/**
+ * Parse inline markdown (code, emphasis, strikethrough, links, images)
+ * @private
+ */
+function parseMarkdownInline(source) {
+  const nodes = [];
+  let buffer = '';
+  let i = 0;
+
+  const flush = () => {
+    if (buffer) nodes.push(markdownText(buffer));
+    buffer = '';
+  };
+
+  const findClosing = (delimiter, from) => {
+    const end = source.indexOf(delimiter, from);
+    return end > from ? end : -1;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+
+    if (char === '\\' && /[!-/:-@[-`{-~]/.test(source[i + 1] || '')) {
+      buffer += source[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (char === '`') {
+      const fence = rest.match(/^`+/)[0];
+      const end = findClosing(fence, i + fence.length);
+      if (end !== -1) {
+        flush();
+        nodes.push(markdownElement('code', {}, [markdownText(source.slice(i + fence.length, end).trim())]));
+        i = end + fence.length;
+        continue;
+      }
+    }
+
+    // Images are shown by their alt text only
+    const image = rest.match(/^!\[([^\]]*)\]\(([^)\s]*)(?:\s+"[^"]*")?\)/);
+    if (image) {
+      buffer += image[1];
+      i += image[0].length;
+      continue;
+    }
+
+    const link = rest.match(/^\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/);
+    if (link) {
+      flush();
+      const attrs = HtmlUtils.isSafeUrl(link[2]) ? { href: link[2], target: '_blank', rel: 'noopener noreferrer' } : {};
+      nodes.push(markdownElement(attrs.href ? 'a' : 'span', attrs, parseMarkdownInline(link[1])));
+      i += link[0].length;
+      continue;
+    }
+
+    const pair = ['**', '__', '~~'].find(delimiter => rest.startsWith(delimiter));
+    if (pair) {
+      const end = findClosing(pair, i + 2);
+      if (end !== -1) {
+        flush();
+        nodes.push(markdownElement(pair === '~~' ? 'del' : 'strong', {}, parseMarkdownInline(source.slice(i + 2, end))));
+        i = end + 2;
+        continue;
+      }
+    }
+
+    // Single '_' inside words (snake_case) is not emphasis
+    if ((char === '*' || (char === '_' && !/\w/.test(source[i - 1] || ''))) && source[i + 1] !== char) {
+      const end = findClosing(char, i + 1);
+      if (end !== -1 && !/\s/.test(source[i + 1])) {
+        flush();
+        nodes.push(markdownElement('em', {}, parseMarkdownInline(source.slice(i + 1, end))));
+        i = end + 1;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Render a node tree to HTML
+ * @param {Array} nodes - Nodes from parseMarkdown
+ * @param {Function} renderText - Returns HTML for (text, offset) of a text node
+ * @returns {string} HTML
+ */
+function renderMarkdownNodes(nodes, renderText = text => HtmlUtils.escapeHtml(text)) {
+  return nodes.map(node => {
+    if (node.text !== undefined) {
+      return renderText(node.text, node.offset);
+    }
+
+    const attrs = Object.entries(node.attrs)
+      .map(([name, value]) => ` ${name}="${HtmlUtils.escapeHtml(value)}"`)
+      .join('');
+
+    if (MARKDOWN_VOID_TAGS.has(node.tag)) {
+      return `<${node.tag}${attrs}>`;
+    }
+
+    return `<${node.tag}${attrs}>${renderMarkdownNodes(node.children, renderText)}</${node.tag}>`;
+  }).join('');
+}
+
+/**
+ * Render a parsed document with annotation ranges overlaid
+ * Ranges that cross text nodes (e.g. list items or table cells) are split into fragments.
+ * @param {Object} parsed - Result of parseMarkdown
+ * @param {Array} ranges - Ranges in plain text coordinates of parsed.text
+ * @param {Function} renderOpenTag - Returns the opening tag for a range
+ * @returns {string} HTML
+ */
+function renderMarkdownWithRanges(parsed, ranges, renderOpenTag) {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  let next = 0;
+  let active = [];
+
+  return renderMarkdownNodes(parsed.nodes, (text, offset) => {
+    const end = offset + text.length;
+
+    while (next < sorted.length && sorted[next].start < end) {
+      active.push(sorted[next++]);
+    }
+    active = active.filter(range => range.end > offset);
+
+    const local = active.map(range => ({
+      ...range,
+      start: Math.max(range.start, offset) - offset,
+      end: Math.min(range.end, end) - offset,
+    }));
+
+    return AnnotationRanges.render(text, local, renderOpenTag, HtmlUtils.escapeHtml);
+  });
+}
+
+/**
+ * Group top-level nodes into blocks of roughly blockSize characters
+ * Blocks are contiguous in plain text coordinates, so every offset belongs to exactly one block.
+ * @param {Object} parsed - Result of parseMarkdown
+ * @param {number} blockSize - Preferred number of characters per block
+ * @returns {Array} [{ start, end, nodes }]
+ */
+function splitMarkdownBlocks(parsed, blockSize) {
+  const blocks = [];
+  let current = null;
+
+  parsed.nodes.forEach(node => {
+    const range = getMarkdownTextRange(node);
+
+    if (!current || (range && current.end - current.start >= blockSize)) {
+      const start = range ? range.start : (current ? current.end : 0);
+      current = { start, end: start, nodes: [] };
+      blocks.push(current);
+    }
+
+    current.nodes.push(node);
+    if (range) current.end = range.end;
+  });
+
+  blocks.forEach((block, index) => {
+    block.end = index + 1 < blocks.length ? blocks[index + 1].start : parsed.text.length;
+  });
+
+  return blocks;
+}
+
+/**
+ * Get the top-level headings of a parsed document
+ * @param {Object} parsed - Result of parseMarkdown
+ * @returns {Array} [{ level, title, start, end }] in plain text coordinates of parsed.text
+ */
+function getMarkdownHeadings(parsed) {
+  const headings = [];
+
+  parsed.nodes.forEach(node => {
+    const match = /^h([1-6])$/.exec(node.tag || '');
+    const range = match ? getMarkdownTextRange(node) : null;
+    if (!range) return;
+
+    headings.push({
+      level: Number(match[1]),
+      title: parsed.text.slice(range.start, range.end).trim(),
+      start: range.start,
+      end: range.end,
+    });
+  });
+
+  return headings;
+}
+
+/**
+ * Get the plain text range covered by a node
+ * @private
+ */
+function getMarkdownTextRange(node) {
+  if (node.text !== undefined) {
+    return { start: node.offset, end: node.offset + node.text.length };
+  }
+
+  return node.children.reduce((range, child) => {
+    const childRange = getMarkdownTextRange(child);
+    if (!childRange) return range;
+    if (!range) return childRange;
+    return { start: range.start, end: childRange.end };
+  }, null);
+}
+
+/**
+ * Map ranges from one text to another that differs only in whitespace and markup
+ * @param {string} sourceText - Text the ranges refer to (e.g. extracted_text)
+ * @param {Array} ranges - Ranges { annotation, start, end } in sourceText
+ * @param {string} targetText - Text to map into (e.g. rendered markdown text)
+ * @returns {Object} { ranges, unplaced }
+ */
+function mapMarkdownRanges(sourceText, ranges, targetText) {
+  const mapper = createMarkdownRangeMapper(sourceText, targetText);
+  const mapped = [];
+  const unplaced = [];
+
+  [...ranges].sort((a, b) => a.start - b.start).forEach(range => {
+    const result = mapper.map(range);
+    if (result) {
+      mapped.push(result);
+    } else {
+      unplaced.push(range.annotation);
+    }
+  });
+
+  return { ranges: mapped, unplaced };
+}
+
+/**
+ * Create a reusable range mapper between two texts
+ * When both texts have the same non-whitespace characters the mapping is exact,
+ * otherwise each range is searched by its content, preferring matches after the
+ * previously mapped range.
+ * @param {string} sourceText - Text the ranges refer to
+ * @param {string} targetText - Text to map into
+ * @returns {Object} { map(range) } - Returns the mapped range or null
+ */
+function createMarkdownRangeMapper(sourceText, targetText) {
+  const source = compactMarkdownText(sourceText);
+  const target = compactMarkdownText(targetText);
+  const exact = source.compact === target.compact;
+  let searchFrom = 0;
+
+  const map = (range) => {
+    const from = source.prefix[range.start];
+    const length = source.prefix[range.end] - from;
+
+    if (length <= 0) return null;
+
+    let index = from;
+    if (!exact) {
+      const needle = source.compact.slice(from, from + length);
+      index = target.compact.indexOf(needle, searchFrom);
+      if (index === -1) {
+        index = target.compact.indexOf(needle);
+      }
+      if (index === -1) return null;
+      searchFrom = index;
+    }
+
+    return {
+      ...range,
+      start: target.positions[index],
+      end: target.positions[index + length - 1] + 1,
+    };
+  };
+
+  return { map };
+}
+
+/**
+ * Strip whitespace and remember where each remaining character came from
+ * @param {string} text - Text
+ * @returns {Object} { compact, positions, prefix } - positions[i] is the offset of the i-th
+ *   non-whitespace character, prefix[offset] the number of non-whitespace characters before offset
+ */
+function compactMarkdownText(text) {
+  const prefix = new Int32Array(text.length + 1);
+  const positions = [];
+  const chars = [];
+
+  for (let i = 0; i < text.length; i++) {
+    prefix[i] = positions.length;
+    if (!/\s/.test(text[i])) {
+      positions.push(i);
+      chars.push(text[i]);
+    }
+  }
+  prefix[text.length] = positions.length;
+
+  return { compact: chars.join(''), positions, prefix };
+}
+
+// Export for global use
+window.MarkdownUtils = {
+  parse: parseMarkdown,
+  render: renderMarkdownNodes,
+  renderWithRanges: renderMarkdownWithRanges,
+  splitBlocks: splitMarkdownBlocks,
+  getHeadings: getMarkdownHeadings,
+  mapRanges: mapMarkdownRanges,
+  createRangeMapper: createMarkdownRangeMapper,
+  compactText: compactMarkdownText,
+};
@@ -0,0 +1,194 @@
+/**
+ * Sentiment Scale Utilities
+ * Maps sentiment scores (-1 … 1) to highlight levels and colors
+ */
+
+const DEFAULT_SENTIMENT_SCALE = {
+  mode: 'three', // 'three' | 'five' | 'gradient'
+  negativeThreshold: -0.3, // Scores between the two thresholds are neutral
+  positiveThreshold: 0.3,
+  strongThreshold: 0.7, // Scores beyond ±strongThreshold are very positive/negative (five levels)
+};
+
+// Ordered from negative to positive
+const SENTIMENT_LEVELS = {
+  'very-negative': { label: 'Sehr negativ', background: '#feb2b2', border: '#c53030' },
+  negative: { label: 'Negativ', background: '#fed7d7', border: '#f56565' },
+  neutral: { label: 'Neutral', background: '#e2e8f0', border: '#a0aec0' },
+  positive: { label: 'Positiv', background: '#c6f6d5', border: '#48bb78' },
+  'very-positive': { label: 'Sehr positiv', background: '#9ae6b4', border: '#2f855a' },
+};
+
+/**
+ * Complete a partial scale configuration and repair inconsistent thresholds
+ * @param {Object|null} config - { mode, negativeThreshold, positiveThreshold, strongThreshold, neutralBand }
+ *   neutralBand is a shorthand for symmetric thresholds (neutralBand: 0.2 → -0.2 … 0.2); null means defaults
+ * @returns {Object} Scale configuration
+ */
+function normalizeSentimentScale(config) {
+  config = config || {};
+  const scale = { ...DEFAULT_SENTIMENT_SCALE, ...config };
+
+  if (config.neutralBand !== undefined && config.neutralBand !== null) {
+    const band = Math.abs(Number(config.neutralBand)) || 0;
+    scale.negativeThreshold = -band;
+    scale.positiveThreshold = band;
+  }
+  delete scale.neutralBand;
+
+  if (!['three', 'five', 'gradient'].includes(scale.mode)) {
+    scale.mode = DEFAULT_SENTIMENT_SCALE.mode;
+  }
+
+  let negative = clampScore(scale.negativeThreshold, DEFAULT_SENTIMENT_SCALE.negativeThreshold);
+  let positive = clampScore(scale.positiveThreshold, DEFAULT_SENTIMENT_SCALE.positiveThreshold);
+  if (negative > positive) [negative, positive] = [positive, negative];
+
+  scale.negativeThreshold = negative;
+  scale.positiveThreshold = positive;
+
+  // "Very" levels must lie outside the neutral band
+  scale.strongThreshold = Math.max(
+    Math.abs(clampScore(scale.strongThreshold, DEFAULT_SENTIMENT_SCALE.strongThreshold)),
+    positive,
+    -negative
+  );
+
+  return scale;
+}
+
+/**
+ * Clamp a threshold to the score range
+ * @private
+ */
+function clampScore(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(Math.max(number, -1), 1) : fallback;
+}
+
+/**
+ * Get the level of a score
+ * @param {number} score - Sentiment score
+ * @param {Object} scale - Normalized scale configuration
+ * @returns {string} Level key ('very-negative' … 'very-positive'); gradient mode uses the three-level buckets
+ */
+function getSentimentLevel(score, scale) {
+  const value = Number(score) || 0;
+
+  if (scale.mode === 'five') {
+    if (value > scale.strongThreshold) return 'very-positive';
+    if (value < -scale.strongThreshold) return 'very-negative';
+  }
+
+  if (value > scale.positiveThreshold) return 'positive';
+  if (value < scale.negativeThreshold) return 'negative';
+  return 'neutral';
+}
+
+/**
+ * Get the levels of a scale with labels and score ranges, from positive to negative (legend order)
+ * @param {Object} scale - Normalized scale configuration
+ * @param {Object} levels - Level colors (defaults to SENTIMENT_LEVELS, see HighlightPalettes)
+ * @returns {Array} [{ key, label, background, border, range }]
+ */
+function getSentimentLevels(scale, levels = SENTIMENT_LEVELS) {
+  const format = value => value.toFixed(2);
+  const { negativeThreshold: negative, positiveThreshold: positive, strongThreshold: strong } = scale;
+
+  const ranges = scale.mode === 'five'
+    ? {
+      'very-positive': `> ${format(strong)}`,
+      positive: `${format(positive)} – ${format(strong)}`,
+      neutral: `${format(negative)} – ${format(positive)}`,
+      negative: `${format(-strong)} – ${format(negative)}`,
+      'very-negative': `< ${format(-strong)}`,
+    }
+    : {
+      positive: `> ${format(positive)}`,
+      neutral: `${format(negative)} – ${format(positive)}`,
+      negative: `< ${format(negative)}`,
+    };
+
+  return Object.keys(ranges).map(key => ({ key, ...levels[key], range: ranges[key] }));
+}
+
+/**
+ * Get highlight colors for a score
+ * Gradient mode interpolates continuously between very negative, neutral and very positive;
+ * the neutral band itself keeps the neutral color.
+ * @param {number} score - Sentiment score
+ * @param {Object} scale - Normalized scale configuration
+ * @param {Object} levels - Level colors (defaults to SENTIMENT_LEVELS, see HighlightPalettes)
+ * @returns {Object} { background, border }
+ */
+function getSentimentColor(score, scale, levels = SENTIMENT_LEVELS) {
+  if (scale.mode !== 'gradient') {
+    const level = levels[getSentimentLevel(score, scale)];
+    return { background: level.background, border: level.border };
+  }
+
+  const value = Math.min(Math.max(Number(score) || 0, -1), 1);
+  const neutral = levels.neutral;
+
+  if (value > scale.positiveThreshold) {
+    const t = (value - scale.positiveThreshold) / (1 - scale.positiveThreshold || 1);
+    return mixLevelColors(neutral, levels['very-positive'], t);
+  }
+
+  if (value < scale.negativeThreshold) {
+    const t = (scale.negativeThreshold - value) / (1 + scale.negativeThreshold || 1);
+    return mixLevelColors(neutral, levels['very-negative'], t);
+  }
+
+  return { background: neutral.background, border: neutral.border };
+}
+
+/**
+ * Get a CSS linear-gradient showing the colors of the whole score range (-1 left, 1 right)
+ * @param {Object} scale - Normalized scale configuration
+ * @param {string} property - 'background' or 'border'
+ * @param {Object} levels - Level colors (defaults to SENTIMENT_LEVELS)
+ * @returns {string} CSS gradient
+ */
+function getSentimentGradient(scale, property = 'background', levels = SENTIMENT_LEVELS) {
+  const gradientScale = { ...scale, mode: 'gradient' };
+  const stop = value => `${getSentimentColor(value, gradientScale, levels)[property]} ${(((value + 1) / 2) * 100).toFixed(1)}%`;
+
+  return `linear-gradient(to right, ${[-1, scale.negativeThreshold, scale.positiveThreshold, 1].map(stop).join(', ')})`;
+}
+
+/**
+ * Interpolate background and border of two levels
+ * @private
+ */
+function mixLevelColors(from, to, t) {
+  return {
+    background: mixHexColors(from.background, to.background, t),
+    border: mixHexColors(from.border, to.border, t),
+  };
+}
+
+/**
+ * Interpolate two #rrggbb colors
+ * @private
+ */
+function mixHexColors(from, to, t) {
+  const amount = Math.min(Math.max(t, 0), 1);
+  const channels = [1, 3, 5].map(i => {
+    const a = parseInt(from.slice(i, i + 2), 16);
+    const b = parseInt(to.slice(i, i + 2), 16);
+    return Math.round(a + (b - a) * amount).toString(16).padStart(2, '0');
+  });
+  return `#${channels.join('')}`;
+}
+
+// Export for global use
+window.SentimentScale = {
+  defaults: DEFAULT_SENTIMENT_SCALE,
+  levels: SENTIMENT_LEVELS,
+  normalize: normalizeSentimentScale,
+  getLevel: getSentimentLevel,
+  getLevels: getSentimentLevels,
+  getColor: getSentimentColor,
+  getGradient: getSentimentGradient,
+};
@@ -0,0 +1,122 @@
+/**
+ * URL State Utilities
+ * Maps the open job and the annotations viewer state to query parameters (?job=…&annotation=…)
+ * so a reload or a shared link restores the same view
+ */
+
+// Viewer filter keys → query parameter and parser; parsers return null for values the viewer does not offer
+const URL_STATE_FILTERS = {
+  query: { param: 'q', parse: value => value },
+  sentimentMin: { param: 'smin', parse: parseUrlStateNumber },
+  sentimentMax: { param: 'smax', parse: parseUrlStateNumber },
+  emotion: { param: 'emotion', parse: parseUrlStateEmotion },
+  minConfidence: { param: 'conf', parse: parseUrlStateNumber },
+  origin: { param: 'origin', parse: value => URL_STATE_ORIGINS.includes(value) ? value : null },
+};
+
+const URL_STATE_ORIGINS = ['all', 'human', 'machine'];
+const URL_STATE_HIGHLIGHT_MODES = ['sentiment', 'emotion', 'none'];
+const URL_STATE_SORT_ORDERS = ['position', 'score', 'magnitude'];
+
+/**
+ * Parse a numeric filter parameter
+ * @private
+ */
+function parseUrlStateNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse the emotion filter parameter; only emotions of the active taxonomy are accepted
+ * @private
+ */
+function parseUrlStateEmotion(value, { emotionTaxonomy } = {}) {
+  const emotion = EmotionTaxonomy.normalize(value);
+  return EmotionTaxonomy.get(emotionTaxonomy).emotions.includes(emotion) ? emotion : null;
+}
+
+/**
+ * Read the view state from a URL
+ * Unknown modes, sort orders and filter values are left out, so the viewer keeps its defaults for them.
+ * @param {string} url - Defaults to the current location
+ * @param {Object} options - { emotionTaxonomy } the emotion filter is checked against (default taxonomy if omitted)
+ * @returns {Object} { jobId, annotationId, highlightMode, sortBy, filters }; missing values are null
+ */
+function readUrlState(url = window.location.href, options = {}) {
+  const params = new URL(url, window.location.href).searchParams;
+  const filters = {};
+
+  Object.entries(URL_STATE_FILTERS).forEach(([key, { param, parse }]) => {
+    if (!params.get(param)) return;
+
+    const value = parse(params.get(param), options);
+    if (value !== null) filters[key] = value;
+  });
+
+  const highlightMode = params.get('mode');
+  const sortBy = params.get('sort');
+
+  return {
+    jobId: params.get('job') || null,
+    annotationId: params.get('annotation') || null,
+    highlightMode: URL_STATE_HIGHLIGHT_MODES.includes(highlightMode) ? highlightMode : null,
+    sortBy: URL_STATE_SORT_ORDERS.includes(sortBy) ? sortBy : null,
+    filters,
+  };
+}
+
+/**
+ * Build a URL for a view state; other query parameters and the hash are kept
+ * @param {Object} state - { jobId, annotationId, highlightMode, sortBy, filters }; empty values are left out
+ * @param {string} url - Base URL, defaults to the current location
+ * @returns {string} Absolute URL
+ */
+function buildUrlState(state = {}, url = window.location.href) {
+  const target = new URL(url, window.location.href);
+  const params = target.searchParams;
+  const set = (param, value) => {
+    if (value === null || value === undefined || value === '') {
+      params.delete(param);
+    } else {
+      params.set(param, String(value));
+    }
+  };
+
+  set('job', state.jobId);
+  set('annotation', state.jobId ? state.annotationId : null);
+  set('mode', state.jobId ? state.highlightMode : null);
+  set('sort', state.jobId ? state.sortBy : null);
+
+  Object.entries(URL_STATE_FILTERS).forEach(([key, { param }]) => {
+    set(param, state.jobId ? state.filters?.[key] : null);
+  });
+
+  return target.toString();
+}
+
+/**
+ * Write a view state to the browser history
+ * @param {Object} state - See buildUrlState
+ * @param {Object} options - { replace: true } keeps the current history entry
+ * @returns {boolean} False if the URL did not change
+ */
+function writeUrlState(state, { replace = false } = {}) {
+  const url = buildUrlState(state);
+  if (url === window.location.href) return false;
+
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+
+  return true;
+}
+
+// Export for global use
+window.UrlState = {
+  read: readUrlState,
+  build: buildUrlState,
+  write: writeUrlState,
+};
@@ -0,0 +1,265 @@
+/**
+ * Virtual Block List
+ * Renders only the blocks of a long document that are near the viewport.
+ * Blocks outside the viewport are kept as empty placeholders with their last
+ * measured height, so the scrollbar stays stable while the DOM stays small.
+ */
+
+class VirtualBlockList {
+  /**
+   * @param {HTMLElement} host - Element that receives the block elements
+   * @param {Object} options - Options
+   * @param {HTMLElement} options.root - Scroll container (defaults to the viewport)
+   * @param {Function} options.renderBlock - Returns the HTML of block (index)
+   * @param {number} options.estimatedHeight - Placeholder height before a block was measured
+   * @param {number} options.overscan - Pixels above and below the viewport that are rendered too
+   */
+  constructor(host, options = {}) {
+    this.host = host;
+    this.options = {
+      root: options.root || null,
+      renderBlock: options.renderBlock || (() => ''),
+      estimatedHeight: options.estimatedHeight || 300,
+      overscan: options.overscan || 600,
+    };
+
+    this.blocks = []; // { el, rendered, dirty, height }
+    this.visible = new Set();
+    this.frame = null;
+    this.measuredTotal = 0;
+    this.measuredCount = 0;
+
+    // Without IntersectionObserver every block is rendered
+    this.observer = typeof IntersectionObserver === 'function'
+      ? new IntersectionObserver(entries => this.handleIntersect(entries), {
+        root: this.options.root,
+        rootMargin: `${this.options.overscan}px 0px`,
+      })
+      : null;
+  }
+
+  /**
+   * Remove all blocks and create a new set
+   * @param {number} count - Number of blocks
+   */
+  reset(count) {
+    this.blocks.forEach(block => this.observer?.unobserve(block.el));
+    this.blocks = [];
+    this.visible.clear();
+    this.measuredTotal = 0;
+    this.measuredCount = 0;
+    this.host.innerHTML = '';
+    this.setBlockCount(count);
+  }
+
+  /**
+   * Grow or shrink the list, keeping existing blocks
+   * @param {number} count - Number of blocks
+   */
+  setBlockCount(count) {
+    while (this.blocks.length > count) {
+      const block = this.blocks.pop();
+      this.observer?.unobserve(block.el);
+      this.visible.delete(this.blocks.length);
+      block.el.remove();
+    }
+
+    while (this.blocks.length < count) {
+      const el = document.createElement('div');
+      el.className = 'viewer-block';
+      el.dataset.block = String(this.blocks.length);
+      el.style.height = `${this.getEstimatedHeight()}px`;
+
+      this.blocks.push({ el, rendered: false, dirty: true, height: null });
+      this.host.appendChild(el);
+
+      if (this.observer) {
+        this.observer.observe(el);
+      } else {
+        this.visible.add(this.blocks.length - 1);
+      }
+    }
+
+    this.schedule();
+  }
+
+  /**
+   * Get number of blocks
+   * @returns {number} Block count
+   */
+  getBlockCount() {
+    return this.blocks.length;
+  }
+
+  /**
+   * Mark a block for re-rendering; only visible blocks are rendered right away
+   * @param {number} index - Block index
+   */
+  invalidate(index) {
+    const block = this.blocks[index];
+    if (!block) return;
+
+    block.dirty = true;
+    if (this.visible.has(index)) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Mark blocks from index to the end for re-rendering
+   * @param {number} fromIndex - First block index
+   */
+  invalidateFrom(fromIndex) {
+    for (let i = Math.max(fromIndex, 0); i < this.blocks.length; i++) {
+      this.invalidate(i);
+    }
+  }
+
+  /**
+   * Mark all blocks for re-rendering
+   */
+  invalidateAll() {
+    this.invalidateFrom(0);
+  }
+
+  /**
+   * Render a block immediately and return its element (e.g. before scrolling to it)
+   * @param {number} index - Block index
+   * @returns {HTMLElement|null} Block element
+   */
+  renderNow(index) {
+    const block = this.blocks[index];
+    if (!block) return null;
+
+    if (!block.rendered || block.dirty) {
+      this.renderBlock(index);
+    }
+    return block.el;
+  }
+
+  /**
+   * Get element of a block
+   * @param {number} index - Block index
+   * @returns {HTMLElement|null} Block element
+   */
+  getBlockElement(index) {
+    return this.blocks[index]?.el || null;
+  }
+
+  /**
+   * Get rendered block elements
+   * @returns {Array<HTMLElement>} Elements of rendered blocks
+   */
+  getRenderedElements() {
+    return this.blocks.filter(block => block.rendered).map(block => block.el);
+  }
+
+  /**
+   * Stop observing and remove all blocks
+   */
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.observer?.disconnect();
+    this.blocks = [];
+    this.visible.clear();
+    this.host.innerHTML = '';
+  }
+
+  /**
+   * Track which blocks are near the viewport
+   * @private
+   */
+  handleIntersect(entries) {
+    entries.forEach(entry => {
+      const index = Number(entry.target.dataset.block);
+      if (!this.blocks[index] || this.blocks[index].el !== entry.target) return;
+
+      if (entry.isIntersecting) {
+        this.visible.add(index);
+      } else {
+        this.visible.delete(index);
+        this.releaseBlock(index);
+      }
+    });
+
+    this.schedule();
+  }
+
+  /**
+   * Batch rendering into the next animation frame
+   * @private
+   */
+  schedule() {
+    if (this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.flush();
+    });
+  }
+
+  /**
+   * Render visible blocks that are new or dirty
+   * @private
+   */
+  flush() {
+    this.visible.forEach(index => {
+      const block = this.blocks[index];
+      if (block && (!block.rendered || block.dirty)) {
+        this.renderBlock(index);
+      }
+    });
+  }
+
+  /**
+   * Render a single block and measure it
+   * @private
+   */
+  renderBlock(index) {
+    const block = this.blocks[index];
+
+    block.el.innerHTML = this.options.renderBlock(index);
+    block.el.style.height = '';
+    block.rendered = true;
+    block.dirty = false;
+
+    const height = block.el.offsetHeight;
+    if (height > 0) {
+      if (block.height === null) {
+        this.measuredTotal += height;
+        this.measuredCount++;
+      } else {
+        this.measuredTotal += height - block.height;
+      }
+      block.height = height;
+    }
+  }
+
+  /**
+   * Replace an off-screen block with a placeholder of the same height
+   * @private
+   */
+  releaseBlock(index) {
+    const block = this.blocks[index];
+    if (!block || !block.rendered) return;
+
+    const height = block.el.offsetHeight || block.height || this.getEstimatedHeight();
+    block.el.style.height = `${height}px`;
+    block.el.innerHTML = '';
+    block.rendered = false;
+  }
+
+  /**
+   * Average measured block height, used for blocks that were never rendered
+   * @private
+   */
+  getEstimatedHeight() {
+    return this.measuredCount > 0
+      ? Math.round(this.measuredTotal / this.measuredCount)
+      : this.options.estimatedHeight;
+  }
+}
+
+// Export for global use
+window.VirtualBlockList = VirtualBlockList;
@@ -0,0 +1,145 @@
+/**
+ * Dashboard aggregations of AnalyticsService
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { createSupabase, callArgs } = require('./helpers/supabase-stub');
+
+// The service is a plain browser script that registers itself on window
+global.window = global;
+require(path.join(__dirname, '../assets/js/services/analytics.service.js'));
+
+const { AnalyticsService } = window;
+
+const service = new AnalyticsService(null);
+const dayKeys = ['2024-03-01', '2024-03-02'];
+
+/**
+ * ISO timestamp of a local date and hour
+ */
+function at(day, hour = 12) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date, hour).toISOString();
+}
+
+describe('AnalyticsService.getFailureRate', () => {
+  test('counts failed and error jobs as failures and ignores cancelled ones', () => {
+    const result = service.getFailureRate([
+      { status: 'completed', completed_at: at('2024-03-01') },
+      { status: 'failed', updated_at: at('2024-03-01') },
+      { status: 'error', updated_at: at('2024-03-02') },
+      { status: 'cancelled', updated_at: at('2024-03-02') },
+      { status: 'processing', updated_at: at('2024-03-02') },
+    ], dayKeys);
+
+    assert.equal(result.finished, 3);
+    assert.equal(result.failed, 2);
+    assert.equal(result.rate, 2 / 3);
+    assert.deepEqual(result.perDay.map(({ day, failed, finished }) => [day, failed, finished]), [
+      ['2024-03-01', 1, 2],
+      ['2024-03-02', 1, 1],
+    ]);
+  });
+
+  test('ignores jobs that finished outside the period', () => {
+    const result = service.getFailureRate([
+      { status: 'failed', updated_at: at('2024-02-28') },
+    ], dayKeys);
+
+    assert.equal(result.finished, 0);
+    assert.equal(result.rate, null);
+  });
+});
+
+describe('AnalyticsService.getDocumentsPerDay', () => {
+  test('counts completed jobs on the day of completion', () => {
+    const result = service.getDocumentsPerDay([
+      { status: 'completed', created_at: at('2024-02-20'), completed_at: at('2024-03-02') },
+      { status: 'completed', created_at: at('2024-03-01'), completed_at: at('2024-03-01') },
+      { status: 'failed', created_at: at('2024-03-01'), completed_at: null },
+    ], dayKeys);
+
+    assert.deepEqual(result, [{ day: '2024-03-01', count: 1 }, { day: '2024-03-02', count: 1 }]);
+  });
+});
+
+describe('AnalyticsService.getProcessingTimes', () => {
+  test('uses jobs completed in the period only', () => {
+    const result = service.getProcessingTimes([
+      { status: 'completed', created_at: at('2024-03-01', 10), completed_at: new Date(Date.parse(at('2024-03-01', 10)) + 45000).toISOString() },
+      { status: 'completed', created_at: at('2024-02-27', 10), completed_at: at('2024-02-27', 11) },
+    ], dayKeys);
+
+    assert.equal(result.count, 1);
+    assert.equal(result.median, 45);
+  });
+});
+
+describe('AnalyticsService.getDashboardAnalytics', () => {
+  test('loads jobs created or finished in the period', async () => {
+    const { client, queries } = createSupabase(() => ({ data: [], error: null, count: 0 }));
+    const analytics = new AnalyticsService(client);
+
+    await analytics.getDashboardAnalytics('user-1', { days: 7 });
+
+    const jobsQuery = queries.find(query => query.table === 'marker_jobs');
+    const [filter] = callArgs(jobsQuery, 'or');
+    assert.match(filter, /created_at\.gte\./);
+    assert.match(filter, /completed_at\.gte\./);
+    assert.equal(callArgs(jobsQuery, 'gte'), undefined);
+  });
+});
+
+describe('AnalyticsService.subscribe', () => {
+  /**
+   * Subscribe for user-1, who owns job-1 only, and count refreshes
+   */
+  async function subscribe() {
+    const { client, queries, channels } = createSupabase(query => ({
+      data: callArgs(query, 'eq')[1] === 'job-1' ? { id: 'job-1' } : null,
+      error: null,
+    }));
+    const analytics = new AnalyticsService(client, { refreshDelay: 1 });
+    const refreshes = [];
+
+    await analytics.subscribe('user-1', () => refreshes.push(Date.now()));
+    return { analytics, queries, channel: channels[0], refreshes };
+  }
+
+  const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+  test('refreshes for annotations of jobs of the user only', async () => {
+    const { channel, refreshes } = await subscribe();
+
+    channel.emit('text_annotations', 'INSERT', { new: { id: 'a', job_id: 'job-2' } });
+    await settle();
+    assert.equal(refreshes.length, 0);
+
+    channel.emit('text_annotations', 'INSERT', { new: { id: 'b', job_id: 'job-1' } });
+    await settle();
+    assert.equal(refreshes.length, 1);
+  });
+
+  test('looks up the owner once per job', async () => {
+    const { channel, queries } = await subscribe();
+
+    channel.emit('sentiment_analysis', 'UPDATE', { new: { id: 'x', job_id: 'job-2' } });
+    channel.emit('text_annotations', 'INSERT', { new: { id: 'a', job_id: 'job-2' } });
+    await settle();
+
+    assert.equal(queries.filter(query => query.table === 'marker_jobs').length, 1);
+  });
+
+  test('skips deletes without job_id', async () => {
+    const { channel, queries, refreshes } = await subscribe();
+
+    channel.emit('text_annotations', 'DELETE', { old: { id: 'a' } });
+    await settle();
+
+    assert.equal(queries.length, 0);
+    assert.equal(refreshes.length, 0);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Recording Supabase client stub for service tests
+ */
+
+/**
+ * Supabase client stub: every query records its builder calls and is answered by respond(query)
+ * Realtime channels record their postgres_changes listeners; tests call emit() and setStatus().
+ */
+function createSupabase(respond) {
+  const queries = [];
+  const channels = [];
+
+  const client = {
+    from(table) {
+      const query = { table, calls: [] };
+      queries.push(query);
+
+      const builder = new Proxy({}, {
+        get(target, method) {
+          if (method === 'then') {
+            return (resolve, reject) => Promise.resolve(respond(query)).then(resolve, reject);
+          }
+          return (...args) => {
+            query.calls.push([method, ...args]);
+            return builder;
+          };
+        },
+      });
+
+      return builder;
+    },
+
+    channel(name) {
+      const channel = {
+        name,
+        listeners: [],
+        statusCallback: null,
+        on(type, filter, callback) {
+          channel.listeners.push({ filter, callback });
+          return channel;
+        },
+        subscribe(callback) {
+          channel.statusCallback = callback;
+          return channel;
+        },
+        setStatus(status) {
+          channel.statusCallback(status);
+        },
+        emit(table, eventType, payload) {
+          channel.listeners
+            .filter(({ filter }) => filter.table === table && [eventType, '*'].includes(filter.event))
+            .forEach(({ callback }) => callback({ eventType, ...payload }));
+        },
+      };
+
+      channels.push(channel);
+      return channel;
+    },
+
+    async removeChannel() {},
+  };
+
+  return { client, queries, channels };
+}
+
+/**
+ * Arguments of the first call of a builder method
+ */
+function callArgs(query, method) {
+  return query.calls.find(([name]) => name === method)?.slice(1);
+}
+
+module.exports = { createSupabase, callArgs };
@@ -0,0 +1,236 @@
+/**
+ * Hostile payloads against the escaping used for innerHTML rendering
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The utils are plain browser scripts that register themselves on window
+global.window = global;
+['html.util.js', 'annotation-ranges.util.js', 'markdown.util.js'].forEach(file => {
+  require(path.join(__dirname, '../assets/js/utils', file));
+});
+
+const { HtmlUtils, MarkdownUtils, AnnotationRanges } = window;
+
+// Tags and attributes the markdown renderer may emit
+const RENDERED_TAGS = new Set([
+  'a', 'blockquote', 'br', 'code', 'del', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr',
+  'li', 'ol', 'p', 'pre', 'span', 'strong', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul',
+]);
+const RENDERED_ATTRIBUTES = new Set(['href', 'target', 'rel', 'align', 'start', 'class', 'data-id']);
+
+/**
+ * Fail if HTML contains a tag or attribute the renderers never produce themselves
+ * Escaped text contains no '<', so every '<' starts real markup.
+ */
+function assertOnlyKnownMarkup(html) {
+  const tags = html.matchAll(/<\/?([a-zA-Z][\w-]*)([^>]*)>/g);
+
+  for (const [, tag, attributes] of tags) {
+    assert.ok(RENDERED_TAGS.has(tag.toLowerCase()), `unexpected <${tag}> in ${html}`);
+
+    // Attribute values are double-quoted and escaped, so they cannot contain '"'
+    const rest = attributes.replace(/\s([\w-]+)="[^"]*"/g, (match, name) => {
+      assert.ok(RENDERED_ATTRIBUTES.has(name.toLowerCase()), `unexpected attribute ${name} in ${html}`);
+      return '';
+    });
+    assert.equal(rest.trim(), '', `unquoted attribute content in ${html}`);
+  }
+
+  for (const [, href] of html.matchAll(/href="([^"]*)"/g)) {
+    assert.ok(HtmlUtils.isSafeUrl(href), `unsafe href ${href}`);
+  }
+}
+
+function renderMarkdown(markdown) {
+  return MarkdownUtils.render(MarkdownUtils.parse(markdown).nodes);
+}
+
+describe('HtmlUtils.escapeHtml', () => {
+  test('escapes script tags', () => {
+    assert.equal(
+      HtmlUtils.escapeHtml('<script>alert(1)</script>'),
+      '&lt;script&gt;alert(1)&lt;/script&gt;'
+    );
+  });
+
+  test('escapes event handler payloads', () => {
+    const escaped = HtmlUtils.escapeHtml('<img src=x onerror=alert(1)>');
+    assert.ok(!escaped.includes('<'));
+    assert.ok(!escaped.includes('>'));
+  });
+
+  test('prevents breaking out of quoted attributes', () => {
+    assert.equal(HtmlUtils.escapeHtml('" onmouseover="alert(1)'), '&quot; onmouseover=&quot;alert(1)');
+    assert.equal(HtmlUtils.escapeHtml("' onmouseover='alert(1)"), '&#39; onmouseover=&#39;alert(1)');
+    assert.equal(HtmlUtils.escapeHtml('`${alert(1)}`'), '&#96;${alert(1)}&#96;');
+  });
+
+  test('escapes existing entities instead of decoding them', () => {
+    assert.equal(HtmlUtils.escapeHtml('&lt;script&gt;'), '&amp;lt;script&amp;gt;');
+  });
+
+  test('turns null and undefined into empty strings', () => {
+    assert.equal(HtmlUtils.escapeHtml(null), '');
+    assert.equal(HtmlUtils.escapeHtml(undefined), '');
+    assert.equal(HtmlUtils.escapeHtml(0), '0');
+  });
+});
+
+describe('HtmlUtils.toClassToken', () => {
+  test('strips everything that could leave a class attribute', () => {
+    assert.equal(HtmlUtils.toClassToken('joy" onmouseover="alert(1)'), 'joyonmouseoveralert1');
+    assert.equal(HtmlUtils.toClassToken('<script>'), 'script');
+    assert.equal(HtmlUtils.toClassToken(null), '');
+  });
+});
+
+describe('HtmlUtils.isSafeUrl', () => {
+  test('rejects script and data URLs', () => {
+    [
+      'javascript:alert(1)',
+      'JavaScript:alert(1)',
+      ' javascript:alert(1)',
+      'java\tscript:alert(1)',
+      'java\nscript:alert(1)',
+      '\u0000javascript:alert(1)',
+      'vbscript:msgbox(1)',
+      'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+      'DATA:text/html,<script>alert(1)</script>',
+    ].forEach(url => assert.equal(HtmlUtils.isSafeUrl(url), false, JSON.stringify(url)));
+  });
+
+  test('accepts http(s), mailto and relative URLs', () => {
+    [
+      'https://example.com/a?b=c',
+      'http://example.com',
+      'mailto:team@example.com',
+      '/pages/dashboard.html',
+      'relative/path',
+      '#section',
+      '?job=1',
+    ].forEach(url => assert.equal(HtmlUtils.isSafeUrl(url), true, url));
+  });
+});
+
+describe('MarkdownUtils.render', () => {
+  test('renders raw HTML as text', () => {
+    const html = renderMarkdown('Hallo <script>alert(1)</script> und <img src=x onerror=alert(1)>');
+
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+    assertOnlyKnownMarkup(html);
+  });
+
+  test('drops javascript: and data: link targets', () => {
+    [
+      '[Klick](javascript:alert(1))',
+      '[Klick](JAVASCRIPT:alert(1))',
+      '[Klick](data:text/html,<script>alert(1)</script>)',
+      '[Klick](vbscript:msgbox(1))',
+    ].forEach(markdown => {
+      const html = renderMarkdown(markdown);
+      assert.ok(!html.includes('href'), html);
+      assert.ok(html.includes('Klick'), html);
+      assertOnlyKnownMarkup(html);
+    });
+  });
+
+  test('keeps safe links and opens them without opener', () => {
+    const html = renderMarkdown('[Docs](https://example.com/docs)');
+
+    assert.ok(html.includes('href="https://example.com/docs"'));
+    assert.ok(html.includes('rel="noopener noreferrer"'));
+    assertOnlyKnownMarkup(html);
+  });
+
+  test('keeps link targets inside the href attribute', () => {
+    const html = renderMarkdown('[x](https://example.com/"onmouseover="alert`1`) [y](/a\'onfocus=\'alert`1`)');
+
+    assert.ok(html.includes('href="https://example.com/&quot;onmouseover=&quot;alert&#96;1&#96;"'), html);
+    assert.ok(html.includes('href="/a&#39;onfocus=&#39;alert&#96;1&#96;"'), html);
+    assertOnlyKnownMarkup(html);
+  });
+
+  test('escapes link and image text', () => {
+    const html = renderMarkdown('[<b onclick=alert(1)>x</b>](https://example.com) ![<img src=x onerror=alert(1)>](x.png)');
+
+    assert.ok(!html.includes('<b'));
+    assert.ok(!html.includes('<img'));
+    assertOnlyKnownMarkup(html);
+  });
+
+  test('escapes code spans, code blocks, tables and headings', () => {
+    const html = renderMarkdown([
+      '# <svg onload=alert(1)>',
+      '',
+      '`</code><script>alert(1)</script>`',
+      '',
+      '```',
+      '</code></pre><iframe src="javascript:alert(1)"></iframe>',
+      '```',
+      '',
+      '| <td onclick=alert(1)> | b |',
+      '| --- | --- |',
+      '| "><script>alert(1)</script> | c |',
+      '',
+      '> <a href="javascript:alert(1)">zitat</a>',
+      '',
+      '- <style>*{display:none}</style>',
+    ].join('\n'));
+
+    assert.ok(!/<(script|iframe|svg|style)/i.test(html), html);
+    assertOnlyKnownMarkup(html);
+  });
+
+  test('passes unescaped text to renderText, which must escape it', () => {
+    const parsed = MarkdownUtils.parse('Text mit <script>alert(1)</script>');
+    const seen = [];
+    MarkdownUtils.render(parsed.nodes, text => {
+      seen.push(text);
+      return HtmlUtils.escapeHtml(text);
+    });
+
+    assert.deepEqual(seen, ['Text mit <script>alert(1)</script>']);
+  });
+});
+
+describe('MarkdownUtils.renderWithRanges', () => {
+  test('escapes annotated and surrounding text', () => {
+    const parsed = MarkdownUtils.parse('Vorher <img src=x onerror=alert(1)> nachher\n\n| <script>alert(1)</script> |\n| --- |\n| zelle |');
+    const start = parsed.text.indexOf('<img');
+    const ranges = [
+      { start, end: start + 10, annotation: { id: 1 } },
+      { start: parsed.text.indexOf('<script>'), end: parsed.text.indexOf('zelle') + 2, annotation: { id: 2 } },
+    ];
+
+    const html = MarkdownUtils.renderWithRanges(
+      parsed,
+      ranges,
+      range => `<span class="annotated-text" data-id="${HtmlUtils.escapeHtml(range.annotation.id)}">`
+    );
+
+    assert.ok(html.includes('<span class="annotated-text" data-id="1">&lt;img src=x</span>'), html);
+    assert.ok(!/<(img|script)/i.test(html), html);
+    assertOnlyKnownMarkup(html);
+  });
+});
+
+describe('AnnotationRanges.render', () => {
+  test('escapes plain text around and inside ranges', () => {
+    const text = '"><script>alert(1)</script><img src=x onerror=alert(1)>';
+    const html = AnnotationRanges.render(
+      text,
+      [{ start: 2, end: 10 }, { start: 5, end: 40 }],
+      () => '<span class="annotated-text">',
+      HtmlUtils.escapeHtml
+    );
+
+    assert.ok(!/<(script|img)/i.test(html), html);
+    assert.ok(html.startsWith('&quot;&gt;'), html);
+    assertOnlyKnownMarkup(html);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Query building of MarkerEngineService against a recording Supabase stub
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { createSupabase, callArgs } = require('./helpers/supabase-stub');
+
+// The services are plain browser scripts that register themselves on window
+global.window = global;
+['resumable-upload.service.js', 'marker-engine.service.js'].forEach(file => {
+  require(path.join(__dirname, '../assets/js/services', file));
+});
+
+const { MarkerEngineService } = window;
+
+describe('MarkerEngineService.getAnnotations', () => {
+  const ids = Array.from({ length: 2500 }, (_, i) => `id-${String(i).padStart(4, '0')}`);
+
+  /**
+   * Answer annotation pages from the current rows, honoring the keyset filter and limit
+   */
+  function respondWith(getRows) {
+    return query => {
+      const after = callArgs(query, 'gt')?.[1];
+      const [limit] = callArgs(query, 'limit');
+      const data = getRows(query)
+        .filter(row => after === undefined || row.id > after)
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .slice(0, limit);
+      return { data, error: null };
+    };
+  }
+
+  test('reads all pages beyond the max rows limit, ordered by position', async () => {
+    const rows = ids.map((id, i) => ({ id, position: ids.length - i }));
+    const { client, queries } = createSupabase(respondWith(() => rows));
+    const service = new MarkerEngineService(client);
+
+    const annotations = await service.getAnnotations('job-1');
+
+    assert.equal(queries.length, 3);
+    assert.equal(annotations.length, rows.length);
+    assert.deepEqual(annotations.slice(0, 2).map(annotation => annotation.position), [1, 2]);
+  });
+
+  test('keeps annotations that exist throughout when others are deleted between pages', async () => {
+    let rows = ids.map((id, i) => ({ id, position: i }));
+    const { client } = createSupabase(respondWith(query => {
+      // Delete the first annotation after the first page was read
+      if (callArgs(query, 'gt')) rows = rows.filter(row => row.id !== ids[0]);
+      return rows;
+    }));
+    const service = new MarkerEngineService(client);
+
+    const annotations = await service.getAnnotations('job-1', { force: true });
+    const returned = new Set(annotations.map(annotation => annotation.id));
+
+    assert.ok(ids.slice(1).every(id => returned.has(id)));
+  });
+
+  test('serves cached annotations unless forced', async () => {
+    const { client, queries } = createSupabase(respondWith(() => [{ id: 'a', position: 0 }]));
+    const service = new MarkerEngineService(client);
+
+    await service.getAnnotations('job-1');
+    await service.getAnnotations('job-1');
+    assert.equal(queries.length, 1);
+
+    await service.getAnnotations('job-1', { force: true });
+    assert.equal(queries.length, 2);
+  });
+});
+
+describe('MarkerEngineService.cancelJob', () => {
+  test('cancels only pending or processing jobs and drops cached annotations', async () => {
+    const { client, queries } = createSupabase(() => ({ data: { id: 'job-1', status: 'cancelled' }, error: null }));
+    const service = new MarkerEngineService(client);
+    service.annotationCache.set('job-1', []);
+
+    const job = await service.cancelJob('job-1');
+
+    assert.equal(job.status, 'cancelled');
+    assert.equal(callArgs(queries[0], 'update')[0].status, 'cancelled');
+    assert.deepEqual(callArgs(queries[0], 'in'), ['status', ['pending', 'processing']]);
+    assert.equal(service.annotationCache.has('job-1'), false);
+  });
+
+  test('reports the current job when it can no longer be cancelled', async () => {
+    const { client } = createSupabase(query => ({
+      data: callArgs(query, 'update') ? null : { id: 'job-1', status: 'completed' },
+      error: null,
+    }));
+    const service = new MarkerEngineService(client);
+
+    await assert.rejects(service.cancelJob('job-1'), error => {
+      assert.equal(error.code, 'JOB_NOT_CANCELLABLE');
+      assert.equal(error.job.status, 'completed');
+      return true;
+    });
+  });
+});
+
+describe('MarkerEngineService.updateAnnotation', () => {
+  test('writes camelCase values to their columns and ignores unknown fields', async () => {
+    const { client, queries } = createSupabase(() => ({ data: { id: 'a', job_id: 'job-1' }, error: null }));
+    const service = new MarkerEngineService(client);
+
+    await service.updateAnnotation('a', { sentimentScore: 0.5, startOffset: 3, endOffset: 9, id: 'b' });
+
+    assert.deepEqual(callArgs(queries[0], 'update'), [{ sentiment_score: 0.5, start_offset: 3, end_offset: 9 }]);
+  });
+
+  test('exposes its field mapping for the viewer', () => {
+    assert.equal(MarkerEngineService.annotationFieldColumns.sentimentScore, 'sentiment_score');
+  });
+});
+
+describe('MarkerEngineService.getUserJobHistory', () => {
+  const jobs = [
+    { id: 'job-3', created_at: '2024-03-03T10:00:00Z', file_name: 'c.pdf' },
+    { id: 'job-2', created_at: '2024-03-02T10:00:00Z', file_name: 'b.pdf' },
+    { id: 'job-1', created_at: '2024-03-01T10:00:00Z', file_name: 'a.pdf' },
+  ];
+
+  /**
+   * Service whose history query returns the first `limit` rows
+   */
+  function createService() {
+    const stub = createSupabase(query => ({ data: jobs.slice(0, callArgs(query, 'limit')[0]), error: null }));
+    return { service: new MarkerEngineService(stub.client), queries: stub.queries };
+  }
+
+  test('continues after the last row of the previous page', async () => {
+    const { service, queries } = createService();
+
+    const firstPage = await service.getUserJobHistory('user-1', { limit: 2 });
+    await service.getUserJobHistory('user-1', { limit: 2, cursor: firstPage.nextCursor });
+
+    assert.deepEqual(firstPage.jobs.map(job => job.id), ['job-3', 'job-2']);
+    assert.deepEqual(callArgs(queries[1], 'or'), [
+      'created_at.lt."2024-03-02T10:00:00Z",and(created_at.eq."2024-03-02T10:00:00Z",id.lt."job-2")',
+    ]);
+  });
+
+  test('returns no cursor on the last page', async () => {
+    const { service } = createService();
+    assert.equal((await service.getUserJobHistory('user-1', { limit: 5 })).nextCursor, null);
+  });
+
+  test('starts at the first page for a cursor of another sort order', async () => {
+    const { service, queries } = createService();
+
+    const { nextCursor } = await service.getUserJobHistory('user-1', { limit: 2 });
+    await service.getUserJobHistory('user-1', { limit: 2, cursor: nextCursor, sortBy: 'file_name' });
+    await service.getUserJobHistory('user-1', { limit: 2, cursor: nextCursor, ascending: true });
+
+    assert.equal(callArgs(queries[1], 'or'), undefined);
+    assert.equal(callArgs(queries[2], 'or'), undefined);
+  });
+
+  test('starts at the first page for a malformed cursor', async () => {
+    const { service, queries } = createService();
+
+    for (const cursor of ['not base64!', btoa('{"value":'), btoa(encodeURIComponent('{"value":{"x":1},"id":"job-1"}'))]) {
+      const page = await service.getUserJobHistory('user-1', { limit: 2, cursor });
+      assert.equal(page.jobs.length, 2);
+    }
+
+    assert.ok(queries.every(query => callArgs(query, 'or') === undefined));
+  });
+});
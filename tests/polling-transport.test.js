@@ -0,0 +1,128 @@
+/**
+ * Change detection and stop conditions of the polling fallback
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The service is a plain browser script that registers itself on window
+global.window = global;
+require(path.join(__dirname, '../assets/js/services/polling-transport.service.js'));
+
+const { PollingTransport } = window;
+
+/**
+ * Polling state as created by start(), with callbacks that record their calls
+ */
+function createState(overrides = {}) {
+  const events = [];
+  const state = {
+    since: null,
+    annotations: null,
+    callbacks: {
+      onAnnotationInsert: (annotation) => events.push(['insert', annotation.id]),
+      onAnnotationUpdate: (annotation) => events.push(['update', annotation.id]),
+      onAnnotationDelete: (annotation) => events.push(['delete', annotation.id]),
+    },
+    ...overrides,
+  };
+  return { state, events };
+}
+
+/**
+ * Resolve once polling of a job has stopped
+ */
+async function waitForStop(transport, jobId) {
+  for (let i = 0; i < 100 && transport.isPolling(jobId); i++) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('PollingTransport.diffAnnotations', () => {
+  const transport = new PollingTransport(null);
+
+  test('reports only annotations after the handover timestamp on the first poll', () => {
+    const { state, events } = createState({ since: '2024-01-01T10:00:00Z' });
+
+    const changed = transport.diffAnnotations(state, [
+      { id: 1, created_at: '2024-01-01T09:59:59Z' },
+      { id: 2, created_at: '2024-01-01T10:00:01Z' },
+    ]);
+
+    assert.equal(changed, true);
+    assert.deepEqual(events, [['insert', 2]]);
+  });
+
+  test('reports inserts, updates and deletes against the previous poll', () => {
+    const { state, events } = createState();
+    transport.diffAnnotations(state, [{ id: 1, text: 'a' }, { id: 2, text: 'b' }]);
+    events.length = 0;
+
+    transport.diffAnnotations(state, [{ id: 1, text: 'a' }, { id: 2, text: 'B' }, { id: 3, text: 'c' }]);
+    transport.diffAnnotations(state, [{ id: 2, text: 'B' }, { id: 3, text: 'c' }]);
+
+    assert.deepEqual(events, [['update', 2], ['insert', 3], ['delete', 1]]);
+  });
+
+  test('reports nothing when the set is unchanged', () => {
+    const { state, events } = createState();
+    transport.diffAnnotations(state, [{ id: 1, text: 'a' }]);
+    events.length = 0;
+
+    assert.equal(transport.diffAnnotations(state, [{ id: 1, text: 'a' }]), false);
+    assert.deepEqual(events, []);
+  });
+});
+
+describe('PollingTransport.poll', () => {
+  /**
+   * Marker service stub returning fixed rows
+   */
+  function createMarkerService(job, analysis) {
+    return {
+      getJobStatus: async () => job,
+      getAnnotations: async () => [],
+      getSentimentAnalysis: async () => analysis,
+    };
+  }
+
+  test('stops once a completed job has a finished analysis', async () => {
+    const transport = new PollingTransport(
+      createMarkerService({ status: 'completed' }, { status: 'completed' }),
+      { minInterval: 5 }
+    );
+
+    transport.start('job-1');
+    await waitForStop(transport, 'job-1');
+
+    assert.equal(transport.isPolling('job-1'), false);
+  });
+
+  test('stops after the analysis timeout when a completed job never gets an analysis', async () => {
+    const transport = new PollingTransport(
+      createMarkerService({ status: 'completed' }, null),
+      { minInterval: 5, maxInterval: 5, analysisTimeout: 20 }
+    );
+
+    transport.start('job-1');
+    assert.equal(transport.isPolling('job-1'), true);
+
+    await waitForStop(transport, 'job-1');
+    assert.equal(transport.isPolling('job-1'), false);
+  });
+
+  test('keeps polling a processing job', async () => {
+    const transport = new PollingTransport(
+      createMarkerService({ status: 'processing' }, null),
+      { minInterval: 5, maxInterval: 5, analysisTimeout: 1 }
+    );
+
+    transport.start('job-1');
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.equal(transport.isPolling('job-1'), true);
+    transport.stop('job-1');
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Event filtering and bookkeeping of RealtimeAnnotationsService
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { createSupabase, callArgs } = require('./helpers/supabase-stub');
+
+// The service is a plain browser script that registers itself on window
+global.window = global;
+require(path.join(__dirname, '../assets/js/services/realtime-annotations.service.js'));
+
+const { RealtimeAnnotationsService } = window;
+
+/**
+ * Subscribe to a job whose table holds the given annotations and bring the channel up
+ */
+async function subscribe(existingAnnotations, handlers = {}) {
+  const { client, channels } = createSupabase(query => {
+    const after = callArgs(query, 'gt')?.[1];
+    const data = existingAnnotations.filter(annotation => after === undefined || annotation.id > after);
+    return { data, error: null };
+  });
+  const service = new RealtimeAnnotationsService(client);
+
+  await service.subscribeToJob('job-1', handlers);
+  const [channel] = channels;
+  channel.setStatus('SUBSCRIBED');
+
+  // Let the seed query finish
+  await new Promise(resolve => setImmediate(resolve));
+  return { service, channel };
+}
+
+describe('RealtimeAnnotationsService deletes', () => {
+  const existing = [
+    { id: 'a', created_at: '2024-01-01T10:00:00Z' },
+    { id: 'b', created_at: '2024-01-01T10:00:05Z' },
+  ];
+
+  test('reports deletes of annotations that existed when subscribing', async () => {
+    const removed = [];
+    const { channel } = await subscribe(existing, { onAnnotationRemoved: event => removed.push(event.annotationId) });
+
+    channel.emit('text_annotations', 'DELETE', { old: { id: 'a' } });
+
+    assert.deepEqual(removed, ['a']);
+  });
+
+  test('drops deletes of annotations that belong to other jobs', async () => {
+    const removed = [];
+    const { channel } = await subscribe(existing, { onAnnotationRemoved: event => removed.push(event.annotationId) });
+
+    channel.emit('text_annotations', 'DELETE', { old: { id: 'other' } });
+    channel.emit('text_annotations', 'DELETE', { old: { id: 'x', job_id: 'job-2' } });
+
+    assert.deepEqual(removed, []);
+  });
+
+  test('reports deletes of annotations delivered later and forgets them afterwards', async () => {
+    const removed = [];
+    const { service, channel } = await subscribe([], { onAnnotationRemoved: event => removed.push(event.annotationId) });
+    const state = service.connectionState.get('job-1');
+
+    channel.emit('text_annotations', 'INSERT', { new: { id: 'c', job_id: 'job-1', created_at: '2024-01-01T10:01:00Z' } });
+    channel.emit('text_annotations', 'DELETE', { old: { id: 'c' } });
+    channel.emit('text_annotations', 'DELETE', { old: { id: 'c' } });
+
+    assert.deepEqual(removed, ['c']);
+    assert.equal(state.knownAnnotationIds.has('c'), false);
+    assert.equal(state.seenAnnotationIds.has('c'), false);
+  });
+
+  test('forgets known annotations on unsubscribe', async () => {
+    const { service } = await subscribe(existing);
+    const state = service.connectionState.get('job-1');
+
+    await service.unsubscribeFromJob('job-1');
+
+    assert.equal(state.knownAnnotationIds.size, 0);
+    assert.equal(service.connectionState.has('job-1'), false);
+  });
+});
+
+describe('RealtimeAnnotationsService inserts', () => {
+  test('seeds the catch-up baseline from server timestamps', async () => {
+    const { service } = await subscribe([
+      { id: 'a', created_at: '2024-01-01T10:00:05Z' },
+      { id: 'b', created_at: '2024-01-01T10:00:00Z' },
+    ]);
+
+    assert.equal(service.connectionState.get('job-1').lastSeenAt, '2024-01-01T10:00:05Z');
+  });
+
+  test('drops re-delivered annotations', async () => {
+    const added = [];
+    const { channel } = await subscribe([], { onAnnotationAdded: event => added.push(event.annotation.id) });
+    const annotation = { id: 'c', job_id: 'job-1', created_at: '2024-01-01T10:01:00Z' };
+
+    channel.emit('text_annotations', 'INSERT', { new: annotation });
+    channel.emit('text_annotations', 'INSERT', { new: annotation });
+
+    assert.deepEqual(added, ['c']);
+  });
+});
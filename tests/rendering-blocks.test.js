@@ -0,0 +1,57 @@
+/**
+ * Block splitting and single-range resolution used by the virtualized viewer
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The utils are plain browser scripts that register themselves on window
+global.window = global;
+['html.util.js', 'annotation-ranges.util.js', 'markdown.util.js'].forEach(file => {
+  require(path.join(__dirname, '../assets/js/utils', file));
+});
+
+const { MarkdownUtils, AnnotationRanges } = window;
+
+describe('MarkdownUtils.splitBlocks', () => {
+  const markdown = Array.from({ length: 40 }, (_, i) => `## Abschnitt ${i}\n\nAbsatz ${i} mit etwas Text.`).join('\n\n');
+  const parsed = MarkdownUtils.parse(markdown);
+
+  test('covers the whole text with contiguous blocks', () => {
+    const blocks = MarkdownUtils.splitBlocks(parsed, 200);
+
+    assert.ok(blocks.length > 1);
+    assert.equal(blocks[0].start, 0);
+    assert.equal(blocks[blocks.length - 1].end, parsed.text.length);
+    blocks.slice(1).forEach((block, i) => assert.equal(block.start, blocks[i].end));
+  });
+
+  test('keeps every top-level node in exactly one block', () => {
+    const blocks = MarkdownUtils.splitBlocks(parsed, 200);
+    const nodes = blocks.flatMap(block => block.nodes);
+
+    assert.deepEqual(nodes, parsed.nodes);
+  });
+});
+
+describe('AnnotationRanges.resolveOne', () => {
+  const text = 'gut und schlecht und gut';
+
+  test('uses valid offsets', () => {
+    const annotation = { text: 'gut', start_offset: 21, end_offset: 24 };
+    assert.deepEqual(AnnotationRanges.resolveOne(text, annotation), { annotation, start: 21, end: 24 });
+  });
+
+  test('searches the text after searchFrom when offsets are missing or invalid', () => {
+    const annotation = { text: 'gut', start_offset: 30, end_offset: 33 };
+
+    assert.equal(AnnotationRanges.resolveOne(text, annotation).start, 0);
+    assert.equal(AnnotationRanges.resolveOne(text, annotation, 5).start, 21);
+  });
+
+  test('returns null for text that does not occur', () => {
+    assert.equal(AnnotationRanges.resolveOne(text, { text: 'neutral' }), null);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Resume bookkeeping of ResumableUploadService
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The service is a plain browser script that registers itself on window
+global.window = global;
+require(path.join(__dirname, '../assets/js/services/resumable-upload.service.js'));
+
+const { ResumableUploadService } = window;
+
+// In-memory stand-in for the browser's localStorage
+const storage = new Map();
+global.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key),
+};
+
+const file = { name: 'bericht.pdf', size: 20 * 1024 * 1024, lastModified: 1700000000000 };
+
+describe('ResumableUploadService.hasResumableUpload', () => {
+  beforeEach(() => storage.clear());
+
+  test('finds a stored upload of the same file', () => {
+    const service = new ResumableUploadService(null);
+    assert.equal(service.hasResumableUpload(file), false);
+
+    service.saveUploadState(service.getFingerprint(file), { uploadUrl: 'https://example.test/upload/1' });
+
+    assert.equal(service.hasResumableUpload(file), true);
+    assert.equal(service.hasResumableUpload({ ...file, lastModified: 1700000000001 }), false);
+  });
+
+  test('drops stored uploads older than the resume TTL', () => {
+    const service = new ResumableUploadService(null, { resumeTtl: 1000 });
+    const fingerprint = service.getFingerprint(file);
+    storage.set(fingerprint, JSON.stringify({ uploadUrl: 'https://example.test/upload/1', createdAt: Date.now() - 2000 }));
+
+    assert.equal(service.hasResumableUpload(file), false);
+    assert.equal(storage.has(fingerprint), false);
+  });
+});
+
+describe('ResumableUploadService.abortAll', () => {
+  test('aborts every running chunk request', () => {
+    const service = new ResumableUploadService(null);
+    const aborted = [];
+    service.activeRequests.set('a', { abort: () => aborted.push('a') });
+    service.activeRequests.set('b', { abort: () => aborted.push('b') });
+
+    service.abortAll();
+
+    assert.deepEqual(aborted, ['a', 'b']);
+    assert.equal(service.activeRequests.size, 0);
+  });
+});
+
+describe('ResumableUploadService.encodeMetadata', () => {
+  test('encodes non-Latin-1 file names as UTF-8 base64', () => {
+    const service = new ResumableUploadService(null);
+    const [key, value] = service.encodeMetadata({ objectName: 'Übersicht 📄.pdf' }).split(' ');
+
+    assert.equal(key, 'objectName');
+    assert.equal(Buffer.from(value, 'base64').toString('utf8'), 'Übersicht 📄.pdf');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Threshold normalization and level mapping of the sentiment scale
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The util is a plain browser script that registers itself on window
+global.window = global;
+require(path.join(__dirname, '../assets/js/utils/sentiment-scale.util.js'));
+
+const { SentimentScale } = window;
+
+describe('SentimentScale.normalize', () => {
+  test('returns the defaults for a missing configuration', () => {
+    // The app passes null when no sentimentScale option is set
+    assert.deepEqual(SentimentScale.normalize(null), SentimentScale.defaults);
+    assert.deepEqual(SentimentScale.normalize(undefined), SentimentScale.defaults);
+    assert.deepEqual(SentimentScale.normalize(), SentimentScale.defaults);
+  });
+
+  test('expands neutralBand to symmetric thresholds', () => {
+    const scale = SentimentScale.normalize({ neutralBand: 0.2 });
+
+    assert.equal(scale.negativeThreshold, -0.2);
+    assert.equal(scale.positiveThreshold, 0.2);
+    assert.equal('neutralBand' in scale, false);
+  });
+
+  test('repairs swapped, out-of-range and invalid values', () => {
+    const scale = SentimentScale.normalize({
+      mode: 'seven',
+      negativeThreshold: 0.5,
+      positiveThreshold: -3,
+      strongThreshold: 'x',
+    });
+
+    assert.equal(scale.mode, 'three');
+    assert.equal(scale.negativeThreshold, -1);
+    assert.equal(scale.positiveThreshold, 0.5);
+    assert.equal(scale.strongThreshold, 1);
+  });
+
+  test('keeps the strong threshold outside the neutral band', () => {
+    const scale = SentimentScale.normalize({ mode: 'five', neutralBand: 0.8, strongThreshold: 0.5 });
+    assert.equal(scale.strongThreshold, 0.8);
+  });
+});
+
+describe('SentimentScale.getLevel', () => {
+  test('uses three levels by default', () => {
+    const scale = SentimentScale.normalize(null);
+
+    assert.equal(SentimentScale.getLevel(-0.9, scale), 'negative');
+    assert.equal(SentimentScale.getLevel(0, scale), 'neutral');
+    assert.equal(SentimentScale.getLevel(0.9, scale), 'positive');
+  });
+
+  test('adds very-negative and very-positive in five-level mode', () => {
+    const scale = SentimentScale.normalize({ mode: 'five' });
+
+    assert.equal(SentimentScale.getLevel(-0.9, scale), 'very-negative');
+    assert.equal(SentimentScale.getLevel(-0.5, scale), 'negative');
+    assert.equal(SentimentScale.getLevel(0.5, scale), 'positive');
+    assert.equal(SentimentScale.getLevel(0.9, scale), 'very-positive');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Concurrency and per-item state of UploadQueueService
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The service is a plain browser script that registers itself on window
+global.window = global;
+require(path.join(__dirname, '../assets/js/services/upload-queue.service.js'));
+
+const { UploadQueueService } = window;
+
+/**
+ * processItem stub whose uploads finish only when released
+ */
+function createUploads() {
+  const running = new Map();
+
+  return {
+    running,
+    processItem: (item) => new Promise((resolve, reject) => {
+      running.set(item.file.name, { resolve, reject });
+    }),
+    async finish(name, error = null) {
+      const upload = running.get(name);
+      running.delete(name);
+      if (error) upload.reject(error); else upload.resolve({ id: `job-${name}` });
+      await new Promise(resolve => setImmediate(resolve));
+    },
+  };
+}
+
+const files = ['a.pdf', 'b.pdf', 'c.pdf'].map(name => ({ name, size: 1 }));
+
+describe('UploadQueueService', () => {
+  test('uploads at most `concurrency` files at once', async () => {
+    const uploads = createUploads();
+    const queue = new UploadQueueService({ concurrency: 2, processItem: uploads.processItem });
+
+    queue.enqueue(files);
+    assert.deepEqual([...uploads.running.keys()], ['a.pdf', 'b.pdf']);
+    assert.equal(queue.getItems()[2].status, 'queued');
+
+    await uploads.finish('a.pdf');
+    assert.deepEqual([...uploads.running.keys()], ['b.pdf', 'c.pdf']);
+    assert.equal(queue.getItems()[0].status, 'processing');
+    assert.equal(queue.getItems()[0].jobId, 'job-a.pdf');
+  });
+
+  test('marks failed uploads and retries them', async () => {
+    const uploads = createUploads();
+    const queue = new UploadQueueService({ concurrency: 1, processItem: uploads.processItem });
+    const [item] = queue.enqueue(files.slice(0, 1));
+
+    await uploads.finish('a.pdf', new Error('Netzwerkfehler'));
+    assert.equal(queue.getItems()[0].status, 'failed');
+
+    assert.equal(queue.retry(item.id), true);
+    assert.equal(queue.getItems()[0].status, 'uploading');
+    assert.equal(queue.getItems()[0].attempts, 2);
+  });
+
+  test('removes finished items but not running ones', async () => {
+    const uploads = createUploads();
+    const queue = new UploadQueueService({ concurrency: 1, processItem: uploads.processItem });
+    const [first, second] = queue.enqueue(files.slice(0, 2));
+
+    assert.equal(queue.remove(first.id), false);
+
+    await uploads.finish('a.pdf');
+    queue.updateItem(first.id, { status: 'done' });
+
+    assert.equal(queue.remove(first.id), true);
+    assert.deepEqual(queue.getItems().map(item => item.id), [second.id]);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Reading and building the view state query parameters
+ * Run with `npm test` (Node's built-in test runner)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+// The utils are plain browser scripts that register themselves on window
+global.window = global;
+window.location = { href: 'https://example.test/pages/marker-integration.html' };
+require(path.join(__dirname, '../assets/js/utils/emotion-taxonomy.util.js'));
+require(path.join(__dirname, '../assets/js/utils/url-state.util.js'));
+
+const { UrlState } = window;
+
+const PAGE = 'https://example.test/pages/marker-integration.html';
+
+describe('UrlState.read', () => {
+  test('reads job, view and filter parameters', () => {
+    const state = UrlState.read(`${PAGE}?job=job-1&annotation=7&mode=emotion&sort=score&q=Haus&smin=-0.5&emotion=joy&origin=human`);
+
+    assert.deepEqual(state, {
+      jobId: 'job-1',
+      annotationId: '7',
+      highlightMode: 'emotion',
+      sortBy: 'score',
+      filters: { query: 'Haus', sentimentMin: -0.5, emotion: 'joy', origin: 'human' },
+    });
+  });
+
+  test('ignores unknown origins and non-numeric bounds', () => {
+    const { filters } = UrlState.read(`${PAGE}?job=job-1&origin=robot&smax=high&conf=0.8`);
+    assert.deepEqual(filters, { minConfidence: 0.8 });
+  });
+
+  test('accepts only emotions of the given taxonomy', () => {
+    const url = `${PAGE}?job=job-1&emotion=Trust`;
+
+    assert.equal(UrlState.read(url, { emotionTaxonomy: 'plutchik' }).filters.emotion, 'trust');
+    assert.equal(UrlState.read(url, { emotionTaxonomy: 'ekman' }).filters.emotion, undefined);
+    assert.equal(UrlState.read(`${PAGE}?job=job-1&emotion=<b>`, { emotionTaxonomy: 'goemotions' }).filters.emotion, undefined);
+  });
+
+  test('checks the emotion against the default taxonomy without options', () => {
+    assert.equal(UrlState.read(`${PAGE}?job=job-1&emotion=joy`).filters.emotion, 'joy');
+    assert.equal(UrlState.read(`${PAGE}?job=job-1&emotion=trust`).filters.emotion, undefined);
+  });
+
+  test('ignores unknown highlight modes and sort orders', () => {
+    const state = UrlState.read(`${PAGE}?job=job-1&mode=rainbow&sort=random`);
+
+    assert.equal(state.highlightMode, null);
+    assert.equal(state.sortBy, null);
+  });
+});
+
+describe('UrlState.build', () => {
+  test('round-trips a view state and keeps other parameters', () => {
+    const state = {
+      jobId: 'job-1',
+      annotationId: '7',
+      highlightMode: 'sentiment',
+      sortBy: 'position',
+      filters: { emotion: 'sadness', origin: 'machine', minConfidence: 0.5 },
+    };
+
+    const url = UrlState.build(state, `${PAGE}?lang=de#top`);
+
+    assert.match(url, /lang=de/);
+    assert.match(url, /#top$/);
+    assert.deepEqual(UrlState.read(url), state);
+  });
+
+  test('drops the view parameters without a job', () => {
+    const url = UrlState.build({ jobId: null, annotationId: '7', filters: { origin: 'human' } }, `${PAGE}?job=job-1&origin=human`);
+    assert.equal(url, PAGE);
+  });
+});